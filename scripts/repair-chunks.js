@@ -0,0 +1,44 @@
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import mongodb from '../src/db/mongodb.js';
+import dataService from '../src/services/data.service.js';
+import duplicateService from '../src/services/duplicate.service.js';
+
+/**
+ * Reconcile orphaned and stale chunks and wrong section chunk counts, and
+ * hash content stored before duplicate detection existed.
+ *
+ *   npm run repair -- [--tenant ten_xxx] [--dry-run]
+ */
+const { values } = parseArgs({
+  options: {
+    tenant: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+try {
+  await mongodb.connect();
+  dataService.initialize();
+  duplicateService.initialize();
+
+  const { dryRun, summary, issues } = await dataService.repairChunks({
+    tenantId: values.tenant || null,
+    dryRun: values['dry-run']
+  });
+
+  for (const issue of issues) {
+    console.log(JSON.stringify(issue));
+  }
+  console.log(`${dryRun ? 'Found' : 'Repaired'}: ${JSON.stringify(summary)}`);
+
+  if (!dryRun) {
+    const hashed = await duplicateService.backfillHashes(values.tenant || null);
+    console.log(`Hashed: ${JSON.stringify(hashed)}`);
+  }
+} catch (error) {
+  console.error(`Repair failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await mongodb.close();
+}
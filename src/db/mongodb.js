@@ -7,6 +7,7 @@ class MongoDB {
   constructor() {
     this.client = null;
     this.db = null;
+    this.supportsTransactions = false;
   }
 
   async connect() {
@@ -25,8 +26,12 @@ class MongoDB {
 
       await this.client.connect();
       this.db = this.client.db();
+
+      // Transactions need a replica set or a sharded cluster
+      const hello = await this.db.admin().command({ hello: 1 });
+      this.supportsTransactions = Boolean(hello.setName || hello.msg === 'isdbgrid');
       
-      logger.info('MongoDB connected successfully');
+      logger.info({ transactions: this.supportsTransactions }, 'MongoDB connected successfully');
       
       // Create collections and indexes
       await this.setupCollections();
@@ -50,16 +55,59 @@ class MongoDB {
       const sectionsCollection = this.db.collection('sections');
       await sectionsCollection.createIndex({ tenantId: 1, sectionId: 1 }, { unique: true });
       await sectionsCollection.createIndex({ tenantId: 1 });
+      await sectionsCollection.createIndex({ tenantId: 1, tags: 1 });
+      await sectionsCollection.createIndex({ tenantId: 1, collectionIds: 1 });
+      await sectionsCollection.createIndex({ tenantId: 1, contentHash: 1 });
+      await sectionsCollection.createIndex({ tenantId: 1, fileHash: 1 }, { sparse: true });
+      await sectionsCollection.createIndex(
+        { tenantId: 1, externalId: 1 },
+        { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+      );
+      await sectionsCollection.createIndex({ tenantId: 1, availability: 1 });
+      // Sections due to be published or expired, across tenants
+      await sectionsCollection.createIndex({ availability: 1, publishAt: 1 });
+      await sectionsCollection.createIndex({ availability: 1, expiresAt: 1 });
+
+      // Immutable revisions of section content
+      const versionsCollection = this.db.collection('section_versions');
+      await versionsCollection.createIndex({ tenantId: 1, sectionId: 1, version: -1 }, { unique: true });
+
+      // User-defined collections of sections
+      const collectionsCollection = this.db.collection('collections');
+      await collectionsCollection.createIndex({ tenantId: 1, collectionId: 1 }, { unique: true });
+      await collectionsCollection.createIndex({ tenantId: 1, name: 1 }, { unique: true });
 
       // Chunks collection with vector search
       const chunksCollection = this.db.collection('chunks');
       await chunksCollection.createIndex({ tenantId: 1, sectionId: 1 });
       await chunksCollection.createIndex({ tenantId: 1, chunkId: 1 }, { unique: true });
+      await chunksCollection.createIndex({ tenantId: 1, contentHash: 1 });
+      await chunksCollection.createIndex(
+        { text: 'text', sectionTitle: 'text' },
+        { name: 'chunks_text', weights: { sectionTitle: 2, text: 1 } }
+      );
       
       // Create vector search index (Atlas Search)
       // Note: This must be created manually in Atlas UI or via Atlas API
       // Index definition is documented in the README
       
+      // Ingestion jobs and their uploaded files
+      const jobsCollection = this.db.collection('jobs');
+      await jobsCollection.createIndex({ jobId: 1 }, { unique: true });
+      await jobsCollection.createIndex({ tenantId: 1, createdAt: -1 });
+      await jobsCollection.createIndex({ status: 1, createdAt: 1 });
+
+      const jobFilesCollection = this.db.collection('job_files');
+      await jobFilesCollection.createIndex({ jobId: 1, index: 1 }, { unique: true });
+
+      // Conversations and their messages (chat transcripts)
+      const conversationsCollection = this.db.collection('conversations');
+      await conversationsCollection.createIndex({ tenantId: 1, sessionId: 1 }, { unique: true });
+      await conversationsCollection.createIndex({ tenantId: 1, lastMessageAt: -1 });
+
+      const messagesCollection = this.db.collection('messages');
+      await messagesCollection.createIndex({ tenantId: 1, sessionId: 1, createdAt: 1 });
+
       // Usage collection
       const usageCollection = this.db.collection('usage');
       await usageCollection.createIndex({ tenantId: 1, timestamp: -1 });
@@ -79,6 +127,29 @@ class MongoDB {
     return this.db;
   }
 
+  /**
+   * Run `fn(session)` in a transaction. On a standalone server, where
+   * transactions are unavailable, `fn(null)` runs without one; callers
+   * must order their writes so an interruption can be repaired.
+   * `fn` may be retried on transient errors, so it must be repeatable.
+   */
+  async withTransaction(fn) {
+    if (!this.supportsTransactions) {
+      return await fn(null);
+    }
+
+    const session = this.client.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await fn(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
   async close() {
     if (this.client) {
       await this.client.close();
@@ -10,8 +10,8 @@ import mongodb from './db/mongodb.js';
 import redis from './db/redis.js';
 
 // Middleware
-import { authenticate, authenticateJWT, authenticateFlexible } from './middleware/auth.js';
-import { rateLimiter, checkMonthlyLimit } from './middleware/rate-limit.js';
+import { authenticate, authenticateJWT, authenticateFlexible, requireUnscopedKey } from './middleware/auth.js';
+import { rateLimiter, checkMonthlyLimit, checkMonthlyQuota, checkSearchLimit } from './middleware/rate-limit.js';
 
 // Services
 import tenantService from './services/tenant.service.js';
@@ -19,11 +19,22 @@ import embeddingService from './services/embedding.service.js';
 import dataService from './services/data.service.js';
 import vectorSearchService from './services/vector-search.service.js';
 import chatService from './services/chat.service.js';
+import collectionService from './services/collection.service.js';
+import versionService from './services/version.service.js';
+import duplicateService from './services/duplicate.service.js';
+import rerankService from './services/rerank.service.js';
+import conversationService from './services/conversation.service.js';
+import jobService from './services/job.service.js';
+import webFetchService from './services/web-fetch.service.js';
+import transferService from './services/transfer.service.js';
+import schedulerService from './services/scheduler.service.js';
 
 // Routes
 import tenantRoutes from './routes/tenant.routes.js';
 import dataRoutes from './routes/data.routes.js';
 import chatRoutes from './routes/chat.routes.js';
+import searchRoutes from './routes/search.routes.js';
+import collectionRoutes from './routes/collection.routes.js';
 
 const logger = pino({
   transport: {
@@ -71,8 +82,11 @@ await fastify.register(multipart, {
 fastify.decorate('authenticate', authenticateFlexible); // Use flexible auth by default
 fastify.decorate('authenticateJWT', authenticateJWT);
 fastify.decorate('authenticateApiKey', authenticate);
+fastify.decorate('requireUnscopedKey', requireUnscopedKey);
 fastify.decorate('rateLimiter', rateLimiter);
 fastify.decorate('checkMonthlyLimit', checkMonthlyLimit);
+fastify.decorate('checkMonthlyQuota', checkMonthlyQuota);
+fastify.decorate('checkSearchLimit', checkSearchLimit);
 
 // Health check endpoint
 fastify.get('/health', async (request, reply) => {
@@ -102,7 +116,9 @@ fastify.get('/', async (request, reply) => {
       health: '/health',
       tenants: '/api/tenants',
       data: '/api/data',
-      chat: '/api/chat'
+      chat: '/api/chat',
+      search: '/api/search',
+      collections: '/api/collections'
     }
   };
 });
@@ -111,6 +127,8 @@ fastify.get('/', async (request, reply) => {
 await fastify.register(tenantRoutes, { prefix: '/api/tenants' });
 await fastify.register(dataRoutes, { prefix: '/api/data' });
 await fastify.register(chatRoutes, { prefix: '/api/chat' });
+await fastify.register(searchRoutes, { prefix: '/api/search' });
+await fastify.register(collectionRoutes, { prefix: '/api/collections' });
 
 // Global error handler
 fastify.setErrorHandler((error, request, reply) => {
@@ -136,6 +154,8 @@ const gracefulShutdown = async (signal) => {
   
   try {
     await fastify.close();
+    await jobService.stopWorker();
+    await schedulerService.stopScheduler();
     await mongodb.close();
     await redis.close();
     
@@ -161,10 +181,29 @@ async function start() {
     // Initialize services
     logger.info('Initializing services...');
     tenantService.initialize();
-    embeddingService.initialize();
+    await embeddingService.initialize();
     dataService.initialize();
-    vectorSearchService.initialize();
-    chatService.initialize();
+    collectionService.initialize();
+    versionService.initialize();
+    duplicateService.initialize();
+    transferService.initialize();
+    await vectorSearchService.initialize();
+    await chatService.initialize();
+    rerankService.initialize({ llmProvider: chatService.provider });
+    conversationService.initialize();
+    jobService.initialize();
+    webFetchService.initialize();
+    schedulerService.initialize();
+
+    // Process ingestion jobs in this instance unless disabled
+    if (process.env.JOB_WORKER_ENABLED !== 'false') {
+      jobService.startWorker();
+    }
+
+    // Apply publication dates unless disabled
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      schedulerService.startScheduler();
+    }
     
     // Start server
     const port = process.env.PORT || 3000;
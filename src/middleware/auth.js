@@ -102,3 +102,17 @@ export async function optionalAuth(request, reply) {
     // Silent fail for optional auth
   }
 }
+
+/**
+ * Reject API keys restricted to collections. Such keys may only chat and
+ * search within their scope, so they are refused on content management
+ * routes. Runs after authentication.
+ */
+export async function requireUnscopedKey(request, reply) {
+  if (request.tenant?.apiKeyScope) {
+    return reply.code(403).send({
+      error: 'Forbidden',
+      message: 'This API key is restricted to collections and can only be used for chat and search.'
+    });
+  }
+}
@@ -1,4 +1,5 @@
 import redis from '../db/redis.js';
+import { PLANS } from '../utils/constants.js';
 import pino from 'pino';
 
 const logger = pino();
@@ -60,44 +61,131 @@ export async function rateLimiter(request, reply) {
   }
 }
 
+// Monthly quotas: the tenant limit that caps each and how usage is described
+const MONTHLY_QUOTAS = {
+  api: { limit: 'apiCallsPerMonth', label: 'API calls' },
+  search: { limit: 'searchesPerMonth', label: 'search requests' }
+};
+
+/**
+ * Get the Redis key for a tenant's monthly usage counter
+ */
+function monthlyUsageKey(tenantId, quota = 'api') {
+  const currentMonth = new Date().toISOString().slice(0, 7); // YYYY-MM
+  return quota === 'api'
+    ? `usage:${tenantId}:month:${currentMonth}`
+    : `usage:${tenantId}:${quota}:month:${currentMonth}`;
+}
+
+/**
+ * Monthly limit of a quota for a tenant. Tenants created before a quota
+ * existed fall back to their plan's value.
+ */
+function monthlyLimit(tenant, quota) {
+  const field = MONTHLY_QUOTAS[quota].limit;
+  return tenant.limits[field] ?? PLANS[tenant.plan?.toUpperCase()]?.limits[field] ?? 0;
+}
+
+/**
+ * Reject the request if the tenant has used up a monthly quota.
+ * Returns the current usage count when the request may proceed.
+ */
+async function enforceMonthlyLimit(request, reply, quota = 'api') {
+  const tenant = request.tenant;
+  const limit = monthlyLimit(tenant, quota);
+
+  const monthlyUsage = await redis.get(monthlyUsageKey(tenant.tenantId, quota));
+  const usageCount = monthlyUsage ? parseInt(monthlyUsage) : 0;
+
+  if (usageCount >= limit) {
+    reply.code(429).send({
+      error: 'Monthly limit exceeded',
+      message: `Monthly limit of ${limit} ${MONTHLY_QUOTAS[quota].label} exceeded. Please upgrade your plan.`,
+      usage: {
+        used: usageCount,
+        limit
+      }
+    });
+    return null;
+  }
+
+  return usageCount;
+}
+
+/**
+ * Increment a monthly usage counter for a tenant
+ */
+export async function recordMonthlyUsage(tenantId, quota = 'api') {
+  try {
+    const monthKey = monthlyUsageKey(tenantId, quota);
+    const usageCount = await redis.incr(monthKey);
+
+    if (usageCount === 1) {
+      // Set expiry for 60 days to handle month transitions
+      await redis.expire(monthKey, 60 * 24 * 3600);
+    }
+  } catch (error) {
+    logger.error({ error: error.message, tenantId, quota }, 'Monthly usage record error');
+  }
+}
+
 /**
  * Check monthly usage limit
  */
 export async function checkMonthlyLimit(request, reply) {
   try {
-    const tenant = request.tenant;
-    if (!tenant) {
+    if (!request.tenant) {
       return;
     }
 
-    const tenantId = tenant.tenantId;
-    const limits = tenant.limits;
+    const usageCount = await enforceMonthlyLimit(request, reply);
+    if (usageCount === null) {
+      return reply;
+    }
 
-    const currentMonth = new Date().toISOString().slice(0, 7); // YYYY-MM
-    const monthKey = `usage:${tenantId}:month:${currentMonth}`;
-    
-    const monthlyUsage = await redis.get(monthKey);
-    const usageCount = monthlyUsage ? parseInt(monthlyUsage) : 0;
+    // Increment usage
+    await recordMonthlyUsage(request.tenantId);
 
-    if (usageCount >= limits.apiCallsPerMonth) {
-      return reply.code(429).send({
-        error: 'Monthly limit exceeded',
-        message: `Monthly limit of ${limits.apiCallsPerMonth} API calls exceeded. Please upgrade your plan.`,
-        usage: {
-          used: usageCount,
-          limit: limits.apiCallsPerMonth
-        }
-      });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Monthly limit check error');
+  }
+}
+
+/**
+ * Check monthly usage limit without counting the request.
+ * Routes using this must call recordMonthlyUsage once the work is done.
+ */
+export async function checkMonthlyQuota(request, reply) {
+  try {
+    if (!request.tenant) {
+      return;
     }
 
-    // Increment usage
-    await redis.incr(monthKey);
-    if (usageCount === 0) {
-      // Set expiry for 60 days to handle month transitions
-      await redis.expire(monthKey, 60 * 24 * 3600);
+    const usageCount = await enforceMonthlyLimit(request, reply);
+    if (usageCount === null) {
+      return reply;
     }
+  } catch (error) {
+    logger.error({ error: error.message }, 'Monthly quota check error');
+  }
+}
 
+/**
+ * Check the monthly search quota, kept separate from chat API calls,
+ * without counting the request. Routes using this must call
+ * recordMonthlyUsage(tenantId, 'search') once the search succeeded.
+ */
+export async function checkSearchLimit(request, reply) {
+  try {
+    if (!request.tenant) {
+      return;
+    }
+
+    const usageCount = await enforceMonthlyLimit(request, reply, 'search');
+    if (usageCount === null) {
+      return reply;
+    }
   } catch (error) {
-    logger.error({ error: error.message }, 'Monthly limit check error');
+    logger.error({ error: error.message }, 'Monthly search limit check error');
   }
 }
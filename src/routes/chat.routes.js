@@ -1,5 +1,52 @@
 import chatService from '../services/chat.service.js';
-import { chatQuerySchema } from '../schemas/validation.js';
+import conversationService from '../services/conversation.service.js';
+import collectionService from '../services/collection.service.js';
+import {
+  chatQuerySchema,
+  previewQuerySchema,
+  createSessionSchema,
+  sessionListQuerySchema,
+  sessionTranscriptQuerySchema
+} from '../schemas/validation.js';
+import { recordMonthlyUsage } from '../middleware/rate-limit.js';
+import { signSessionId, verifySessionId } from '../utils/helpers.js';
+
+/**
+ * Reject session IDs that were not issued to the caller's tenant
+ */
+function rejectForeignSession(request, reply, sessionId) {
+  if (sessionId && !verifySessionId(request.tenantId, sessionId)) {
+    reply.code(403).send({
+      error: 'Forbidden',
+      message: 'Invalid session. Create one with POST /api/chat/sessions.'
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Resolve the collections a query is scoped to. Sends 403 and returns null
+ * when the request asks for collections outside the API key's scope.
+ */
+function resolveCollections(request, reply, requested) {
+  const scope = collectionService.resolveScope(request.tenant.apiKeyScope, requested);
+  if (scope.forbidden) {
+    reply.code(403).send({
+      error: 'Forbidden',
+      message: `This API key has no access to collections: ${scope.forbidden.join(', ')}`
+    });
+    return null;
+  }
+  return scope;
+}
+
+/**
+ * Write a single Server-Sent Event to the raw response
+ */
+function writeEvent(raw, event, data) {
+  raw.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
 /**
  * Chat routes
@@ -12,6 +59,15 @@ export default async function chatRoutes(fastify, options) {
   }, async (request, reply) => {
     try {
       const data = chatQuerySchema.parse(request.body);
+
+      if (rejectForeignSession(request, reply, data.sessionId)) {
+        return reply;
+      }
+
+      const scope = resolveCollections(request, reply, data.collectionIds);
+      if (!scope) {
+        return reply;
+      }
       
       const result = await chatService.processQuery(
         request.tenantId,
@@ -19,7 +75,9 @@ export default async function chatRoutes(fastify, options) {
         data.query,
         {
           sessionId: data.sessionId,
-          includeMetadata: data.includeMetadata
+          includeMetadata: data.includeMetadata,
+          filter: data.filter,
+          collectionIds: scope.collectionIds
         }
       );
       
@@ -42,13 +100,238 @@ export default async function chatRoutes(fastify, options) {
     }
   });
 
+  // Answer from published and draft content, for editors to test drafts.
+  // Drafts are unpublished, so only dashboard users (JWT) may preview them.
+  fastify.post('/preview', {
+    preHandler: [fastify.authenticateJWT, fastify.rateLimiter, fastify.checkMonthlyLimit]
+  }, async (request, reply) => {
+    try {
+      const data = previewQuerySchema.parse(request.body);
+
+      const scope = resolveCollections(request, reply, data.collectionIds);
+      if (!scope) {
+        return reply;
+      }
+
+      const result = await chatService.processQuery(
+        request.tenantId,
+        request.tenant,
+        data.query,
+        {
+          includeMetadata: data.includeMetadata,
+          filter: data.filter,
+          collectionIds: scope.collectionIds,
+          preview: true
+        }
+      );
+
+      return reply.send({
+        success: true,
+        preview: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(500).send({
+        error: 'Chat processing failed',
+        message: error.message
+      });
+    }
+  });
+
+  // Process chat query, streaming the answer as Server-Sent Events
+  fastify.post('/stream', {
+    preHandler: [fastify.authenticate, fastify.rateLimiter, fastify.checkMonthlyQuota]
+  }, async (request, reply) => {
+    let data;
+    try {
+      data = chatQuerySchema.parse(request.body);
+    } catch (error) {
+      return reply.code(400).send({
+        error: 'Validation error',
+        details: error.errors
+      });
+    }
+
+    if (rejectForeignSession(request, reply, data.sessionId)) {
+      return reply;
+    }
+
+    const scope = resolveCollections(request, reply, data.collectionIds);
+    if (!scope) {
+      return reply;
+    }
+
+    // Take over the raw response; keep headers set by plugins (CORS, rate limits)
+    reply.hijack();
+    const raw = reply.raw;
+    raw.writeHead(200, {
+      ...reply.getHeaders(),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // The request stream closes once its body is read, so watch the response:
+    // it closes before finishing only when the client went away
+    const abortController = new AbortController();
+    raw.on('close', () => {
+      if (!raw.writableFinished) {
+        abortController.abort();
+      }
+    });
+
+    try {
+      const events = chatService.streamQuery(
+        request.tenantId,
+        request.tenant,
+        data.query,
+        {
+          sessionId: data.sessionId,
+          includeMetadata: data.includeMetadata,
+          filter: data.filter,
+          collectionIds: scope.collectionIds,
+          signal: abortController.signal
+        }
+      );
+
+      for await (const event of events) {
+        if (event.type === 'delta') {
+          writeEvent(raw, 'delta', { content: event.content });
+        } else if (event.type === 'done') {
+          writeEvent(raw, 'done', event.data);
+          await recordMonthlyUsage(request.tenantId);
+        }
+      }
+    } catch (error) {
+      request.log.error({ error: error.message }, 'Chat stream failed');
+      if (!raw.destroyed) {
+        writeEvent(raw, 'error', {
+          error: 'Chat processing failed',
+          message: error.message
+        });
+      }
+    } finally {
+      raw.end();
+    }
+  });
+
+  // Create a chat session; the returned ID is signed for the caller's tenant
+  fastify.post('/sessions', {
+    preHandler: [fastify.authenticate, fastify.rateLimiter]
+  }, async (request, reply) => {
+    try {
+      const { metadata } = createSessionSchema.parse(request.body || {});
+      const session = await conversationService.createSession(
+        request.tenantId,
+        signSessionId(request.tenantId),
+        metadata
+      );
+
+      return reply.code(201).send({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(500).send({
+        error: 'Failed to create session',
+        message: error.message
+      });
+    }
+  });
+
+  // List stored conversations, optionally filtered by last activity date
+  fastify.get('/sessions', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const { from, to, page, limit } = sessionListQuerySchema.parse(request.query);
+      const result = await conversationService.listSessions(request.tenantId, {
+        from,
+        to,
+        skip: (page - 1) * limit,
+        limit
+      });
+
+      return reply.send({
+        success: true,
+        data: result.sessions,
+        total: result.total,
+        page,
+        limit
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(500).send({
+        error: 'Failed to list sessions',
+        message: error.message
+      });
+    }
+  });
+
+  // Get a conversation transcript, optionally limited to a date range
+  fastify.get('/sessions/:sessionId', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const { sessionId } = request.params;
+      if (rejectForeignSession(request, reply, sessionId)) {
+        return reply;
+      }
+
+      const { from, to } = sessionTranscriptQuerySchema.parse(request.query);
+      const session = await conversationService.getSession(request.tenantId, sessionId, { from, to });
+
+      return reply.send({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(404).send({
+        error: 'Session not found',
+        message: error.message
+      });
+    }
+  });
+
   // Clear session history
   fastify.delete('/session/:sessionId', {
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     try {
       const { sessionId } = request.params;
-      await chatService.clearHistory(sessionId);
+      if (rejectForeignSession(request, reply, sessionId)) {
+        return reply;
+      }
+
+      await chatService.clearHistory(request.tenantId, sessionId);
       
       return reply.send({
         success: true,
@@ -0,0 +1,167 @@
+import collectionService from '../services/collection.service.js';
+import { createCollectionSchema, updateCollectionSchema, collectionMembershipSchema } from '../schemas/validation.js';
+
+/**
+ * Map service errors to a status code
+ */
+function errorStatus(error) {
+  if (error.name === 'ZodError') return 400;
+  if (error.message.startsWith('Collection not found')) return 404;
+  if (error.message.endsWith('already exists')) return 409;
+  return 500;
+}
+
+/**
+ * Send a failed collection request
+ */
+function sendError(reply, error, message) {
+  if (error.name === 'ZodError') {
+    return reply.code(400).send({
+      error: 'Validation error',
+      details: error.errors
+    });
+  }
+
+  return reply.code(errorStatus(error)).send({
+    error: message,
+    message: error.message
+  });
+}
+
+/**
+ * Collection routes
+ */
+export default async function collectionRoutes(fastify, options) {
+
+  // Create a collection
+  fastify.post('/', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const data = createCollectionSchema.parse(request.body);
+      const collection = await collectionService.createCollection(request.tenantId, data);
+
+      return reply.code(201).send({
+        success: true,
+        data: collection
+      });
+    } catch (error) {
+      return sendError(reply, error, 'Failed to create collection');
+    }
+  });
+
+  // List collections
+  fastify.get('/', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const collections = await collectionService.listCollections(request.tenantId);
+
+      return reply.send({
+        success: true,
+        data: collections
+      });
+    } catch (error) {
+      return sendError(reply, error, 'Failed to list collections');
+    }
+  });
+
+  // Get a collection
+  fastify.get('/:collectionId', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const collection = await collectionService.getCollection(request.tenantId, request.params.collectionId);
+
+      return reply.send({
+        success: true,
+        data: collection
+      });
+    } catch (error) {
+      return sendError(reply, error, 'Failed to get collection');
+    }
+  });
+
+  // Rename or describe a collection
+  fastify.patch('/:collectionId', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const updates = updateCollectionSchema.parse(request.body);
+      const collection = await collectionService.updateCollection(
+        request.tenantId,
+        request.params.collectionId,
+        updates
+      );
+
+      return reply.send({
+        success: true,
+        data: collection,
+        message: 'Collection updated successfully'
+      });
+    } catch (error) {
+      return sendError(reply, error, 'Failed to update collection');
+    }
+  });
+
+  // Delete a collection (its sections are kept)
+  fastify.delete('/:collectionId', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const result = await collectionService.deleteCollection(request.tenantId, request.params.collectionId);
+
+      return reply.send({
+        success: true,
+        data: result,
+        message: 'Collection deleted successfully'
+      });
+    } catch (error) {
+      return sendError(reply, error, 'Failed to delete collection');
+    }
+  });
+
+  // Add sections to a collection
+  fastify.post('/:collectionId/sections', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const { sectionIds } = collectionMembershipSchema.parse(request.body);
+      const result = await collectionService.setMembership(
+        request.tenantId,
+        request.params.collectionId,
+        sectionIds,
+        true
+      );
+
+      return reply.send({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      return sendError(reply, error, 'Failed to assign sections');
+    }
+  });
+
+  // Remove sections from a collection
+  fastify.delete('/:collectionId/sections', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const { sectionIds } = collectionMembershipSchema.parse(request.body);
+      const result = await collectionService.setMembership(
+        request.tenantId,
+        request.params.collectionId,
+        sectionIds,
+        false
+      );
+
+      return reply.send({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      return sendError(reply, error, 'Failed to remove sections');
+    }
+  });
+}
@@ -1,17 +1,185 @@
 import dataService from '../services/data.service.js';
 import documentParserService from '../services/document-parser.service.js';
-import { registerDataSchema } from '../schemas/validation.js';
+import jobService from '../services/job.service.js';
+import versionService from '../services/version.service.js';
+import duplicateService from '../services/duplicate.service.js';
+import transferService from '../services/transfer.service.js';
+import { Readable } from 'stream';
+import { hashFile } from '../utils/helpers.js';
+import { TRANSFER_CONFIG } from '../utils/constants.js';
+import {
+  registerDataSchema,
+  chunkingSettingsSchema,
+  tagsSchema,
+  collectionIdsSchema,
+  versionParamsSchema,
+  versionDiffQuerySchema,
+  uploadQuerySchema,
+  ingestHtmlSchema,
+  sectionSchema,
+  tableSourceSchema,
+  tableMappingSchema,
+  exportQuerySchema,
+  importChunkSchema,
+  importSectionSchema,
+  importCollectionSchema,
+  externalIdSchema,
+  externalSectionSchema,
+  syncManifestSchema,
+  scheduleDateSchema,
+  sectionAvailabilitySchema,
+  draftFlagSchema,
+  publishDraftsSchema
+} from '../schemas/validation.js';
+
+// Rows returned by a table import preview
+const TABLE_PREVIEW_ROWS = 5;
+
+/**
+ * Who made a change, recorded with section versions
+ */
+function requestAuthor(request) {
+  return {
+    email: request.tenant.email || null,
+    apiKeyName: request.tenant.apiKeyName || null
+  };
+}
+
+/**
+ * Send a failed version history request
+ */
+function sendVersionError(reply, error, message) {
+  if (error.name === 'ZodError') {
+    return reply.code(400).send({
+      error: 'Validation error',
+      details: error.errors
+    });
+  }
+
+  return reply.code(error.message.includes('not found') ? 404 : 500).send({
+    error: message,
+    message: error.message
+  });
+}
+
+/**
+ * Read a single-file multipart upload together with its text fields
+ */
+async function readTableUpload(request) {
+  let file = null;
+  const fields = {};
+
+  for await (const part of request.parts()) {
+    if (part.type === 'file') {
+      const chunks = [];
+      for await (const chunk of part.file) {
+        chunks.push(chunk);
+      }
+      file = file || { filename: part.filename, mimetype: part.mimetype, buffer: Buffer.concat(chunks) };
+    } else {
+      fields[part.fieldname] = part.value;
+    }
+  }
+
+  if (!file || file.buffer.length === 0) {
+    throw new Error('Upload a CSV or XLSX file');
+  }
+
+  return { file, fields };
+}
+
+/**
+ * Split an import body into collection and section records. A JSONL body
+ * holds one record per line, as written by the export; a JSON body is an
+ * array of such records or `{ collections, sections }`. Chunk records are
+ * attached to the section with their `sectionId`. Records that fail
+ * validation are returned as `errors` with their line number.
+ */
+function parseImportRecords(body) {
+  const entries = [];
+  const errors = [];
+
+  if (typeof body === 'string') {
+    body.split('\n').forEach((text, index) => {
+      if (!text.trim()) return;
+      try {
+        entries.push({ line: index + 1, record: JSON.parse(text) });
+      } catch (error) {
+        errors.push({ line: index + 1, error: 'Invalid JSON' });
+      }
+    });
+  } else {
+    const records = Array.isArray(body)
+      ? body
+      : [
+          ...(body?.collections || []).map(collection => ({ kind: 'collection', ...collection })),
+          ...(body?.sections || [])
+        ];
+    records.forEach((record, index) => entries.push({ line: index + 1, record }));
+  }
+
+  const collections = [];
+  const sections = [];
+  const bySectionId = new Map();
+  const describe = (error) => error.errors.map(issue => (issue.path.length ? `${issue.path.join('.')}: ` : '') + issue.message).join('; ');
+
+  for (const { line, record } of entries) {
+    const kind = record?.kind || 'section';
+
+    if (kind === 'header') {
+      if (record.formatVersion > TRANSFER_CONFIG.formatVersion) {
+        throw new Error(`Unsupported export format version ${record.formatVersion}`);
+      }
+    } else if (kind === 'collection') {
+      const result = importCollectionSchema.safeParse(record);
+      if (result.success) {
+        collections.push({ line, record: result.data });
+      } else {
+        errors.push({ line, collectionId: record.collectionId, error: describe(result.error) });
+      }
+    } else if (kind === 'section') {
+      const result = importSectionSchema.safeParse(record);
+      if (result.success) {
+        const entry = { line, record: result.data };
+        sections.push(entry);
+        if (result.data.sectionId) bySectionId.set(result.data.sectionId, entry);
+      } else {
+        errors.push({ line, externalId: record.externalId || record.sectionId, error: describe(result.error) });
+      }
+    } else if (kind === 'chunk') {
+      const section = bySectionId.get(record.sectionId);
+      const result = importChunkSchema.safeParse(record);
+      if (!section) {
+        errors.push({ line, error: `Chunk of unknown section ${record.sectionId}` });
+      } else if (result.success) {
+        section.record.chunks = [...(section.record.chunks || []), result.data];
+      } else {
+        errors.push({ line, externalId: section.record.externalId || section.record.sectionId, error: describe(result.error) });
+      }
+    } else if (kind !== 'end') {
+      errors.push({ line, error: `Unknown record kind "${kind}"` });
+    }
+  }
+
+  return { collections, sections, errors };
+}
 
 /**
  * Data ingestion routes
  */
 export default async function dataRoutes(fastify, options) {
-  
+
+  // JSONL import bodies are parsed line by line in the route
+  fastify.addContentTypeParser(['application/x-ndjson', 'application/jsonl'], { parseAs: 'string' }, (request, body, done) => {
+    done(null, body);
+  });
+
   // Get supported file formats
   fastify.get('/formats', async (request, reply) => {
     return reply.send({
       success: true,
       formats: documentParserService.constructor.getSupportedFormats(),
+      tableFormats: documentParserService.constructor.getSupportedFormats(documentParserService.constructor.TABLE_TYPES),
       maxFileSize: documentParserService.constructor.MAX_FILE_SIZE,
       maxFiles: 10
     });
@@ -19,9 +187,11 @@ export default async function dataRoutes(fastify, options) {
 
   // Upload and parse documents
   fastify.post('/upload', {
-    preHandler: [fastify.authenticate, fastify.rateLimiter]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey, fastify.rateLimiter]
   }, async (request, reply) => {
     try {
+      const { onDuplicate } = uploadQuerySchema.parse(request.query);
+
       // Use parts() iterator to handle file upload properly
       const parts = request.parts();
       const files = [];
@@ -51,50 +221,44 @@ export default async function dataRoutes(fastify, options) {
         });
       }
 
-      const results = [];
+      const accepted = [];
       const errors = [];
+      const seenHashes = new Map();
 
-      // Process each file
+      // Reject unreadable, unsupported or duplicate files up front; the rest are queued
       for (const file of files) {
         try {
           // Validate buffer
           if (!file.buffer || file.buffer.length === 0) {
             throw new Error('File is empty or could not be read');
           }
-          
-          // Parse document
-          const parsed = await documentParserService.parseDocument(
-            file.buffer,
-            file.mimetype,
-            file.filename
-          );
-
-          // Register the extracted content
-          const section = {
-            type: 'document',
-            title: file.filename,
-            content: parsed.content,
-            metadata: {
-              ...parsed.metadata,
-              originalFilename: file.filename,
-              fileSize: file.buffer.length,
-              uploadedAt: new Date().toISOString()
+
+          documentParserService.validateFile(file.mimetype, file.buffer.length, file.filename);
+
+          file.fileHash = hashFile(file.buffer);
+
+          if (onDuplicate !== 'allow') {
+            if (seenHashes.has(file.fileHash)) {
+              throw new Error(`Same file as "${seenHashes.get(file.fileHash)}" in this upload`);
             }
-          };
+            seenHashes.set(file.fileHash, file.filename);
 
-          const result = await dataService.registerData(
-            request.tenantId,
-            [section],
-            request.tenant.limits
-          );
+            const duplicate = await duplicateService.findDuplicateSection(request.tenantId, { fileHash: file.fileHash });
+            if (duplicate && onDuplicate === 'reject') {
+              errors.push({
+                filename: file.filename,
+                error: `Duplicate of section ${duplicate.sectionId} ("${duplicate.title}")`,
+                duplicateOf: duplicate.sectionId,
+                resolution: 'Upload again with ?onDuplicate=replace to replace that section, or ?onDuplicate=allow to keep both'
+              });
+              continue;
+            }
+            if (duplicate) {
+              file.replaces = duplicate.sectionId;
+            }
+          }
 
-          results.push({
-            filename: file.filename,
-            sectionId: result.sections[0].sectionId,
-            chunkCount: result.sections[0].chunkCount,
-            contentLength: parsed.cleanedLength,
-            success: true
-          });
+          accepted.push(file);
         } catch (error) {
           errors.push({
             filename: file.filename,
@@ -103,17 +267,47 @@ export default async function dataRoutes(fastify, options) {
         }
       }
 
-      const statusCode = errors.length === 0 ? 201 : (results.length > 0 ? 207 : 400);
+      if (accepted.length === 0) {
+        return reply.code(400).send({
+          success: false,
+          uploaded: 0,
+          failed: errors.length,
+          errors,
+          message: 'None of the uploaded files can be processed'
+        });
+      }
+
+      const job = await jobService.enqueueUpload(
+        request.tenantId,
+        accepted,
+        request.tenant.limits,
+        { author: requestAuthor(request), onDuplicate }
+      );
 
-      return reply.code(statusCode).send({
+      return reply.code(202).send({
         success: errors.length === 0,
-        uploaded: results.length,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/data/jobs/${job.jobId}`,
+        queued: accepted.length,
         failed: errors.length,
-        results,
+        files: job.items.map(item => ({
+          filename: item.filename,
+          sectionId: item.sectionId,
+          status: item.status,
+          ...(item.replaced && { replaced: true })
+        })),
         errors: errors.length > 0 ? errors : undefined,
-        message: `Successfully uploaded ${results.length} of ${files.length} files`
+        message: `Queued ${accepted.length} of ${files.length} files for processing`
       });
     } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
       return reply.code(500).send({
         error: 'Upload failed',
         message: error.message
@@ -121,18 +315,64 @@ export default async function dataRoutes(fastify, options) {
     }
   });
 
+  // List ingestion jobs
+  fastify.get('/jobs', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const { skip = 0, limit = 20 } = request.query;
+      const result = await jobService.listJobs(
+        request.tenantId,
+        parseInt(skip),
+        parseInt(limit)
+      );
+
+      return reply.send({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      return reply.code(500).send({
+        error: 'Failed to list jobs',
+        message: error.message
+      });
+    }
+  });
+
+  // Get ingestion job status and per-file progress
+  fastify.get('/jobs/:jobId', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const { jobId } = request.params;
+      const job = await jobService.getJob(request.tenantId, jobId);
+
+      return reply.send({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      return reply.code(404).send({
+        error: 'Job not found',
+        message: error.message
+      });
+    }
+  });
+
   // List all data items (for frontend data registry)
   fastify.get('/', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
-      const { page = 1, limit = 20 } = request.query;
+      const { page = 1, limit = 20, tag = null, collection = null } = request.query;
+      const availability = sectionAvailabilitySchema.optional().parse(request.query.availability);
       const skip = (parseInt(page) - 1) * parseInt(limit);
       
       const result = await dataService.listSections(
         request.tenantId,
         skip,
-        parseInt(limit)
+        parseInt(limit),
+        { tag, collectionId: collection, availability, hasDraft: request.query.draft === 'true' }
       );
       
       return reply.send({
@@ -143,6 +383,13 @@ export default async function dataRoutes(fastify, options) {
         limit: parseInt(limit)
       });
     } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
       return reply.code(500).send({
         error: 'Failed to list data',
         message: error.message
@@ -152,29 +399,43 @@ export default async function dataRoutes(fastify, options) {
 
   // Register single data item (for frontend)
   fastify.post('/register', {
-    preHandler: [fastify.authenticate, fastify.rateLimiter]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey, fastify.rateLimiter]
   }, async (request, reply) => {
     try {
       const { title, content, metadata } = request.body;
+      const chunking = chunkingSettingsSchema.optional().parse(request.body.chunking);
+      const tags = tagsSchema.optional().parse(request.body.tags);
+      const collectionIds = collectionIdsSchema.optional().parse(request.body.collectionIds);
+      const externalId = externalIdSchema.optional().parse(request.body.externalId);
+      const publishAt = scheduleDateSchema.parse(request.body.publishAt);
+      const expiresAt = scheduleDateSchema.parse(request.body.expiresAt);
+      const draft = draftFlagSchema.parse(request.body.draft);
       
       // Wrap in sections format that the service expects
       const sections = [{
         type: 'general',
         title,
         content,
-        metadata: metadata || {}
+        metadata: metadata || {},
+        chunking,
+        tags,
+        collectionIds,
+        externalId,
+        publishAt,
+        expiresAt
       }];
       
       const result = await dataService.registerData(
         request.tenantId,
         sections,
-        request.tenant.limits
+        request.tenant.limits,
+        { author: requestAuthor(request), draft }
       );
       
       return reply.code(201).send({
         success: true,
         data: result.sections[0], // Return the first section
-        message: 'Data registered successfully'
+        message: draft ? 'Draft saved successfully' : 'Data registered successfully'
       });
     } catch (error) {
       return reply.code(400).send({
@@ -184,13 +445,331 @@ export default async function dataRoutes(fastify, options) {
     }
   });
 
+  // Create or update the section with a tenant-supplied external ID
+  fastify.put('/external/:externalId', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey, fastify.rateLimiter]
+  }, async (request, reply) => {
+    try {
+      const externalId = externalIdSchema.parse(request.params.externalId);
+      const section = externalSectionSchema.parse(request.body);
+
+      const { action, section: result } = await dataService.upsertSection(
+        request.tenantId,
+        externalId,
+        section,
+        request.tenant.limits,
+        { author: requestAuthor(request) }
+      );
+
+      return reply.code(action === 'created' ? 201 : 200).send({
+        success: true,
+        action,
+        data: result,
+        message: `Section ${action}`
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(400).send({
+        error: 'Failed to save section',
+        message: error.message
+      });
+    }
+  });
+
+  // Remove sections whose external ID is missing from a manifest
+  fastify.post('/sync', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey, fastify.rateLimiter]
+  }, async (request, reply) => {
+    try {
+      const { externalIds, prefix, dryRun } = syncManifestSchema.parse(request.body);
+
+      const result = await dataService.syncExternalIds(request.tenantId, externalIds, { prefix, dryRun });
+
+      return reply.send({
+        success: true,
+        data: result,
+        message: `${result.removed.length} ${dryRun ? 'to remove' : 'removed'}, ${result.kept} kept, ${result.missing.length} missing`
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(500).send({
+        error: 'Sync failed',
+        message: error.message
+      });
+    }
+  });
+
+  // Stream the knowledge base as JSONL
+  fastify.get('/export', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const { include } = exportQuerySchema.parse(request.query);
+      const date = new Date().toISOString().slice(0, 10);
+
+      return reply
+        .header('Content-Type', 'application/x-ndjson; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="knowledge-base-${date}.jsonl"`)
+        .send(Readable.from(transferService.exportLines(request.tenantId, { include })));
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(500).send({
+        error: 'Export failed',
+        message: error.message
+      });
+    }
+  });
+
+  // Upsert sections from a JSONL export or JSON records
+  fastify.post('/import', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey, fastify.rateLimiter],
+    bodyLimit: TRANSFER_CONFIG.maxImportBytes
+  }, async (request, reply) => {
+    try {
+      const { collections, sections, errors } = parseImportRecords(request.body);
+
+      if (sections.length === 0 && collections.length === 0) {
+        return reply.code(400).send({
+          success: false,
+          failed: errors.length,
+          errors,
+          message: 'The import contains no sections'
+        });
+      }
+
+      const { job, errors: importErrors } = await jobService.enqueueImport(
+        request.tenantId,
+        { collections, sections },
+        request.tenant.limits,
+        { author: requestAuthor(request) }
+      );
+
+      const allErrors = [...errors, ...importErrors].sort((a, b) => a.line - b.line);
+
+      return reply.code(202).send({
+        success: allErrors.length === 0,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/data/jobs/${job.jobId}`,
+        failed: allErrors.length,
+        data: {
+          sections: job.items.map(item => ({
+            line: item.line,
+            externalId: item.externalId,
+            status: item.status
+          }))
+        },
+        errors: allErrors.length > 0 ? allErrors : undefined,
+        message: `${job.items.length} sections queued for import, ${allErrors.length} failed`
+      });
+    } catch (error) {
+      return reply.code(400).send({
+        error: 'Import failed',
+        message: error.message
+      });
+    }
+  });
+
+  // Read the columns and first rows of a spreadsheet to build a column mapping
+  fastify.post('/import/table/preview', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const { file, fields } = await readTableUpload(request);
+      const source = tableSourceSchema.parse({ sheet: fields.sheet, delimiter: fields.delimiter });
+      const table = await documentParserService.parseTable(file.buffer, file.mimetype, file.filename, source);
+
+      return reply.send({
+        success: true,
+        data: {
+          filename: file.filename,
+          sheets: table.sheets,
+          sheet: table.sheet,
+          columns: table.columns,
+          rowCount: table.rows.length,
+          sampleRows: table.rows.slice(0, TABLE_PREVIEW_ROWS)
+        }
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(400).send({
+        error: 'Table preview failed',
+        message: error.message
+      });
+    }
+  });
+
+  // Import spreadsheet rows as sections using a column mapping
+  fastify.post('/import/table', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey, fastify.rateLimiter]
+  }, async (request, reply) => {
+    try {
+      const { file, fields } = await readTableUpload(request);
+
+      if (!fields.mapping) {
+        throw new Error('A mapping field with the column mapping is required');
+      }
+      let mapping;
+      try {
+        mapping = JSON.parse(fields.mapping);
+      } catch (error) {
+        throw new Error('The mapping field must be valid JSON');
+      }
+      mapping = tableMappingSchema.parse(mapping);
+
+      const table = await documentParserService.parseTable(file.buffer, file.mimetype, file.filename, mapping);
+      const drafts = documentParserService.tableToSections(table, mapping);
+
+      const accepted = [];
+      const errors = [];
+
+      // Invalid rows are reported; the rest are queued
+      for (const { rows, section } of drafts) {
+        const result = sectionSchema.safeParse({
+          ...section,
+          chunking: mapping.chunking,
+          tags: mapping.tags,
+          collectionIds: mapping.collectionIds
+        });
+
+        if (result.success) {
+          accepted.push({ rows, section: result.data });
+        } else {
+          errors.push({
+            filename: file.filename,
+            rows,
+            error: result.error.errors.map(issue => issue.message).join('; ')
+          });
+        }
+      }
+
+      if (accepted.length === 0) {
+        return reply.code(400).send({
+          success: false,
+          queued: 0,
+          failed: errors.length,
+          errors,
+          message: 'None of the rows can be imported'
+        });
+      }
+
+      const job = await jobService.enqueueBulk(
+        request.tenantId,
+        accepted.map(({ section }) => section),
+        request.tenant.limits,
+        { author: requestAuthor(request) }
+      );
+
+      return reply.code(202).send({
+        success: errors.length === 0,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/data/jobs/${job.jobId}`,
+        queued: accepted.length,
+        failed: errors.length,
+        sections: job.items.map((item, index) => ({
+          sectionId: item.sectionId,
+          title: item.title,
+          status: item.status,
+          rows: accepted[index].rows
+        })),
+        errors: errors.length > 0 ? errors : undefined,
+        message: `Queued ${accepted.length} of ${drafts.length} sections from ${table.rows.length} rows`
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(400).send({
+        error: 'Table import failed',
+        message: error.message
+      });
+    }
+  });
+
+  // Ingest a web page, given as raw HTML or a URL to fetch
+  fastify.post('/html', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey, fastify.rateLimiter]
+  }, async (request, reply) => {
+    try {
+      const body = ingestHtmlSchema.parse(request.body);
+
+      const job = await jobService.enqueueHtml(
+        request.tenantId,
+        body,
+        request.tenant.limits,
+        { author: requestAuthor(request) }
+      );
+      const [item] = job.items;
+
+      return reply.code(202).send({
+        success: true,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/data/jobs/${job.jobId}`,
+        data: {
+          sectionId: item.sectionId,
+          title: item.title,
+          status: item.status
+        },
+        message: 'Page queued; it is being parsed and embedded'
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(400).send({
+        error: 'HTML ingestion failed',
+        message: error.message
+      });
+    }
+  });
+
   // Update data item
   fastify.put('/:id', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
       const { title, content, metadata } = request.body;
+      const chunking = chunkingSettingsSchema.optional().parse(request.body.chunking);
+      const tags = tagsSchema.optional().parse(request.body.tags);
+      const collectionIds = collectionIdsSchema.optional().parse(request.body.collectionIds);
+      const publishAt = scheduleDateSchema.parse(request.body.publishAt);
+      const expiresAt = scheduleDateSchema.parse(request.body.expiresAt);
+      const draft = draftFlagSchema.parse(request.body.draft);
       
       const section = await dataService.getSection(request.tenantId, id);
       
@@ -200,17 +779,16 @@ export default async function dataRoutes(fastify, options) {
         });
       }
       
-      // Update the section
-      const updatedSection = await dataService.updateSection(
-        request.tenantId,
-        id,
-        { title, content, metadata }
-      );
+      // Update the section, or stage the edit as its draft
+      const updates = { title, content, metadata, chunking, tags, collectionIds, publishAt, expiresAt };
+      const updatedSection = draft
+        ? await dataService.saveDraft(request.tenantId, id, updates, { author: requestAuthor(request) })
+        : await dataService.updateSection(request.tenantId, id, updates, { author: requestAuthor(request) });
       
       return reply.send({
         success: true,
         data: updatedSection,
-        message: 'Data updated successfully'
+        message: draft ? 'Draft saved successfully' : 'Data updated successfully'
       });
     } catch (error) {
       return reply.code(500).send({
@@ -220,9 +798,106 @@ export default async function dataRoutes(fastify, options) {
     }
   });
 
+  // Duplicate clusters in the knowledge base
+  fastify.get('/duplicates', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const report = await duplicateService.getReport(request.tenantId);
+
+      return reply.send({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      return reply.code(500).send({
+        error: 'Failed to build duplicate report',
+        message: error.message
+      });
+    }
+  });
+
+  // List a data item's versions, newest first
+  fastify.get('/:id/versions', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const result = await versionService.listVersions(request.tenantId, id);
+
+      return reply.send({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      return sendVersionError(reply, error, 'Failed to list versions');
+    }
+  });
+
+  // Diff two versions of a data item
+  fastify.get('/:id/versions/diff', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { from, to } = versionDiffQuerySchema.parse(request.query);
+
+      const target = to ?? (await dataService.getSection(request.tenantId, id)).version;
+      if (!target) {
+        throw new Error('Current version not found');
+      }
+
+      const diff = await versionService.diffVersions(request.tenantId, id, from, target);
+
+      return reply.send({
+        success: true,
+        data: diff
+      });
+    } catch (error) {
+      return sendVersionError(reply, error, 'Failed to diff versions');
+    }
+  });
+
+  // Get one version of a data item, including its content
+  fastify.get('/:id/versions/:version', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const { id, version } = versionParamsSchema.parse(request.params);
+      const found = await versionService.getVersion(request.tenantId, id, version);
+
+      return reply.send({
+        success: true,
+        data: found
+      });
+    } catch (error) {
+      return sendVersionError(reply, error, 'Failed to get version');
+    }
+  });
+
+  // Restore a data item to an earlier version (re-embeds the content)
+  fastify.post('/:id/versions/:version/restore', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey, fastify.rateLimiter]
+  }, async (request, reply) => {
+    try {
+      const { id, version } = versionParamsSchema.parse(request.params);
+      const section = await dataService.restoreVersion(request.tenantId, id, version, {
+        author: requestAuthor(request)
+      });
+
+      return reply.send({
+        success: true,
+        data: section,
+        message: `Restored version ${version}`
+      });
+    } catch (error) {
+      return sendVersionError(reply, error, 'Failed to restore version');
+    }
+  });
+
   // Delete data item
   fastify.delete('/:id', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
@@ -240,22 +915,84 @@ export default async function dataRoutes(fastify, options) {
     }
   });
 
+  // Drop a section's draft
+  fastify.delete('/:id/draft', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const result = await dataService.discardDraft(request.tenantId, request.params.id);
+
+      return reply.send({
+        success: true,
+        data: result,
+        message: result.deleted ? 'Unpublished section deleted' : 'Draft discarded'
+      });
+    } catch (error) {
+      return reply.code(400).send({
+        error: 'Failed to discard draft',
+        message: error.message
+      });
+    }
+  });
+
+  // Publish drafts, all of them or the listed sections'
+  fastify.post('/publish', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey, fastify.rateLimiter]
+  }, async (request, reply) => {
+    try {
+      const { sectionIds } = publishDraftsSchema.parse(request.body || {});
+
+      const result = await dataService.publishDrafts(request.tenantId, {
+        sectionIds,
+        author: requestAuthor(request)
+      });
+
+      return reply.send({
+        success: true,
+        data: result.published,
+        message: `${result.published.length} drafts published`
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(400).send({
+        error: 'Publish failed',
+        message: error.message
+      });
+    }
+  });
+
   // Register data sections (original bulk endpoint)
   fastify.post('/bulk', {
-    preHandler: [fastify.authenticate, fastify.rateLimiter]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey, fastify.rateLimiter]
   }, async (request, reply) => {
     try {
       const { sections } = registerDataSchema.parse(request.body);
-      const result = await dataService.registerData(
+      const job = await jobService.enqueueBulk(
         request.tenantId,
         sections,
-        request.tenant.limits
+        request.tenant.limits,
+        { author: requestAuthor(request) }
       );
       
-      return reply.code(201).send({
+      return reply.code(202).send({
         success: true,
-        data: result,
-        message: 'Data registered and embeddings generated successfully'
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/data/jobs/${job.jobId}`,
+        data: {
+          sections: job.items.map(item => ({
+            sectionId: item.sectionId,
+            title: item.title,
+            status: item.status
+          }))
+        },
+        message: 'Data registered; embeddings are being generated'
       });
     } catch (error) {
       if (error.name === 'ZodError') {
@@ -274,7 +1011,7 @@ export default async function dataRoutes(fastify, options) {
 
   // List all sections
   fastify.get('/sections', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       const { skip = 0, limit = 50 } = request.query;
@@ -298,7 +1035,7 @@ export default async function dataRoutes(fastify, options) {
 
   // Get specific section
   fastify.get('/sections/:sectionId', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       const { sectionId } = request.params;
@@ -318,7 +1055,7 @@ export default async function dataRoutes(fastify, options) {
 
   // Delete section
   fastify.delete('/sections/:sectionId', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       const { sectionId } = request.params;
@@ -339,7 +1076,7 @@ export default async function dataRoutes(fastify, options) {
 
   // Get sections by type
   fastify.get('/sections/type/:type', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       const { type } = request.params;
@@ -0,0 +1,51 @@
+import searchService from '../services/search.service.js';
+import collectionService from '../services/collection.service.js';
+import { vectorSearchSchema } from '../schemas/validation.js';
+import { recordMonthlyUsage } from '../middleware/rate-limit.js';
+
+/**
+ * Search routes
+ */
+export default async function searchRoutes(fastify, options) {
+
+  // Search the knowledge base without generating an answer
+  fastify.post('/', {
+    preHandler: [fastify.authenticate, fastify.rateLimiter, fastify.checkSearchLimit]
+  }, async (request, reply) => {
+    try {
+      const data = vectorSearchSchema.parse(request.body);
+
+      const scope = collectionService.resolveScope(request.tenant.apiKeyScope, data.collectionIds);
+      if (scope.forbidden) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: `This API key has no access to collections: ${scope.forbidden.join(', ')}`
+        });
+      }
+
+      const result = await searchService.search(request.tenantId, request.tenant, {
+        ...data,
+        collectionIds: scope.collectionIds
+      });
+
+      await recordMonthlyUsage(request.tenantId, 'search');
+
+      return reply.send({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(500).send({
+        error: 'Search failed',
+        message: error.message
+      });
+    }
+  });
+}
@@ -1,5 +1,7 @@
 import tenantService from '../services/tenant.service.js';
-import { registerTenantSchema, loginTenantSchema, updateTenantSchema, updatePlanSchema } from '../schemas/validation.js';
+import chatService from '../services/chat.service.js';
+import collectionService from '../services/collection.service.js';
+import { registerTenantSchema, loginTenantSchema, updateTenantSchema, updatePlanSchema, personaPreviewSchema, createApiKeySchema } from '../schemas/validation.js';
 
 /**
  * Tenant routes
@@ -52,7 +54,7 @@ export default async function tenantRoutes(fastify, options) {
 
   // Get current tenant info
   fastify.get('/me', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       const tenant = await tenantService.getTenant(request.tenantId);
@@ -67,7 +69,11 @@ export default async function tenantRoutes(fastify, options) {
           limits: tenant.limits,
           status: tenant.status,
           createdAt: tenant.createdAt,
-          metadata: tenant.metadata
+          metadata: tenant.metadata,
+          retrieval: tenant.retrieval,
+          chunking: tenant.chunking,
+          llm: tenant.llm,
+          persona: tenant.persona
         }
       });
     } catch (error) {
@@ -80,10 +86,18 @@ export default async function tenantRoutes(fastify, options) {
 
   // Update tenant settings
   fastify.patch('/me', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       const updates = updateTenantSchema.parse(request.body);
+
+      if (updates.llm?.model && !chatService.isModelAllowed(request.tenant.plan, updates.llm.model)) {
+        return reply.code(403).send({
+          error: 'Model not available',
+          message: `Model "${updates.llm.model}" is not available on the ${request.tenant.plan} plan`
+        });
+      }
+
       const tenant = await tenantService.updateTenant(request.tenantId, updates);
       
       return reply.send({
@@ -93,7 +107,11 @@ export default async function tenantRoutes(fastify, options) {
           email: tenant.email,
           businessName: tenant.businessName,
           plan: tenant.plan,
-          metadata: tenant.metadata
+          metadata: tenant.metadata,
+          retrieval: tenant.retrieval,
+          chunking: tenant.chunking,
+          llm: tenant.llm,
+          persona: tenant.persona
         },
         message: 'Tenant updated successfully'
       });
@@ -112,9 +130,36 @@ export default async function tenantRoutes(fastify, options) {
     }
   });
 
+  // Render the persona templates for a sample query, with optional unsaved changes
+  fastify.post('/me/persona/preview', {
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
+  }, async (request, reply) => {
+    try {
+      const options = personaPreviewSchema.parse(request.body || {});
+      const preview = chatService.previewPersona(request.tenant, options);
+
+      return reply.send({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      return reply.code(500).send({
+        error: 'Preview failed',
+        message: error.message
+      });
+    }
+  });
+
   // Change subscription plan
   fastify.post('/plan', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       const { plan } = updatePlanSchema.parse(request.body);
@@ -145,11 +190,16 @@ export default async function tenantRoutes(fastify, options) {
 
   // Create new API key
   fastify.post('/api-keys', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
-      const { name = 'API Key' } = request.body;
-      const result = await tenantService.createApiKey(request.tenantId, name);
+      const { name, collectionIds } = createApiKeySchema.parse(request.body || {});
+
+      if (collectionIds) {
+        await collectionService.assertCollectionsExist(request.tenantId, collectionIds);
+      }
+
+      const result = await tenantService.createApiKey(request.tenantId, name, collectionIds);
       
       return reply.code(201).send({
         success: true,
@@ -157,6 +207,20 @@ export default async function tenantRoutes(fastify, options) {
         message: 'API key created successfully. Save it securely - it will not be shown again.'
       });
     } catch (error) {
+      if (error.name === 'ZodError') {
+        return reply.code(400).send({
+          error: 'Validation error',
+          details: error.errors
+        });
+      }
+
+      if (error.message.startsWith('Collection not found')) {
+        return reply.code(400).send({
+          error: 'Failed to create API key',
+          message: error.message
+        });
+      }
+
       return reply.code(500).send({
         error: 'Failed to create API key',
         message: error.message
@@ -166,7 +230,7 @@ export default async function tenantRoutes(fastify, options) {
 
   // Delete tenant account
   fastify.delete('/me', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       await tenantService.deleteTenant(request.tenantId);
@@ -185,7 +249,7 @@ export default async function tenantRoutes(fastify, options) {
 
   // Get usage statistics
   fastify.get('/usage', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       const stats = await tenantService.getUsageStats(request.tenantId);
@@ -210,7 +274,7 @@ export default async function tenantRoutes(fastify, options) {
 
   // List API keys (shows only hints)
   fastify.get('/api-keys', {
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticate, fastify.requireUnscopedKey]
   }, async (request, reply) => {
     try {
       const apiKeys = await tenantService.listApiKeys(request.tenantId);
@@ -1,4 +1,7 @@
 import { z } from 'zod';
+import { validateTemplate } from '../utils/prompts.js';
+import { validateFilter } from '../utils/metadata-filter.js';
+import { SECTION_AVAILABILITY } from '../utils/constants.js';
 
 /**
  * Validation schemas for API requests
@@ -18,33 +21,265 @@ export const loginTenantSchema = z.object({
   password: z.string().min(1, 'Password is required')
 });
 
+export const retrievalSettingsSchema = z.object({
+  fusion: z.enum(['rrf', 'weighted']).optional(),
+  vectorWeight: z.number().min(0).max(10).optional(),
+  lexicalWeight: z.number().min(0).max(10).optional(),
+  rrfK: z.number().int().min(1).max(1000).optional(),
+  reranker: z.enum(['none', 'cross-encoder', 'llm']).optional(),
+  rerankCandidates: z.number().int().min(5).max(100).optional(),
+  mmrLambda: z.number().min(0).max(1).optional(),
+  queryRewriting: z.boolean().optional()
+}).refine(
+  settings => settings.vectorWeight !== 0 || settings.lexicalWeight !== 0,
+  'At least one of vectorWeight or lexicalWeight must be greater than 0'
+);
+
+export const chunkingSettingsSchema = z.object({
+  size: z.number().int().min(50).max(2000).optional(),
+  overlap: z.number().int().min(0).max(500).optional()
+}).refine(
+  settings => settings.size === undefined || settings.overlap === undefined || settings.overlap < settings.size,
+  'Chunk overlap must be smaller than chunk size'
+);
+
+export const llmSettingsSchema = z.object({
+  // null resets to the platform default model
+  model: z.string().min(1).max(100).nullable().optional()
+});
+
+/**
+ * Optional prompt template of the given kind, checked for known placeholders
+ */
+const promptTemplate = (kind, maxLength) => z.string().min(1).max(maxLength)
+  .superRefine((template, ctx) => {
+    for (const message of validateTemplate(template, kind)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message });
+    }
+  })
+  .nullable()
+  .optional();
+
+// null resets a field to its default
+export const personaSettingsSchema = z.object({
+  name: z.string().min(1).max(50).nullable().optional(),
+  tone: z.string().min(1).max(100).nullable().optional(),
+  language: z.string().min(2).max(50).nullable().optional(),
+  instructions: z.string().min(1).max(2000).nullable().optional(),
+  greeting: promptTemplate('greeting', 500),
+  fallbackMessage: promptTemplate('fallbackMessage', 500),
+  forbiddenTopics: z.array(z.string().min(1).max(100)).max(50).optional(),
+  systemPrompt: promptTemplate('systemPrompt', 4000),
+  userPrompt: promptTemplate('userPrompt', 4000)
+});
+
+export const personaPreviewSchema = z.object({
+  // Unsaved changes to preview on top of the stored persona
+  persona: personaSettingsSchema.optional(),
+  query: z.string().min(1).max(500).default('What is your return policy?'),
+  context: z.string().max(10000).default('[1] Returns Policy: Items can be returned within 30 days of delivery.')
+});
+
 export const updateTenantSchema = z.object({
   businessName: z.string().min(2).optional(),
   metadata: z.record(z.any()).optional(),
-  contactEmail: z.string().email().optional()
+  contactEmail: z.string().email().optional(),
+  retrieval: retrievalSettingsSchema.optional(),
+  chunking: chunkingSettingsSchema.optional(),
+  llm: llmSettingsSchema.optional(),
+  persona: personaSettingsSchema.optional()
+});
+
+export const tagsSchema = z.array(z.string().trim().min(1).max(50)).max(20)
+  .transform(tags => [...new Set(tags)]);
+
+export const collectionIdsSchema = z.array(z.string().min(1)).max(20);
+
+// Tenant-supplied section ID, e.g. a CMS entry ID; unique per tenant
+export const externalIdSchema = z.string().trim().min(1, 'External ID is required').max(200);
+
+// publishAt / expiresAt; null clears the date
+export const scheduleDateSchema = z.coerce.date().nullable().optional();
+
+export const sectionAvailabilitySchema = z.enum(SECTION_AVAILABILITY);
+
+export const sectionSchema = z.object({
+  externalId: externalIdSchema.optional(),
+  type: z.enum(['faq', 'product', 'policy', 'general']),
+  title: z.string().min(1, 'Title is required'),
+  content: z.string().min(10, 'Content must be at least 10 characters'),
+  metadata: z.record(z.any()).optional(),
+  chunking: chunkingSettingsSchema.optional(),
+  tags: tagsSchema.optional(),
+  collectionIds: collectionIdsSchema.optional(),
+  publishAt: scheduleDateSchema,
+  expiresAt: scheduleDateSchema
+});
+
+// Stage a write as a draft instead of publishing it
+export const draftFlagSchema = z.boolean().optional().default(false);
+
+export const publishDraftsSchema = z.object({
+  // All of the tenant's drafts when omitted
+  sectionIds: z.array(z.string().min(1)).min(1).max(1000).optional()
 });
 
 export const registerDataSchema = z.object({
-  sections: z.array(z.object({
-    type: z.enum(['faq', 'product', 'policy', 'general']),
-    title: z.string().min(1, 'Title is required'),
-    content: z.string().min(10, 'Content must be at least 10 characters'),
-    metadata: z.record(z.any()).optional()
-  })).min(1, 'At least one section is required')
+  sections: z.array(sectionSchema).min(1, 'At least one section is required')
+});
+
+// PUT /external/:externalId sends the whole section; omitted metadata, tags and collections are cleared
+export const externalSectionSchema = sectionSchema.omit({ externalId: true }).extend({
+  type: z.enum(['faq', 'product', 'policy', 'general']).default('general')
+});
+
+export const syncManifestSchema = z.object({
+  // Every external ID the source still has
+  externalIds: z.array(externalIdSchema).max(10000),
+  // Only sync sections whose external ID starts with this
+  prefix: z.string().min(1).max(200).optional(),
+  dryRun: z.boolean().optional().default(false),
+  // An empty manifest removes every section in scope, so it must be asked for
+  allowEmpty: z.boolean().optional().default(false)
+}).refine(
+  manifest => manifest.externalIds.length > 0 || manifest.allowEmpty,
+  { message: 'The manifest must list at least one external ID; set allowEmpty to remove every section in scope', path: ['externalIds'] }
+);
+
+// Where to read a table from: the XLSX sheet (default: first) or the CSV delimiter (default: detected)
+export const tableSourceSchema = z.object({
+  sheet: z.string().min(1).optional(),
+  delimiter: z.enum([',', ';', '\t', '|']).optional()
+});
+
+// How table columns become sections; see DocumentParserService.tableToSections
+export const tableMappingSchema = tableSourceSchema.extend({
+  titleColumn: z.string().min(1, 'titleColumn is required'),
+  contentColumns: z.array(z.string().min(1)).min(1, 'At least one content column is required').max(20),
+  metadataColumns: z.array(z.string().min(1)).max(50).default([]),
+  type: z.enum(['faq', 'product', 'policy', 'general']).default('general'),
+  groupBy: z.string().min(1).optional(),
+  chunking: chunkingSettingsSchema.optional(),
+  tags: tagsSchema.optional(),
+  collectionIds: collectionIdsSchema.optional()
+});
+
+export const ingestHtmlSchema = z.object({
+  html: z.string().min(1).optional(),
+  url: z.string().url().refine(url => /^https?:\/\//i.test(url), 'URL must use http or https').optional(),
+  title: z.string().min(1).max(500).optional(),
+  type: z.enum(['faq', 'product', 'policy', 'general', 'document']).default('document'),
+  metadata: z.record(z.any()).optional(),
+  chunking: chunkingSettingsSchema.optional(),
+  tags: tagsSchema.optional(),
+  collectionIds: collectionIdsSchema.optional()
+}).refine(body => Boolean(body.html) !== Boolean(body.url), 'Provide either html or url');
+
+// Filter expression over section metadata; see utils/metadata-filter.js
+export const metadataFilterSchema = z.record(z.any()).superRefine((filter, ctx) => {
+  for (const message of validateFilter(filter)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message });
+  }
 });
 
 export const chatQuerySchema = z.object({
   query: z.string().min(1, 'Query is required').max(500, 'Query too long'),
   sessionId: z.string().optional(),
-  includeMetadata: z.boolean().optional().default(false)
+  includeMetadata: z.boolean().optional().default(false),
+  filter: metadataFilterSchema.optional(),
+  collectionIds: collectionIdsSchema.optional()
+});
+
+// Preview answers are not recorded in a session
+export const previewQuerySchema = chatQuerySchema.omit({ sessionId: true });
+
+export const createSessionSchema = z.object({
+  metadata: z.record(z.any()).optional().default({})
+});
+
+export const sessionListQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  page: z.coerce.number().int().min(1).optional().default(1),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(20)
+});
+
+export const sessionTranscriptQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional()
 });
 
 export const updatePlanSchema = z.object({
   plan: z.enum(['free', 'pro', 'enterprise'])
 });
 
+
 export const vectorSearchSchema = z.object({
-  query: z.string().min(1),
+  query: z.string().min(1).max(500, 'Query too long'),
   limit: z.number().int().min(1).max(20).optional().default(5),
-  minScore: z.number().min(0).max(1).optional().default(0.70)
+  page: z.number().int().min(1).optional().default(1),
+  minScore: z.number().min(0).max(1).optional().default(0.70),
+  sectionType: z.enum(['faq', 'product', 'policy', 'general', 'document']).optional(),
+  filter: metadataFilterSchema.optional(),
+  collectionIds: collectionIdsSchema.optional()
+});
+
+export const createCollectionSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  description: z.string().max(500).nullable().optional()
+});
+
+export const updateCollectionSchema = createCollectionSchema.partial();
+
+export const collectionMembershipSchema = z.object({
+  sectionIds: z.array(z.string().min(1)).min(1, 'At least one section is required').max(500)
+});
+
+export const createApiKeySchema = z.object({
+  name: z.string().min(1).max(100).optional().default('API Key'),
+  // Restrict chat and search with this key to these collections
+  collectionIds: collectionIdsSchema.optional()
+});
+
+export const versionParamsSchema = z.object({
+  id: z.string().min(1),
+  version: z.coerce.number().int().min(1)
+});
+
+export const versionDiffQuerySchema = z.object({
+  from: z.coerce.number().int().min(1),
+  // Defaults to the section's current version
+  to: z.coerce.number().int().min(1).optional()
+});
+
+export const uploadQuerySchema = z.object({
+  // What to do with a file already in the knowledge base
+  onDuplicate: z.enum(['reject', 'replace', 'allow']).optional().default('reject')
+});
+
+export const exportQuerySchema = z.object({
+  // 'chunks' adds each section's chunks; 'embeddings' adds their vectors too
+  include: z.enum(['sections', 'chunks', 'embeddings']).optional().default('sections')
+});
+
+export const importChunkSchema = z.object({
+  position: z.number().int().min(0).optional(),
+  headingPath: z.string().nullable().optional(),
+  text: z.string().min(1),
+  tokenCount: z.number().int().min(0).optional(),
+  embedding: z.array(z.number()).optional(),
+  embeddingProvider: z.string().optional(),
+  embeddingModel: z.string().optional(),
+  embeddingDimensions: z.number().int().optional()
+});
+
+// A section record of an import; exports also contain uploaded 'document' sections
+export const importSectionSchema = sectionSchema.extend({
+  type: z.enum(['faq', 'product', 'policy', 'general', 'document']),
+  sectionId: z.string().min(1).optional(),
+  chunks: z.array(importChunkSchema).optional()
+}).refine(record => record.externalId || record.sectionId, 'externalId is required');
+
+export const importCollectionSchema = createCollectionSchema.extend({
+  collectionId: z.string().min(1)
 });
@@ -1,24 +1,107 @@
-import Groq from 'groq-sdk';
 import vectorSearchService from './vector-search.service.js';
+import conversationService from './conversation.service.js';
 import redis from '../db/redis.js';
+import { createLlmProviders } from './llm-providers/index.js';
+import { CHAT_MODELS, QUERY_REWRITING } from '../utils/constants.js';
+import { DEFAULT_TEMPLATES, DEFAULT_TONE, renderTemplate } from '../utils/prompts.js';
+import { parseCitations } from '../utils/citations.js';
 import { retryWithBackoff, estimateTokens } from '../utils/helpers.js';
 import pino from 'pino';
 
 const logger = pino();
 
+// Exchanges kept in the prompt history and how long the Redis copy lives
+const HISTORY_EXCHANGES = 10;
+const HISTORY_TTL = 3600; // 1 hour
+
 class ChatService {
   constructor() {
-    this.groq = null;
+    this.provider = null;
+    this.fallbackProvider = null;
+  }
+
+  /**
+   * Initialize the chat providers selected via LLM_PROVIDER and
+   * LLM_FALLBACK_PROVIDER. Pass provider instances to override config.
+   */
+  async initialize({ primary = null, fallback = undefined } = {}) {
+    const configured = primary ? { primary, fallback: fallback ?? null } : createLlmProviders();
+
+    this.provider = configured.primary;
+    this.fallbackProvider = configured.fallback;
+
+    await this.provider.initialize();
+    if (this.fallbackProvider) {
+      await this.fallbackProvider.initialize();
+    }
+
+    if (this.provider.name === 'stub') {
+      logger.warn('🔶 Using STUB chat completions - suitable for development only!');
+    }
+
+    logger.info({
+      provider: this.provider.name,
+      model: this.provider.defaultModel,
+      fallbackProvider: this.fallbackProvider?.name || null,
+      fallbackModel: this.fallbackProvider?.defaultModel || null
+    }, 'Chat providers initialized');
   }
 
-  initialize() {
-    const apiKey = process.env.GROQ_API_KEY;
-    if (!apiKey) {
-      throw new Error('GROQ_API_KEY is not defined');
+  /**
+   * Check whether a tenant on the given plan may select a chat model.
+   * The primary provider's default model is always allowed.
+   */
+  isModelAllowed(plan, model) {
+    if (!model || model === this.provider?.defaultModel) {
+      return true;
+    }
+
+    const allowed = CHAT_MODELS[plan] || [];
+    return allowed.includes('*') || allowed.includes(model);
+  }
+
+  /**
+   * Chat model for a tenant: its selected model when the plan allows it,
+   * otherwise the primary provider's default
+   */
+  resolveModel(tenant) {
+    const model = tenant.llm?.model;
+
+    if (model && !this.isModelAllowed(tenant.plan, model)) {
+      logger.warn({ tenantId: tenant.tenantId, plan: tenant.plan, model }, 'Chat model not available on plan, using default');
+      return this.provider.defaultModel;
     }
 
-    this.groq = new Groq({ apiKey });
-    logger.info('Using Groq for chat completion');
+    return model || this.provider.defaultModel;
+  }
+
+  /**
+   * Call the primary provider with retries, failing over to the secondary
+   * provider (with its own default model) once retries are exhausted.
+   * `method` is 'complete' or 'openStream'.
+   */
+  async generate(tenant, messages, method) {
+    const request = this.buildCompletionRequest(tenant, messages);
+
+    try {
+      const result = await retryWithBackoff(() => this.provider[method](request));
+      return { result, provider: this.provider.name, model: request.model };
+    } catch (error) {
+      if (!this.fallbackProvider) {
+        throw error;
+      }
+
+      logger.warn({
+        error: error.message,
+        tenantId: tenant.tenantId,
+        provider: this.provider.name,
+        fallbackProvider: this.fallbackProvider.name
+      }, 'Primary chat provider failed, failing over');
+
+      const fallbackRequest = { ...request, model: this.fallbackProvider.defaultModel };
+      const result = await retryWithBackoff(() => this.fallbackProvider[method](fallbackRequest));
+      return { result, provider: this.fallbackProvider.name, model: fallbackRequest.model };
+    }
   }
 
   /**
@@ -26,187 +109,495 @@ class ChatService {
    */
   async processQuery(tenantId, tenant, query, options = {}) {
     try {
-      const { sessionId = null, includeMetadata = false } = options;
-
-      // Check if this is a greeting or general conversation starter
-      const greetings = ['hi', 'hello', 'hey', 'greetings', 'good morning', 'good afternoon', 'good evening'];
-      const queryLower = query.toLowerCase().trim();
-      const isGreeting = greetings.some(greeting => 
-        queryLower === greeting || 
-        queryLower.startsWith(greeting + ' ') ||
-        queryLower.startsWith(greeting + ',')
-      );
+      const { sessionId = null } = options;
+      const startedAt = Date.now();
 
-      if (isGreeting) {
-        return {
-          answer: `Hello! I'm the AI assistant for ${tenant.businessName}. How can I help you today? Feel free to ask me any questions about our products, services, or policies.`,
-          confidence: 'high',
-          sources: []
-        };
+      const prepared = await this.prepareQuery(tenantId, tenant, query, options);
+
+      if (prepared.response) {
+        if (sessionId) {
+          await this.recordExchange(tenantId, sessionId, query, prepared.response, { startedAt });
+        }
+        return prepared.response;
       }
 
-      // Perform vector search to get relevant context
-      const searchResults = await vectorSearchService.search(tenantId, query, {
-        limit: 5,
-        minScore: 0.70
-      });
+      const generation = await this.generate(tenant, prepared.messages, 'complete');
+      const { result } = generation;
 
-      if (searchResults.length === 0) {
-        return {
-          answer: "I don't have enough information to answer that question. Please provide more context or rephrase your question, or try asking about our products, services, or policies.",
-          confidence: 'low',
-          sources: []
-        };
-      }
+      const response = result.content || "I couldn't generate a response.";
+      const responseData = this.buildResponse(tenantId, query, response, { ...prepared, generation }, options);
 
-      // Build context from search results
-      const context = searchResults
-        .map((result, idx) => `[${idx + 1}] ${result.sectionTitle}: ${result.text}`)
-        .join('\n\n');
-
-      // Build prompt
-      const systemPrompt = this.buildSystemPrompt(tenant.businessName);
-      const userPrompt = this.buildUserPrompt(query, context);
-
-      // Get chat history if session exists
-      const history = sessionId ? await this.getHistory(sessionId) : [];
-
-      // Build messages array for Groq
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        ...history,
-        { role: 'user', content: userPrompt }
-      ];
-
-      // Generate response using Groq
-      const result = await retryWithBackoff(async () => {
-        return await this.groq.chat.completions.create({
-          model: process.env.CHAT_MODEL || 'llama-3.3-70b-versatile',
-          messages: messages,
-          max_tokens: Math.min(tenant.limits.tokensPerRequest, 2048),
-          temperature: 0.7,
+      // Save to history if session exists
+      if (sessionId) {
+        await this.recordExchange(tenantId, sessionId, query, responseData, {
+          startedAt,
+          usage: result.usage,
+          context: prepared.context,
+          model: generation.model
         });
-      });
+      }
+
+      return responseData;
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'Failed to process chat query');
+      throw error;
+    }
+  }
 
-      const response = result.choices[0]?.message?.content || "I couldn't generate a response.";
+  /**
+   * Process chat query with RAG, yielding answer deltas as they are generated.
+   * Yields `{ type: 'delta', content }` events followed by a single
+   * `{ type: 'done', data }` event carrying the same payload as processQuery.
+   */
+  async *streamQuery(tenantId, tenant, query, options = {}) {
+    const { sessionId = null, signal = null } = options;
+    const startedAt = Date.now();
 
-      // Save to history if session exists
+    const prepared = await this.prepareQuery(tenantId, tenant, query, options);
+
+    if (prepared.response) {
       if (sessionId) {
-        await this.saveToHistory(sessionId, query, response);
+        await this.recordExchange(tenantId, sessionId, query, prepared.response, { startedAt });
+      }
+      yield { type: 'delta', content: prepared.response.answer };
+      yield { type: 'done', data: prepared.response };
+      return;
+    }
+
+    // Failover is only possible before the first token is sent
+    const generation = await this.generate(tenant, prepared.messages, 'openStream');
+    const stream = generation.result;
+
+    let response = '';
+    let usage = null;
+
+    for await (const chunk of stream) {
+      if (signal?.aborted) {
+        stream.abort();
+        logger.info({ tenantId, sessionId }, 'Chat stream aborted by client');
+        return;
       }
 
-      // Determine confidence based on search scores
-      const avgScore = searchResults.reduce((sum, r) => sum + r.score, 0) / searchResults.length;
-      const confidence = avgScore > 0.85 ? 'high' : avgScore > 0.70 ? 'medium' : 'low';
-
-      const responseData = {
-        answer: response,
-        confidence,
-        sources: searchResults.map(r => ({
-          sectionId: r.sectionId,
-          title: r.sectionTitle,
-          type: r.sectionType,
-          score: r.score
-        }))
+      if (chunk.content) {
+        response += chunk.content;
+        yield { type: 'delta', content: chunk.content };
+      }
+
+      usage = chunk.usage || usage;
+    }
+
+    if (!response) {
+      response = "I couldn't generate a response.";
+      yield { type: 'delta', content: response };
+    }
+
+    const responseData = this.buildResponse(tenantId, query, response, { ...prepared, generation }, options);
+
+    // Save to history once the full answer is known
+    if (sessionId) {
+      await this.recordExchange(tenantId, sessionId, query, responseData, {
+        startedAt,
+        usage,
+        context: prepared.context,
+        model: generation.model
+      });
+    }
+
+    yield { type: 'done', data: responseData };
+  }
+
+  /**
+   * Run retrieval and build the completion messages for a query.
+   * Returns `{ response }` when the query can be answered without the LLM.
+   * `preview` answers from draft content as if it were published.
+   */
+  async prepareQuery(tenantId, tenant, query, options = {}) {
+    const {
+      sessionId = null,
+      includeMetadata = false,
+      filter = null,
+      collectionIds = null,
+      preview = false
+    } = options;
+
+    // Check if this is a greeting or general conversation starter
+    const greetings = ['hi', 'hello', 'hey', 'greetings', 'good morning', 'good afternoon', 'good evening'];
+    const queryLower = query.toLowerCase().trim();
+    const isGreeting = greetings.some(greeting => 
+      queryLower === greeting || 
+      queryLower.startsWith(greeting + ' ') ||
+      queryLower.startsWith(greeting + ',')
+    );
+
+    if (isGreeting) {
+      return {
+        response: {
+          answer: this.buildGreeting(tenant),
+          confidence: 'high',
+          sources: [],
+          citations: []
+        }
+      };
+    }
+
+    // Get chat history if session exists
+    const history = sessionId ? await this.getHistory(tenantId, sessionId) : [];
+
+    // Follow-ups like "what about Canada?" need the conversation to be searchable
+    const rewrittenQuery = await this.rewriteQuery(tenantId, tenant, history, query);
+
+    // Perform vector search to get relevant context
+    const searchResults = await vectorSearchService.search(tenantId, rewrittenQuery || query, {
+      limit: 5,
+      minScore: 0.70,
+      filter,
+      collectionIds,
+      preview,
+      retrieval: tenant.retrieval
+    });
+
+    if (searchResults.length === 0) {
+      const response = {
+        answer: this.buildFallbackMessage(tenant),
+        confidence: 'low',
+        sources: [],
+        citations: []
       };
 
       if (includeMetadata) {
-        responseData.metadata = {
-          searchResultsCount: searchResults.length,
-          averageScore: avgScore,
-          tokensUsed: estimateTokens(context + query + response)
-        };
+        response.metadata = { searchResultsCount: 0, rewrittenQuery };
       }
 
-      logger.info({ tenantId, confidence, sourcesCount: searchResults.length }, 'Chat query processed');
+      return { response };
+    }
 
-      return responseData;
+    // Build context from search results
+    const context = searchResults
+      .map((result, idx) => {
+        const heading = result.headingPath ? ` > ${result.headingPath}` : '';
+        return `[${idx + 1}] ${result.sectionTitle}${heading}: ${result.text}`;
+      })
+      .join('\n\n');
+
+    // Build prompt
+    const systemPrompt = this.buildSystemPrompt(tenant);
+    const userPrompt = this.buildUserPrompt(tenant, query, context);
+
+    // Build messages array for the chat provider
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      ...history,
+      { role: 'user', content: userPrompt }
+    ];
+
+    return { searchResults, context, messages, rewrittenQuery };
+  }
+
+  /**
+   * Condense recent history and a follow-up into a standalone search query.
+   * Returns null when there is no history, rewriting is disabled for the
+   * tenant, or the rewrite fails; the raw query is searched instead.
+   */
+  async rewriteQuery(tenantId, tenant, history, query) {
+    const enabled = tenant.retrieval?.queryRewriting ?? QUERY_REWRITING.enabled;
+    if (!enabled || history.length === 0) {
+      return null;
+    }
+
+    const conversation = history
+      .slice(-QUERY_REWRITING.historyExchanges * 2)
+      .map(message => {
+        const speaker = message.role === 'user' ? 'User' : 'Assistant';
+        return `${speaker}: ${message.content.slice(0, QUERY_REWRITING.maxMessageLength)}`;
+      })
+      .join('\n');
+
+    try {
+      const { content } = await this.provider.complete({
+        model: this.resolveModel(tenant),
+        messages: [
+          {
+            role: 'system',
+            content: 'Rewrite the follow-up question as a standalone search query that can be understood without the conversation. ' +
+              'Resolve pronouns and references using the conversation. Keep the language of the question. ' +
+              'Reply with only the rewritten query.'
+          },
+          { role: 'user', content: `Conversation:\n${conversation}\n\nFollow-up question:\n${query}` }
+        ],
+        maxTokens: 100,
+        temperature: 0
+      });
+
+      const rewritten = content.trim().replace(/^["']|["']$/g, '');
+      if (!rewritten || rewritten.length > 500) {
+        return null;
+      }
+
+      logger.info({ tenantId, query, rewrittenQuery: rewritten }, 'Query rewritten');
+
+      return rewritten;
     } catch (error) {
-      logger.error({ error: error.message, tenantId }, 'Failed to process chat query');
-      throw error;
+      logger.warn({ error: error.message, tenantId }, 'Query rewriting failed, searching the raw query');
+      return null;
+    }
+  }
+
+  /**
+   * Build provider-neutral completion request parameters
+   */
+  buildCompletionRequest(tenant, messages) {
+    return {
+      model: this.resolveModel(tenant),
+      messages: messages,
+      maxTokens: Math.min(tenant.limits.tokensPerRequest, 2048),
+      temperature: 0.7,
+    };
+  }
+
+  /**
+   * Build the response payload from a generated answer
+   */
+  buildResponse(tenantId, query, response, prepared, options = {}) {
+    const { includeMetadata = false } = options;
+    const { searchResults, context, generation, rewrittenQuery = null } = prepared;
+
+    // Determine confidence based on search scores
+    const avgScore = searchResults.reduce((sum, r) => sum + r.score, 0) / searchResults.length;
+    const confidence = avgScore > 0.85 ? 'high' : avgScore > 0.70 ? 'medium' : 'low';
+
+    const citations = parseCitations(response, searchResults);
+    const invalidCitations = citations.filter(citation => !citation.valid);
+    if (invalidCitations.length > 0) {
+      logger.warn({
+        tenantId,
+        markers: invalidCitations.map(citation => citation.marker),
+        contextSize: searchResults.length
+      }, 'Answer cites sources outside the context');
     }
+
+    const responseData = {
+      answer: response,
+      confidence,
+      sources: searchResults.map(r => ({
+        sectionId: r.sectionId,
+        title: r.sectionTitle,
+        headingPath: r.headingPath || null,
+        type: r.sectionType,
+        score: r.score
+      })),
+      citations
+    };
+
+    if (includeMetadata) {
+      responseData.metadata = {
+        searchResultsCount: searchResults.length,
+        averageScore: avgScore,
+        tokensUsed: estimateTokens(context + query + response),
+        provider: generation?.provider || null,
+        model: generation?.model || null,
+        invalidCitations: invalidCitations.length,
+        rewrittenQuery
+      };
+    }
+
+    logger.info({ tenantId, confidence, sourcesCount: searchResults.length }, 'Chat query processed');
+
+    return responseData;
+  }
+
+  /**
+   * Template variables shared by a tenant's persona templates
+   */
+  templateVariables(tenant) {
+    const persona = tenant.persona || {};
+
+    return {
+      businessName: tenant.businessName,
+      personaName: persona.name || 'the AI assistant',
+      tone: persona.tone || DEFAULT_TONE,
+      language: persona.language || ''
+    };
   }
 
   /**
-   * Build system prompt
+   * Build the system prompt from the tenant's template, followed by the
+   * citation and persona rules that apply whatever the template says
    */
-  buildSystemPrompt(businessName) {
-    return `You are a helpful AI assistant for ${businessName}. 
-Your role is to answer customer questions accurately based on the provided context.
+  buildSystemPrompt(tenant) {
+    const persona = tenant.persona || {};
+    const template = persona.systemPrompt || DEFAULT_TEMPLATES.systemPrompt;
+    const sections = [
+      renderTemplate(template, this.templateVariables(tenant)),
+      'Citations:\n- After each statement taken from the context, cite the entries it comes from by number in square brackets, e.g. [1] or [2][3]\n- Only cite numbers that appear in the context'
+    ];
+
+    const rules = [];
+    if (persona.name) {
+      rules.push(`- Your name is ${persona.name}`);
+    }
+    if (persona.language) {
+      rules.push(`- Always answer in ${persona.language}, whatever the language of the question or context`);
+    }
+    if (persona.forbiddenTopics?.length > 0) {
+      rules.push(`- Never discuss these topics: ${persona.forbiddenTopics.join(', ')}. If asked, politely decline and offer help with something else`);
+    }
+    if (rules.length > 0) {
+      sections.push(`Persona rules:\n${rules.join('\n')}`);
+    }
 
-Guidelines:
-- Answer questions using ONLY the information provided in the context
-- Be concise and helpful
-- If the context doesn't contain enough information, acknowledge the limitation
-- Maintain a professional and friendly tone
-- Do not make up information that isn't in the context`;
+    if (persona.instructions) {
+      sections.push(`Additional instructions:\n${persona.instructions}`);
+    }
+
+    return sections.join('\n\n');
   }
 
   /**
    * Build user prompt with context
    */
-  buildUserPrompt(query, context) {
-    return `Context Information:
-${context}
+  buildUserPrompt(tenant, query, context) {
+    const template = tenant.persona?.userPrompt || DEFAULT_TEMPLATES.userPrompt;
+    return renderTemplate(template, { ...this.templateVariables(tenant), query, context });
+  }
+
+  /**
+   * Reply to greetings without retrieval
+   */
+  buildGreeting(tenant) {
+    const template = tenant.persona?.greeting || DEFAULT_TEMPLATES.greeting;
+    return renderTemplate(template, this.templateVariables(tenant));
+  }
+
+  /**
+   * Reply when retrieval finds nothing relevant
+   */
+  buildFallbackMessage(tenant) {
+    const template = tenant.persona?.fallbackMessage || DEFAULT_TEMPLATES.fallbackMessage;
+    return renderTemplate(template, this.templateVariables(tenant));
+  }
+
+  /**
+   * Render every persona template for a sample query and context,
+   * optionally with unsaved persona changes applied
+   */
+  previewPersona(tenant, { persona = {}, query, context }) {
+    const merged = { ...tenant.persona };
+    for (const [key, value] of Object.entries(persona)) {
+      if (value === null) {
+        delete merged[key];
+      } else {
+        merged[key] = value;
+      }
+    }
+
+    const previewTenant = { ...tenant, persona: merged };
+
+    return {
+      persona: merged,
+      greeting: this.buildGreeting(previewTenant),
+      fallbackMessage: this.buildFallbackMessage(previewTenant),
+      systemPrompt: this.buildSystemPrompt(previewTenant),
+      userPrompt: this.buildUserPrompt(previewTenant, query, context)
+    };
+  }
+
+  /**
+   * Save an exchange to the hot history cache and the conversation store.
+   * Failures are logged; they never fail the chat request.
+   */
+  async recordExchange(tenantId, sessionId, query, responseData, { startedAt, usage = null, context = '', model = null } = {}) {
+    await this.saveToHistory(tenantId, sessionId, query, responseData.answer);
 
-User Question: ${query}
+    try {
+      const tokens = usage
+        ? {
+            prompt: usage.prompt_tokens,
+            completion: usage.completion_tokens,
+            total: usage.total_tokens
+          }
+        : { total: estimateTokens(context + query + responseData.answer), estimated: true };
+
+      await conversationService.recordExchange(tenantId, sessionId, {
+        query,
+        answer: responseData.answer,
+        sources: responseData.sources,
+        citations: responseData.citations,
+        confidence: responseData.confidence,
+        latencyMs: Date.now() - startedAt,
+        tokens,
+        model
+      });
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, sessionId }, 'Failed to persist conversation');
+    }
+  }
 
-Please provide a helpful answer based on the context above.`;
+  /**
+   * Redis key for a session's history, namespaced by tenant
+   */
+  historyKey(tenantId, sessionId) {
+    return `session:${tenantId}:${sessionId}`;
   }
 
   /**
-   * Get conversation history
+   * Get conversation history, rebuilding the Redis cache from MongoDB on a miss
    */
-  async getHistory(sessionId) {
+  async getHistory(tenantId, sessionId) {
     try {
-      const historyKey = `session:${sessionId}`;
+      const historyKey = this.historyKey(tenantId, sessionId);
       const historyData = await redis.get(historyKey);
       
-      if (!historyData) {
-        return [];
+      if (historyData) {
+        return JSON.parse(historyData);
+      }
+
+      const history = await conversationService.getRecentHistory(tenantId, sessionId, HISTORY_EXCHANGES);
+      if (history.length > 0) {
+        await redis.set(historyKey, JSON.stringify(history), HISTORY_TTL);
       }
 
-      return JSON.parse(historyData);
+      return history;
     } catch (error) {
-      logger.error({ error: error.message, sessionId }, 'Failed to get history');
+      logger.error({ error: error.message, tenantId, sessionId }, 'Failed to get history');
       return [];
     }
   }
 
   /**
-   * Save to conversation history
+   * Save to conversation history cache
    */
-  async saveToHistory(sessionId, query, response) {
+  async saveToHistory(tenantId, sessionId, query, response) {
     try {
-      const historyKey = `session:${sessionId}`;
-      const history = await this.getHistory(sessionId);
+      const historyKey = this.historyKey(tenantId, sessionId);
+      const history = await this.getHistory(tenantId, sessionId);
 
       history.push(
         { role: 'user', content: query },
         { role: 'assistant', content: response }
       );
 
-      // Keep only last 10 exchanges (20 messages)
-      const trimmedHistory = history.slice(-20);
+      // Keep only the most recent exchanges
+      const trimmedHistory = history.slice(-HISTORY_EXCHANGES * 2);
 
-      await redis.set(historyKey, JSON.stringify(trimmedHistory), 3600); // 1 hour TTL
+      await redis.set(historyKey, JSON.stringify(trimmedHistory), HISTORY_TTL);
 
       logger.info({ sessionId, historyLength: trimmedHistory.length }, 'History saved');
     } catch (error) {
-      logger.error({ error: error.message, sessionId }, 'Failed to save history');
+      logger.error({ error: error.message, tenantId, sessionId }, 'Failed to save history');
     }
   }
 
   /**
-   * Clear session history
+   * Clear session history; the stored transcript is kept for review
    */
-  async clearHistory(sessionId) {
+  async clearHistory(tenantId, sessionId) {
     try {
-      const historyKey = `session:${sessionId}`;
+      const historyKey = this.historyKey(tenantId, sessionId);
       await redis.del(historyKey);
+      await conversationService.markCleared(tenantId, sessionId);
       logger.info({ sessionId }, 'History cleared');
     } catch (error) {
-      logger.error({ error: error.message, sessionId }, 'Failed to clear history');
+      logger.error({ error: error.message, tenantId, sessionId }, 'Failed to clear history');
     }
   }
 }
@@ -0,0 +1,251 @@
+import mongodb from '../db/mongodb.js';
+import localVectorIndex from './local-vector-index.service.js';
+import { generateId } from '../utils/helpers.js';
+import pino from 'pino';
+
+const logger = pino();
+
+/**
+ * User-defined collections of sections. Membership is stored as
+ * `collectionIds` on each section and copied onto its chunks so retrieval
+ * can be scoped to collections.
+ */
+class CollectionService {
+  constructor() {
+    this.collectionsCollection = null;
+    this.sectionsCollection = null;
+    this.chunksCollection = null;
+  }
+
+  initialize() {
+    const db = mongodb.getDb();
+    this.collectionsCollection = db.collection('collections');
+    this.sectionsCollection = db.collection('sections');
+    this.chunksCollection = db.collection('chunks');
+  }
+
+  /**
+   * Create a collection; names are unique per tenant
+   */
+  async createCollection(tenantId, { name, description = null }) {
+    try {
+      const existing = await this.collectionsCollection.findOne({ tenantId, name });
+      if (existing) {
+        throw new Error(`Collection "${name}" already exists`);
+      }
+
+      const collection = {
+        tenantId,
+        collectionId: generateId.collection(),
+        name,
+        description,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      await this.collectionsCollection.insertOne(collection);
+
+      logger.info({ tenantId, collectionId: collection.collectionId }, 'Collection created');
+
+      const { _id, tenantId: _tenantId, ...publicCollection } = collection;
+      return { ...publicCollection, sectionCount: 0 };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'Failed to create collection');
+      throw error;
+    }
+  }
+
+  /**
+   * List a tenant's collections with their section counts
+   */
+  async listCollections(tenantId) {
+    try {
+      const collections = await this.collectionsCollection
+        .find({ tenantId })
+        .sort({ name: 1 })
+        .project({ _id: 0, tenantId: 0 })
+        .toArray();
+
+      const counts = await this.sectionCounts(tenantId);
+
+      return collections.map(collection => ({
+        ...collection,
+        sectionCount: counts.get(collection.collectionId) || 0
+      }));
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'Failed to list collections');
+      throw error;
+    }
+  }
+
+  /**
+   * Number of sections in each collection
+   */
+  async sectionCounts(tenantId, collectionIds = null) {
+    const match = { tenantId };
+    if (collectionIds) {
+      match.collectionIds = { $in: collectionIds };
+    }
+
+    const counts = await this.sectionsCollection.aggregate([
+      { $match: match },
+      { $unwind: '$collectionIds' },
+      { $group: { _id: '$collectionIds', count: { $sum: 1 } } }
+    ]).toArray();
+
+    return new Map(counts.map(({ _id, count }) => [_id, count]));
+  }
+
+  /**
+   * Get a collection belonging to a tenant
+   */
+  async getCollection(tenantId, collectionId) {
+    try {
+      const collection = await this.collectionsCollection.findOne(
+        { tenantId, collectionId },
+        { projection: { _id: 0, tenantId: 0 } }
+      );
+
+      if (!collection) {
+        throw new Error('Collection not found');
+      }
+
+      const counts = await this.sectionCounts(tenantId, [collectionId]);
+
+      return { ...collection, sectionCount: counts.get(collectionId) || 0 };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, collectionId }, 'Failed to get collection');
+      throw error;
+    }
+  }
+
+  /**
+   * Rename or describe a collection
+   */
+  async updateCollection(tenantId, collectionId, { name, description }) {
+    try {
+      if (name) {
+        const existing = await this.collectionsCollection.findOne({
+          tenantId,
+          name,
+          collectionId: { $ne: collectionId }
+        });
+        if (existing) {
+          throw new Error(`Collection "${name}" already exists`);
+        }
+      }
+
+      const updateDoc = { updatedAt: new Date() };
+      if (name) updateDoc.name = name;
+      if (description !== undefined) updateDoc.description = description;
+
+      const result = await this.collectionsCollection.updateOne(
+        { tenantId, collectionId },
+        { $set: updateDoc }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new Error('Collection not found');
+      }
+
+      return await this.getCollection(tenantId, collectionId);
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, collectionId }, 'Failed to update collection');
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a collection; its sections are kept and only lose the membership
+   */
+  async deleteCollection(tenantId, collectionId) {
+    try {
+      const result = await this.collectionsCollection.deleteOne({ tenantId, collectionId });
+
+      if (result.deletedCount === 0) {
+        throw new Error('Collection not found');
+      }
+
+      const membership = { tenantId, collectionIds: collectionId };
+      const sectionsResult = await this.sectionsCollection.updateMany(membership, { $pull: { collectionIds: collectionId } });
+      await this.chunksCollection.updateMany(membership, { $pull: { collectionIds: collectionId } });
+
+      localVectorIndex.invalidate(tenantId);
+
+      logger.info({ tenantId, collectionId, sectionsUpdated: sectionsResult.modifiedCount }, 'Collection deleted');
+
+      return { collectionId, sectionsUpdated: sectionsResult.modifiedCount };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, collectionId }, 'Failed to delete collection');
+      throw error;
+    }
+  }
+
+  /**
+   * Add sections to, or remove them from, a collection
+   */
+  async setMembership(tenantId, collectionId, sectionIds, assign = true) {
+    try {
+      await this.assertCollectionsExist(tenantId, [collectionId]);
+
+      const update = assign
+        ? { $addToSet: { collectionIds: collectionId } }
+        : { $pull: { collectionIds: collectionId } };
+      const match = { tenantId, sectionId: { $in: sectionIds } };
+
+      const result = await this.sectionsCollection.updateMany(match, update);
+      await this.chunksCollection.updateMany(match, update);
+
+      localVectorIndex.invalidate(tenantId);
+
+      logger.info({ tenantId, collectionId, assign, sections: result.matchedCount }, 'Collection membership updated');
+
+      return {
+        collectionId,
+        matched: result.matchedCount,
+        modified: result.modifiedCount
+      };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, collectionId }, 'Failed to update collection membership');
+      throw error;
+    }
+  }
+
+  /**
+   * Throw unless every collection ID belongs to the tenant
+   */
+  async assertCollectionsExist(tenantId, collectionIds) {
+    const ids = [...new Set(collectionIds)];
+    if (ids.length === 0) return;
+
+    const found = await this.collectionsCollection
+      .find({ tenantId, collectionId: { $in: ids } })
+      .project({ collectionId: 1, _id: 0 })
+      .toArray();
+
+    const known = new Set(found.map(collection => collection.collectionId));
+    const missing = ids.filter(id => !known.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Collection not found: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Combine the collections requested for a query with the API key's scope.
+   * A scoped key may narrow its scope per request but never widen it.
+   * Returns `{ collectionIds }` (null for unscoped) or `{ forbidden }`.
+   */
+  resolveScope(keyScope, requested) {
+    if (!keyScope) {
+      return { collectionIds: requested?.length ? requested : null };
+    }
+    if (!requested?.length) {
+      return { collectionIds: keyScope };
+    }
+
+    const forbidden = requested.filter(id => !keyScope.includes(id));
+    return forbidden.length > 0 ? { forbidden } : { collectionIds: requested };
+  }
+}
+
+export default new CollectionService();
@@ -0,0 +1,194 @@
+import mongodb from '../db/mongodb.js';
+import { generateId } from '../utils/helpers.js';
+import pino from 'pino';
+
+const logger = pino();
+
+/**
+ * Durable store for chat conversations and their messages.
+ * Redis holds only a short-lived copy of recent history (see ChatService).
+ */
+class ConversationService {
+  constructor() {
+    this.conversationsCollection = null;
+    this.messagesCollection = null;
+  }
+
+  initialize() {
+    const db = mongodb.getDb();
+    this.conversationsCollection = db.collection('conversations');
+    this.messagesCollection = db.collection('messages');
+  }
+
+  /**
+   * Create an empty conversation for a server-issued session ID
+   */
+  async createSession(tenantId, sessionId, metadata = {}) {
+    const now = new Date();
+    const conversation = {
+      tenantId,
+      sessionId,
+      metadata,
+      messageCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.conversationsCollection.insertOne(conversation);
+
+    logger.info({ tenantId, sessionId }, 'Session created');
+
+    return { sessionId, metadata, createdAt: now };
+  }
+
+  /**
+   * Persist one query/answer exchange and update its conversation
+   */
+  async recordExchange(tenantId, sessionId, exchange) {
+    const now = new Date();
+
+    const message = {
+      tenantId,
+      sessionId,
+      messageId: generateId.message(),
+      query: exchange.query,
+      answer: exchange.answer,
+      sources: exchange.sources || [],
+      citations: exchange.citations || [],
+      confidence: exchange.confidence || null,
+      latencyMs: exchange.latencyMs ?? null,
+      tokens: exchange.tokens || null,
+      model: exchange.model || null,
+      createdAt: now
+    };
+
+    await this.messagesCollection.insertOne(message);
+
+    await this.conversationsCollection.updateOne(
+      { tenantId, sessionId },
+      {
+        $setOnInsert: { tenantId, sessionId, createdAt: now },
+        $set: { lastMessageAt: now, lastQuery: exchange.query, updatedAt: now },
+        $inc: { messageCount: 1 }
+      },
+      { upsert: true }
+    );
+
+    return message;
+  }
+
+  /**
+   * Recent exchanges of a conversation as chat messages, oldest first.
+   * Exchanges before the conversation was last cleared are skipped.
+   */
+  async getRecentHistory(tenantId, sessionId, maxExchanges) {
+    const conversation = await this.conversationsCollection.findOne(
+      { tenantId, sessionId },
+      { projection: { clearedAt: 1 } }
+    );
+
+    if (!conversation) {
+      return [];
+    }
+
+    const query = { tenantId, sessionId };
+    if (conversation.clearedAt) {
+      query.createdAt = { $gt: conversation.clearedAt };
+    }
+
+    const messages = await this.messagesCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .limit(maxExchanges)
+      .project({ query: 1, answer: 1, _id: 0 })
+      .toArray();
+
+    return messages.reverse().flatMap(message => [
+      { role: 'user', content: message.query },
+      { role: 'assistant', content: message.answer }
+    ]);
+  }
+
+  /**
+   * Mark a conversation's history as cleared; transcripts are kept for review
+   */
+  async markCleared(tenantId, sessionId) {
+    await this.conversationsCollection.updateOne(
+      { tenantId, sessionId },
+      { $set: { clearedAt: new Date(), updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Build a createdAt/lastMessageAt range filter from optional dates
+   */
+  dateRange(from, to) {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    return Object.keys(range).length > 0 ? range : null;
+  }
+
+  /**
+   * List a tenant's conversations, most recently active first
+   */
+  async listSessions(tenantId, { from = null, to = null, skip = 0, limit = 20 } = {}) {
+    try {
+      const query = { tenantId };
+      const range = this.dateRange(from, to);
+      if (range) {
+        query.lastMessageAt = range;
+      }
+
+      const sessions = await this.conversationsCollection
+        .find(query)
+        .sort({ lastMessageAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .project({ _id: 0, tenantId: 0 })
+        .toArray();
+
+      const total = await this.conversationsCollection.countDocuments(query);
+
+      return { sessions, total, skip, limit };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'Failed to list sessions');
+      throw error;
+    }
+  }
+
+  /**
+   * Get a conversation and its transcript
+   */
+  async getSession(tenantId, sessionId, { from = null, to = null } = {}) {
+    try {
+      const conversation = await this.conversationsCollection.findOne(
+        { tenantId, sessionId },
+        { projection: { _id: 0, tenantId: 0 } }
+      );
+
+      if (!conversation) {
+        throw new Error('Session not found');
+      }
+
+      const query = { tenantId, sessionId };
+      const range = this.dateRange(from, to);
+      if (range) {
+        query.createdAt = range;
+      }
+
+      const messages = await this.messagesCollection
+        .find(query)
+        .sort({ createdAt: 1 })
+        .project({ _id: 0, tenantId: 0, sessionId: 0 })
+        .toArray();
+
+      return { ...conversation, messages };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, sessionId }, 'Failed to get session');
+      throw error;
+    }
+  }
+}
+
+export default new ConversationService();
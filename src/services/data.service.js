@@ -1,11 +1,37 @@
 import mongodb from '../db/mongodb.js';
 import embeddingService from './embedding.service.js';
-import { generateId, chunkText } from '../utils/helpers.js';
-import { CHUNK_CONFIG } from '../utils/constants.js';
+import localVectorIndex from './local-vector-index.service.js';
+import tenantService from './tenant.service.js';
+import collectionService from './collection.service.js';
+import versionService from './version.service.js';
+import duplicateService from './duplicate.service.js';
+import { generateId, contentHash, availabilityAt } from '../utils/helpers.js';
+import { chunkDocument, embeddingText } from '../utils/chunker.js';
+import { CHUNK_CONFIG, REPAIR_CONFIG, UNAVAILABLE } from '../utils/constants.js';
 import pino from 'pino';
 
 const logger = pino();
 
+/**
+ * Publication dates and the availability they give a section now;
+ * SchedulerService moves it on as the dates pass
+ */
+const scheduleFields = (publishAt = null, expiresAt = null) => {
+  if (publishAt && expiresAt && expiresAt <= publishAt) {
+    throw new Error('expiresAt must be after publishAt');
+  }
+  return { publishAt, expiresAt, availability: availabilityAt({ publishAt, expiresAt }) };
+};
+
+// Section fields a draft stages until it is published
+const DRAFT_FIELDS = ['type', 'title', 'content', 'metadata', 'tags', 'collectionIds', 'chunking', 'publishAt', 'expiresAt'];
+
+// A section whose publish was interrupted already points at its draft's chunks
+const isPublishing = (section) => Boolean(section.draft) && section.generation === section.draft.generation;
+
+// Carries the duplicate key code, so upserts can tell a taken external ID apart
+const externalIdTaken = (message) => Object.assign(new Error(message), { code: 11000 });
+
 class DataService {
   constructor() {
     this.sectionsCollection = null;
@@ -19,130 +45,439 @@ class DataService {
   }
 
   /**
-   * Register data sections and generate embeddings
+   * Register data sections and generate embeddings. With `draft` the
+   * sections are only staged as drafts; see saveDraft.
    */
-  async registerData(tenantId, sections, limits) {
+  async registerData(tenantId, sections, limits, { author = null, draft = false } = {}) {
     try {
-      // Check section limit
-      const currentCount = await this.sectionsCollection.countDocuments({ tenantId });
-      
-      if (currentCount + sections.length > limits.sectionsPerTenant) {
-        throw new Error(
-          `Section limit exceeded. Your plan allows ${limits.sectionsPerTenant} sections. ` +
-          `Current: ${currentCount}, Attempting to add: ${sections.length}`
-        );
-      }
+      const pending = await this.createSections(tenantId, sections, limits, { author, draft });
 
       const results = [];
       let totalChunks = 0;
 
       // Process each section
+      for (const { sectionId } of pending) {
+        const section = draft
+          ? await this.saveDraft(tenantId, sectionId, {}, { author })
+          : await this.processSection(tenantId, sectionId);
+        const chunkCount = draft ? section.draft.chunkCount : section.chunkCount;
+
+        totalChunks += chunkCount;
+
+        results.push({
+          sectionId,
+          type: section.type,
+          title: section.title,
+          chunkCount,
+          status: section.status,
+          ...(draft && { draft: true })
+        });
+      }
+
+      return {
+        sectionsCreated: sections.length,
+        chunksCreated: totalChunks,
+        sections: results
+      };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'Failed to register data');
+      throw error;
+    }
+  }
+
+  /**
+   * Create section documents in the 'pending' state without embedding them.
+   * Content may be omitted for sections whose content is extracted later
+   * (e.g. uploaded files) by passing `deferContent`. `author` is recorded
+   * with the section's first version. `draft` sections stay unpublished
+   * until their draft is published.
+   */
+  async createSections(tenantId, sections, limits, { deferContent = false, author = null, draft = false } = {}) {
+    // Check section limit
+    const currentCount = await this.sectionsCollection.countDocuments({ tenantId });
+    
+    if (currentCount + sections.length > limits.sectionsPerTenant) {
+      throw new Error(
+        `Section limit exceeded. Your plan allows ${limits.sectionsPerTenant} sections. ` +
+        `Current: ${currentCount}, Attempting to add: ${sections.length}`
+      );
+    }
+
+    await collectionService.assertCollectionsExist(
+      tenantId,
+      sections.flatMap(section => section.collectionIds || [])
+    );
+
+    // External IDs are unique per tenant
+    const externalIds = sections.map(section => section.externalId).filter(Boolean);
+    if (externalIds.length > 0) {
+      const repeated = externalIds.find((externalId, index) => externalIds.indexOf(externalId) !== index);
+      if (repeated) {
+        throw new Error(`External ID "${repeated}" is used more than once`);
+      }
+
+      const taken = await this.sectionsCollection.findOne(
+        { tenantId, externalId: { $in: externalIds } },
+        { projection: { sectionId: 1, externalId: 1, _id: 0 } }
+      );
+      if (taken) {
+        throw externalIdTaken(`External ID "${taken.externalId}" is already used by section ${taken.sectionId}`);
+      }
+    }
+
+    // Validate content
+    if (!deferContent) {
       for (const section of sections) {
-        // Validate content
         if (!section.content || section.content.trim().length === 0) {
           throw new Error(`Section "${section.title}" has empty content`);
         }
+      }
+    }
 
-        const sectionId = generateId.section();
-        
-        // Chunk the content
-        const chunks = chunkText(
-          section.content,
-          CHUNK_CONFIG.size,
-          CHUNK_CONFIG.overlap
-        );
+    const sectionDocs = sections.map(section => ({
+      tenantId,
+      sectionId: generateId.section(),
+      ...(section.externalId && { externalId: section.externalId }),
+      type: section.type,
+      title: section.title,
+      content: section.content || null,
+      metadata: section.metadata || {},
+      tags: section.tags || [],
+      collectionIds: section.collectionIds || [],
+      ...(section.chunking && { chunking: section.chunking }),
+      ...(section.fileHash && { fileHash: section.fileHash }),
+      ...scheduleFields(section.publishAt, section.expiresAt),
+      ...(draft && { published: false }),
+      chunkCount: 0,
+      status: 'pending',
+      updatedBy: author,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }));
 
-        // Validate chunks
-        if (!chunks || chunks.length === 0) {
-          throw new Error(`Section "${section.title}" produced no chunks. Content may be too short or invalid.`);
-        }
+    try {
+      await this.sectionsCollection.insertMany(sectionDocs);
+    } catch (error) {
+      // A concurrent request took one of the external IDs
+      if (error.code === 11000) {
+        throw externalIdTaken('External ID is already in use');
+      }
+      throw error;
+    }
 
-        // Generate embeddings for all chunks
-        logger.info({ sectionId, chunkCount: chunks.length }, 'Generating embeddings');
-        const embeddings = await embeddingService.generateEmbeddings(chunks);
+    return sectionDocs;
+  }
 
-        // Create section document
-        const sectionDoc = {
-          tenantId,
-          sectionId,
-          type: section.type,
+  /**
+   * Chunk and embed a pending section, moving it through
+   * 'processing' to 'completed', or to 'failed' with the error recorded.
+   * `updates` (content, title, metadata, fileHash) are applied when the content was
+   * deferred. A completed section that is processed again, e.g. to replace
+   * a duplicate upload, has its chunks swapped and gains a new version; if
+   * that fails, it stays completed and keeps serving its old chunks.
+   * Embeddings of exported `chunks` are reused where they match; see embedChunks.
+   * Sections with a pending draft are refused, as in updateSection.
+   */
+  async processSection(tenantId, sectionId, updates = {}, { chunks: exportedChunks = null } = {}) {
+    const current = await this.getSection(tenantId, sectionId);
+    if (current.draft) {
+      throw new Error(`Section ${sectionId} has an unpublished draft; publish or discard it first`);
+    }
+
+    const live = current.status === 'completed';
+    if (!live) {
+      await this.setSectionStatus(tenantId, sectionId, 'processing');
+    }
+
+    try {
+      const section = { ...current, ...updates };
+
+      // Validate content
+      if (!section.content || section.content.trim().length === 0) {
+        throw new Error(`Section "${section.title}" has empty content`);
+      }
+
+      // Chunk the content
+      const chunks = await this.chunkSection(tenantId, section);
+
+      // Validate chunks
+      if (!chunks || chunks.length === 0) {
+        throw new Error(`Section "${section.title}" produced no chunks. Content may be too short or invalid.`);
+      }
+
+      // Generate embeddings for all chunks
+      logger.info({ sectionId, chunkCount: chunks.length }, 'Generating embeddings');
+      const embeddings = await this.embedChunks(chunks, exportedChunks);
+
+      // Create chunk documents with embeddings
+      const chunkDocs = this.buildChunkDocs(tenantId, sectionId, section, chunks, embeddings);
+
+      // Replaces chunks left behind by an interrupted earlier attempt
+      await this.swapChunks(tenantId, sectionId, chunkDocs, {
+        $set: {
           title: section.title,
           content: section.content,
+          contentHash: contentHash(section.content),
           metadata: section.metadata || {},
-          chunkCount: chunks.length,
+          ...(section.fileHash && { fileHash: section.fileHash }),
           status: 'completed',
-          createdAt: new Date(),
           updatedAt: new Date()
-        };
+        },
+        $unset: { error: '' }
+      });
 
-        await this.sectionsCollection.insertOne(sectionDoc);
-
-        // Create chunk documents with embeddings
-        const chunkDocs = chunks.map((text, index) => ({
-          tenantId,
-          sectionId,
-          chunkId: generateId.chunk(),
-          sectionType: section.type,
-          sectionTitle: section.title,
-          text,
-          embedding: embeddings[index],
-          position: index,
-          metadata: section.metadata || {},
-          createdAt: new Date()
-        }));
+      const nearDuplicates = await duplicateService.flagNearDuplicates(tenantId, sectionId, chunkDocs);
 
-        // Only insert if we have chunks
-        if (chunkDocs.length > 0) {
-          await this.chunksCollection.insertMany(chunkDocs);
-        }
+      const version = await versionService.recordVersion(tenantId, section, {
+        author: section.updatedBy || null,
+        reason: section.version ? 'updated' : 'created'
+      });
 
-        totalChunks += chunks.length;
-
-        results.push({
-          sectionId,
-          type: section.type,
-          title: section.title,
-          chunkCount: chunks.length,
-          status: 'completed'
-        });
-
-        logger.info({ sectionId, chunkCount: chunks.length }, 'Section processed');
-      }
+      logger.info({ sectionId, chunkCount: chunks.length }, 'Section processed');
 
       return {
-        sectionsCreated: sections.length,
-        chunksCreated: totalChunks,
-        sections: results
+        ...section,
+        chunkCount: chunks.length,
+        status: 'completed',
+        nearDuplicates,
+        ...(version && { version: version.version })
       };
     } catch (error) {
-      logger.error({ error: error.message, tenantId }, 'Failed to register data');
+      if (!live) {
+        await this.setSectionStatus(tenantId, sectionId, 'failed', error.message);
+      }
       throw error;
     }
   }
 
+  /**
+   * Record a section's processing status
+   */
+  async setSectionStatus(tenantId, sectionId, status, errorMessage = null) {
+    const update = { $set: { status, updatedAt: new Date() } };
+    if (errorMessage) {
+      update.$set.error = errorMessage;
+    }
+
+    await this.sectionsCollection.updateOne({ tenantId, sectionId }, update);
+  }
+
+  /**
+   * Resolve chunk size and overlap: section settings override tenant
+   * settings, which override CHUNK_CONFIG
+   */
+  async resolveChunkConfig(tenantId, section) {
+    let tenantChunking = {};
+    try {
+      const tenant = await tenantService.getTenant(tenantId);
+      tenantChunking = tenant.chunking || {};
+    } catch (error) {
+      logger.warn({ error: error.message, tenantId }, 'Using default chunk settings');
+    }
+
+    return { ...CHUNK_CONFIG, ...tenantChunking, ...(section.chunking || {}) };
+  }
+
+  /**
+   * Split section content into structure-aware chunks
+   */
+  async chunkSection(tenantId, section) {
+    const config = await this.resolveChunkConfig(tenantId, section);
+    return chunkDocument(section.content, config);
+  }
+
+  /**
+   * Embed chunks, reusing the embedding of any `known` chunk (exported or
+   * stored) with the same heading path and text that was embedded by the
+   * current embedding model. Known chunks are never stored as they are, so
+   * an import cannot plant text that differs from the section's content.
+   */
+  async embedChunks(chunks, known = null) {
+    const { provider, model, dimensions } = embeddingService.getModelInfo();
+
+    const reusable = new Map();
+    for (const chunk of known || []) {
+      if (
+        typeof chunk.text === 'string' &&
+        chunk.embeddingProvider === provider &&
+        chunk.embeddingModel === model &&
+        Array.isArray(chunk.embedding) &&
+        chunk.embedding.length === dimensions &&
+        chunk.embedding.every(Number.isFinite)
+      ) {
+        reusable.set(embeddingText(chunk), chunk.embedding);
+      }
+    }
+
+    const missing = chunks.filter(chunk => !reusable.has(embeddingText(chunk)));
+    const generated = missing.length > 0
+      ? await embeddingService.generateEmbeddings(missing.map(embeddingText))
+      : [];
+
+    if (missing.length < chunks.length) {
+      logger.info({ chunkCount: chunks.length, reused: chunks.length - missing.length }, 'Reusing embeddings');
+    }
+
+    let next = 0;
+    return chunks.map(chunk => reusable.get(embeddingText(chunk)) ?? generated[next++]);
+  }
+
+  /**
+   * Build chunk documents for a section, recording which embedding model produced them
+   */
+  buildChunkDocs(tenantId, sectionId, section, chunks, embeddings) {
+    const { provider, model, dimensions } = embeddingService.getModelInfo();
+
+    return chunks.map((chunk, index) => ({
+      tenantId,
+      sectionId,
+      chunkId: generateId.chunk(),
+      sectionType: section.type,
+      sectionTitle: section.title,
+      headingPath: chunk.headingPath,
+      text: chunk.text,
+      contentHash: contentHash(chunk.text),
+      tokenCount: chunk.tokenCount,
+      embedding: embeddings[index],
+      embeddingProvider: provider,
+      embeddingModel: model,
+      embeddingDimensions: dimensions,
+      position: index,
+      metadata: section.metadata || {},
+      tags: section.tags || [],
+      collectionIds: section.collectionIds || [],
+      availability: section.availability || 'active',
+      createdAt: new Date()
+    }));
+  }
+
+  /**
+   * Replace a section's chunks with `chunkDocs` and apply `sectionUpdate` to
+   * the section in one transaction. The new chunks are staged under a fresh
+   * generation ID which the section records as live; chunks of any other
+   * generation are then deleted, except draft chunks, which belong to the
+   * section's draft (see saveDraft). The new chunks take the section's
+   * availability as it is when they go live. Without transactions the same order means
+   * an interrupted swap leaves the section on its old chunks or its new
+   * ones, plus stale chunks that repairChunks removes.
+   */
+  async swapChunks(tenantId, sectionId, chunkDocs, sectionUpdate) {
+    const generation = generateId.generation();
+    const staged = chunkDocs.map(chunk => ({ ...chunk, generation }));
+
+    await mongodb.withTransaction(async (session) => {
+      const options = session ? { session } : {};
+
+      if (staged.length > 0) {
+        // Copies, as insertMany adds _id and a retried transaction inserts again
+        await this.chunksCollection.insertMany(staged.map(chunk => ({ ...chunk })), options);
+      }
+
+      const section = await this.sectionsCollection.findOneAndUpdate(
+        { tenantId, sectionId },
+        {
+          ...sectionUpdate,
+          $set: { ...sectionUpdate.$set, generation, chunkCount: staged.length }
+        },
+        { ...options, returnDocument: 'after', projection: { availability: 1, _id: 0 } }
+      );
+
+      if (!section) {
+        // A transaction rolls the staged chunks back; otherwise drop them here
+        if (!session) {
+          await this.chunksCollection.deleteMany({ tenantId, sectionId, generation });
+        }
+        throw new Error('Section not found');
+      }
+
+      // The scheduler may have moved the section on while the chunks were
+      // embedded, so they take its current availability. Later moves reach
+      // them through syncChunkFields.
+      const availability = section.availability || 'active';
+      await this.chunksCollection.updateMany(
+        { tenantId, sectionId, generation, availability: { $ne: availability } },
+        { $set: { availability } },
+        options
+      );
+
+      await this.chunksCollection.deleteMany(
+        { tenantId, sectionId, generation: { $ne: generation }, draft: { $ne: true } },
+        options
+      );
+    });
+
+    localVectorIndex.invalidate(tenantId);
+
+    return generation;
+  }
+
+  /**
+   * Copy section fields that chunks duplicate for filtering onto existing
+   * chunks, so they stay in sync without re-embedding
+   */
+  async syncChunkFields(tenantId, sectionId, fields) {
+    const chunkFields = {};
+    if (fields.title !== undefined) chunkFields.sectionTitle = fields.title;
+    if (fields.type !== undefined) chunkFields.sectionType = fields.type;
+    for (const key of ['metadata', 'tags', 'collectionIds', 'availability']) {
+      if (fields[key] !== undefined) chunkFields[key] = fields[key];
+    }
+
+    if (Object.keys(chunkFields).length === 0) return;
+
+    // Draft chunks carry the draft's own fields
+    await this.chunksCollection.updateMany({ tenantId, sectionId, draft: { $ne: true } }, { $set: chunkFields });
+    localVectorIndex.invalidate(tenantId);
+  }
+
   /**
    * List all sections for a tenant
    */
-  async listSections(tenantId, skip = 0, limit = 50) {
+  async listSections(tenantId, skip = 0, limit = 50, {
+    tag = null,
+    collectionId = null,
+    availability = null,
+    hasDraft = false
+  } = {}) {
     try {
+      const query = { tenantId };
+      if (tag) query.tags = tag;
+      if (collectionId) query.collectionIds = collectionId;
+      if (hasDraft) query.draft = { $exists: true };
+      if (availability) {
+        // Sections from before publication dates have no availability and are active
+        query.availability = availability === 'active' ? { $nin: UNAVAILABLE } : availability;
+      }
+
       const sections = await this.sectionsCollection
-        .find({ tenantId })
+        .find(query)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .project({
           sectionId: 1,
+          externalId: 1,
           type: 1,
           title: 1,
           chunkCount: 1,
           status: 1,
+          error: 1,
           createdAt: 1,
           metadata: 1,
+          tags: 1,
+          collectionIds: 1,
+          publishAt: 1,
+          expiresAt: 1,
+          availability: 1,
+          published: 1,
+          'draft.updatedAt': 1,
+          'draft.updatedBy': 1,
+          version: 1,
           _id: 0
         })
         .toArray();
 
-      const total = await this.sectionsCollection.countDocuments({ tenantId });
+      const total = await this.sectionsCollection.countDocuments(query);
 
       return {
         sections,
@@ -178,28 +513,58 @@ class DataService {
   }
 
   /**
-   * Update a section
+   * Update a section and record the result as a new version.
+   * `reason` and `restoredFrom` describe the version; see restoreVersion.
+   * Embeddings of exported `chunks` are reused as in processSection.
    */
-  async updateSection(tenantId, sectionId, updates) {
+  async updateSection(tenantId, sectionId, updates, {
+    author = null,
+    reason = 'updated',
+    restoredFrom = null,
+    chunks: exportedChunks = null
+  } = {}) {
     try {
-      const { title, content, metadata } = updates;
-      
-      // If content is being updated, regenerate embeddings
-      if (content) {
+      const { title, type, metadata, chunking, tags, collectionIds, publishAt, expiresAt } = updates;
+      let { content } = updates;
+
+      if (collectionIds) {
+        await collectionService.assertCollectionsExist(tenantId, collectionIds);
+      }
+
+      // Sections created before version history have no first version;
+      // keep their current state so this edit can be undone
+      const current = await this.getSection(tenantId, sectionId);
+      if (current.draft) {
+        throw new Error(`Section ${sectionId} has an unpublished draft; publish or discard it first`);
+      }
+      if (!current.version && current.status === 'completed') {
+        await versionService.recordVersion(tenantId, current, { author: current.updatedBy || null, reason: 'created' });
+      }
+
+      // undefined keeps a date, null clears it
+      const schedule = publishAt !== undefined || expiresAt !== undefined
+        ? scheduleFields(
+          publishAt !== undefined ? publishAt : current.publishAt ?? null,
+          expiresAt !== undefined ? expiresAt : current.expiresAt ?? null
+        )
+        : null;
+
+      // If content or chunk settings change, regenerate embeddings
+      if (content || chunking) {
+        // Get section to preserve type, title and content
+        const section = await this.getSection(tenantId, sectionId);
+        content = content || section.content;
+
         // Validate content
-        if (content.trim().length === 0) {
+        if (!content || content.trim().length === 0) {
           throw new Error('Content cannot be empty');
         }
 
-        // Delete old chunks
-        await this.chunksCollection.deleteMany({ tenantId, sectionId });
-        
         // Chunk the new content
-        const chunks = chunkText(
+        const chunks = await this.chunkSection(tenantId, {
           content,
-          CHUNK_CONFIG.size,
-          CHUNK_CONFIG.overlap
-        );
+          chunking: chunking || section.chunking
+        });
 
         // Validate chunks
         if (!chunks || chunks.length === 0) {
@@ -208,63 +573,490 @@ class DataService {
 
         // Generate new embeddings
         logger.info({ sectionId, chunkCount: chunks.length }, 'Regenerating embeddings');
-        const embeddings = await embeddingService.generateEmbeddings(chunks);
-
-        // Get section to preserve type and title
-        const section = await this.getSection(tenantId, sectionId);
+        const embeddings = await this.embedChunks(chunks, exportedChunks);
 
         // Create new chunk documents
-        const chunkDocs = chunks.map((text, index) => ({
-          tenantId,
-          sectionId,
-          chunkId: generateId.chunk(),
-          sectionType: section.type,
-          sectionTitle: title || section.title,
-          text,
-          embedding: embeddings[index],
-          position: index,
-          metadata: metadata || section.metadata || {},
-          createdAt: new Date()
-        }));
-
-        // Only insert if we have chunks
-        if (chunkDocs.length > 0) {
-          await this.chunksCollection.insertMany(chunkDocs);
-        }
+        const chunkDocs = this.buildChunkDocs(tenantId, sectionId, {
+          type: type || section.type,
+          title: title || section.title,
+          metadata: metadata || section.metadata,
+          tags: tags || section.tags,
+          collectionIds: collectionIds || section.collectionIds,
+          availability: schedule?.availability || section.availability
+        }, chunks, embeddings);
 
-        // Update section with new content and chunk count
+        // Section fields to change along with the chunks
         const updateDoc = {
           content,
-          chunkCount: chunks.length,
+          contentHash: contentHash(content),
+          updatedBy: author,
           updatedAt: new Date()
         };
         
         if (title) updateDoc.title = title;
+        if (type) updateDoc.type = type;
         if (metadata) updateDoc.metadata = metadata;
+        if (chunking) updateDoc.chunking = chunking;
+        if (tags) updateDoc.tags = tags;
+        if (collectionIds) updateDoc.collectionIds = collectionIds;
+        if (schedule) Object.assign(updateDoc, schedule);
 
-        await this.sectionsCollection.updateOne(
-          { tenantId, sectionId },
-          { $set: updateDoc }
-        );
+        // The old chunks keep serving until the new ones are swapped in
+        await this.swapChunks(tenantId, sectionId, chunkDocs, { $set: updateDoc });
+
+        await duplicateService.flagNearDuplicates(tenantId, sectionId, chunkDocs);
       } else {
-        // Only update metadata/title without regenerating embeddings
-        const updateDoc = { updatedAt: new Date() };
+        // Only update metadata/title/tags without regenerating embeddings
+        const updateDoc = { updatedBy: author, updatedAt: new Date() };
         if (title) updateDoc.title = title;
+        if (type) updateDoc.type = type;
         if (metadata) updateDoc.metadata = metadata;
+        if (tags) updateDoc.tags = tags;
+        if (collectionIds) updateDoc.collectionIds = collectionIds;
+        if (schedule) Object.assign(updateDoc, schedule);
 
-        await this.sectionsCollection.updateOne(
+        const result = await this.sectionsCollection.updateOne(
           { tenantId, sectionId },
           { $set: updateDoc }
         );
+
+        if (result.matchedCount > 0) {
+          await this.syncChunkFields(tenantId, sectionId, {
+            title,
+            type,
+            metadata,
+            tags,
+            collectionIds,
+            availability: schedule?.availability
+          });
+        }
       }
 
-      return await this.getSection(tenantId, sectionId);
+      const section = await this.getSection(tenantId, sectionId);
+      const version = await versionService.recordVersion(tenantId, section, { author, reason, restoredFrom });
+
+      return version ? { ...section, version: version.version } : section;
     } catch (error) {
       logger.error({ error: error.message, tenantId, sectionId }, 'Failed to update section');
       throw error;
     }
   }
 
+  /**
+   * Create or update the section with the given external ID. A matching
+   * section is only re-embedded when its content hash changed, and left
+   * untouched when nothing changed. `sectionId` also matches a section that
+   * has no external ID, e.g. when re-importing a tenant's own export.
+   * When a concurrent upsert creates the section first, the record is
+   * applied to that section instead.
+   * Returns `{ action: 'created' | 'updated' | 'unchanged', section }`.
+   */
+  async upsertSection(tenantId, externalId, record, limits, { author = null, sectionId = null, chunks = null, retried = false } = {}) {
+    try {
+      const existing = await this.sectionsCollection.findOne(
+        {
+          tenantId,
+          $or: [
+            { externalId },
+            ...(sectionId ? [{ sectionId, externalId: { $exists: false } }] : [])
+          ]
+        },
+        { projection: { _id: 0 } }
+      );
+
+      if (!existing) {
+        let created;
+        try {
+          [created] = await this.createSections(tenantId, [{ ...record, externalId }], limits, { author });
+        } catch (error) {
+          if (error.code !== 11000 || retried) throw error;
+          return this.upsertSection(tenantId, externalId, record, limits, { author, sectionId, chunks, retried: true });
+        }
+        const section = await this.processSection(tenantId, created.sectionId, {}, { chunks });
+        return { action: 'created', section };
+      }
+
+      const updates = {};
+      if (contentHash(record.content) !== existing.contentHash) updates.content = record.content;
+      if (record.title !== existing.title) updates.title = record.title;
+      if (record.type !== existing.type) updates.type = record.type;
+
+      const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+      for (const [field, fallback] of [['metadata', {}], ['tags', []], ['collectionIds', []]]) {
+        const value = record[field] ?? fallback;
+        if (!same(value, existing[field] ?? fallback)) updates[field] = value;
+      }
+      if (record.chunking && !same(record.chunking, existing.chunking)) {
+        updates.chunking = record.chunking;
+      }
+      for (const field of ['publishAt', 'expiresAt']) {
+        if ((record[field]?.getTime() ?? null) !== (existing[field]?.getTime() ?? null)) {
+          updates[field] = record[field] ?? null;
+        }
+      }
+
+      if (existing.status === 'pending' || existing.status === 'processing') {
+        throw new Error(`Section ${existing.sectionId} is still being processed`);
+      }
+
+      if (existing.externalId !== externalId) {
+        await this.sectionsCollection.updateOne(
+          { tenantId, sectionId: existing.sectionId },
+          { $set: { externalId } }
+        );
+      }
+
+      // A section whose processing failed is processed again
+      if (existing.status === 'failed') {
+        const { content, publishAt, expiresAt, ...fields } = updates;
+        if (publishAt !== undefined || expiresAt !== undefined) {
+          Object.assign(fields, scheduleFields(record.publishAt ?? null, record.expiresAt ?? null));
+        }
+        if (Object.keys(fields).length > 0) {
+          await this.sectionsCollection.updateOne({ tenantId, sectionId: existing.sectionId }, { $set: fields });
+        }
+        const section = await this.processSection(
+          tenantId,
+          existing.sectionId,
+          { content: record.content, updatedBy: author },
+          { chunks }
+        );
+        return { action: 'updated', section };
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return { action: 'unchanged', section: { ...existing, externalId } };
+      }
+
+      const section = await this.updateSection(tenantId, existing.sectionId, updates, { author, reason: 'imported', chunks });
+
+      return { action: 'updated', section };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, externalId }, 'Failed to upsert section');
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the sections whose external ID is missing from a sync manifest
+   * and report manifest entries that have no section yet. Sections without
+   * an external ID are never touched. `prefix` limits the sync to external
+   * IDs starting with it, so several sources can share a tenant.
+   */
+  async syncExternalIds(tenantId, externalIds, { prefix = null, dryRun = false } = {}) {
+    try {
+      const inScope = (externalId) => !prefix || externalId.startsWith(prefix);
+
+      const sections = (await this.sectionsCollection
+        .find({ tenantId, externalId: { $type: 'string' } })
+        .project({ sectionId: 1, externalId: 1, title: 1, _id: 0 })
+        .toArray())
+        .filter(section => inScope(section.externalId));
+
+      const manifest = new Set(externalIds);
+      const stale = sections.filter(section => !manifest.has(section.externalId));
+      const known = new Set(sections.map(section => section.externalId));
+      const missing = [...manifest].filter(externalId => inScope(externalId) && !known.has(externalId));
+
+      if (!dryRun) {
+        for (const section of stale) {
+          await this.deleteSection(tenantId, section.sectionId);
+        }
+      }
+
+      logger.info({ tenantId, prefix, dryRun, removed: stale.length, missing: missing.length }, 'External ID sync completed');
+
+      return {
+        dryRun,
+        kept: sections.length - stale.length,
+        removed: stale,
+        missing
+      };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'External ID sync failed');
+      throw error;
+    }
+  }
+
+  /**
+   * Stage edits to a section as its draft, leaving the published section
+   * as it is. Edits build on the previous draft if there is one. The draft
+   * gets its own generation of chunks, flagged `draft`, and the published
+   * chunks are flagged `shadowed`, so preview search uses the draft in
+   * their place. Chunks are only embedded again when the content or chunk
+   * settings change.
+   */
+  async saveDraft(tenantId, sectionId, updates, { author = null } = {}) {
+    const section = await this.getSection(tenantId, sectionId);
+    const unpublished = section.published === false;
+
+    if (isPublishing(section)) {
+      throw new Error(`Section ${sectionId} is being published; publish it again to finish`);
+    }
+
+    try {
+      if (updates.collectionIds) {
+        await collectionService.assertCollectionsExist(tenantId, updates.collectionIds);
+      }
+
+      const base = section.draft || section;
+      const draft = {};
+      for (const field of DRAFT_FIELDS) {
+        draft[field] = updates[field] !== undefined ? updates[field] : base[field] ?? null;
+      }
+
+      if (!draft.content || draft.content.trim().length === 0) {
+        throw new Error('Content cannot be empty');
+      }
+
+      Object.assign(draft, scheduleFields(draft.publishAt, draft.expiresAt));
+      draft.contentHash = contentHash(draft.content);
+
+      // Reuse the embeddings of the chunks the draft is based on when its text is unchanged
+      let baseChunks = null;
+      if (draft.contentHash === base.contentHash && JSON.stringify(draft.chunking) === JSON.stringify(base.chunking ?? null)) {
+        baseChunks = await this.chunksCollection
+          .find(section.draft
+            ? { tenantId, sectionId, generation: section.draft.generation }
+            : { tenantId, sectionId, generation: section.generation ?? { $exists: false }, draft: { $ne: true } })
+          .project({ _id: 0 })
+          .toArray();
+      }
+
+      const chunks = await this.chunkSection(tenantId, draft);
+      if (!chunks || chunks.length === 0) {
+        throw new Error('Content is too short or invalid to create chunks');
+      }
+
+      logger.info({ sectionId, chunkCount: chunks.length }, 'Staging draft');
+      const embeddings = await this.embedChunks(chunks, baseChunks);
+
+      const generation = generateId.generation();
+      const staged = this.buildChunkDocs(tenantId, sectionId, draft, chunks, embeddings)
+        .map(chunk => ({ ...chunk, generation, draft: true }));
+
+      draft.generation = generation;
+      draft.chunkCount = staged.length;
+      draft.updatedBy = author;
+      draft.updatedAt = new Date();
+
+      await mongodb.withTransaction(async (session) => {
+        const options = session ? { session } : {};
+
+        await this.chunksCollection.insertMany(staged.map(chunk => ({ ...chunk })), options);
+
+        const result = await this.sectionsCollection.updateOne(
+          { tenantId, sectionId },
+          { $set: { draft, ...(unpublished && { status: 'completed' }) }, $unset: { error: '' } },
+          options
+        );
+
+        if (result.matchedCount === 0) {
+          if (!session) {
+            await this.chunksCollection.deleteMany({ tenantId, sectionId, generation });
+          }
+          throw new Error('Section not found');
+        }
+
+        // Replace the previous draft and hide the published chunks from preview
+        await this.chunksCollection.deleteMany(
+          { tenantId, sectionId, draft: true, generation: { $ne: generation } },
+          options
+        );
+        await this.chunksCollection.updateMany(
+          { tenantId, sectionId, draft: { $ne: true } },
+          { $set: { shadowed: true } },
+          options
+        );
+      });
+
+      localVectorIndex.invalidate(tenantId);
+
+      logger.info({ tenantId, sectionId, chunkCount: staged.length }, 'Draft saved');
+
+      return { ...section, ...(unpublished && { status: 'completed' }), draft };
+    } catch (error) {
+      // A section created as a draft has nothing else to fall back on
+      if (unpublished) {
+        await this.setSectionStatus(tenantId, sectionId, 'failed', error.message);
+      }
+      logger.error({ error: error.message, tenantId, sectionId }, 'Failed to save draft');
+      throw error;
+    }
+  }
+
+  /**
+   * Publish the tenant's drafts, or those of `sectionIds`, in one
+   * transaction: each section takes its draft's fields and chunks, and the
+   * chunks they replace are deleted. A draft whose staged chunks are
+   * incomplete is refused before anything is switched.
+   *
+   * Without transactions each step is keyed on the draft's generation and
+   * the draft is only dropped at the end, so a publish that was
+   * interrupted is finished by publishing again: the section points at the
+   * draft's chunks, the chunks are unflagged, the replaced chunks are
+   * deleted, then the draft is removed.
+   */
+  async publishDrafts(tenantId, { sectionIds = null, author = null } = {}) {
+    try {
+      const query = { tenantId, draft: { $exists: true } };
+      if (sectionIds) query.sectionId = { $in: sectionIds };
+
+      const sections = await this.sectionsCollection
+        .find(query)
+        .project({ sectionId: 1, draft: 1, _id: 0 })
+        .toArray();
+
+      const missing = (sectionIds || []).filter(id => !sections.some(section => section.sectionId === id));
+      if (missing.length > 0) {
+        throw new Error(`No draft to publish for sections: ${missing.join(', ')}`);
+      }
+
+      const now = new Date();
+
+      await mongodb.withTransaction(async (session) => {
+        const options = session ? { session } : {};
+
+        for (const { sectionId, draft } of sections) {
+          const { generation, chunkCount, updatedBy, updatedAt, ...fields } = draft;
+          const availability = availabilityAt(fields, now);
+
+          // Unflagged chunks of this generation are from an interrupted publish
+          const staged = await this.chunksCollection.countDocuments(
+            { tenantId, sectionId, generation },
+            options
+          );
+          if (staged !== chunkCount) {
+            throw new Error(`The draft of section ${sectionId} is missing chunks; save it again before publishing`);
+          }
+
+          const result = await this.sectionsCollection.updateOne(
+            { tenantId, sectionId, 'draft.generation': generation },
+            {
+              $set: {
+                ...fields,
+                availability,
+                generation,
+                chunkCount,
+                status: 'completed',
+                updatedBy: author || updatedBy,
+                updatedAt: now
+              }
+            },
+            options
+          );
+
+          if (result.matchedCount === 0) {
+            throw new Error(`The draft of section ${sectionId} changed while publishing`);
+          }
+
+          await this.chunksCollection.updateMany(
+            { tenantId, sectionId, generation },
+            { $set: { availability }, $unset: { draft: '' } },
+            options
+          );
+          await this.chunksCollection.deleteMany(
+            { tenantId, sectionId, generation: { $ne: generation } },
+            options
+          );
+          await this.sectionsCollection.updateOne(
+            { tenantId, sectionId, 'draft.generation': generation },
+            { $unset: { draft: '', published: '', error: '' } },
+            options
+          );
+        }
+      });
+
+      localVectorIndex.invalidate(tenantId);
+
+      const published = [];
+      for (const { sectionId } of sections) {
+        const section = await this.getSection(tenantId, sectionId);
+        const version = await versionService.recordVersion(tenantId, section, { author, reason: 'published' });
+        published.push({
+          sectionId,
+          title: section.title,
+          chunkCount: section.chunkCount,
+          availability: section.availability,
+          ...(version && { version: version.version })
+        });
+      }
+
+      logger.info({ tenantId, published: published.length }, 'Drafts published');
+
+      return { published };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'Failed to publish drafts');
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a section's draft and its chunks. A section that was created as
+   * a draft and never published is deleted.
+   */
+  async discardDraft(tenantId, sectionId) {
+    try {
+      const section = await this.getSection(tenantId, sectionId);
+      if (!section.draft && section.published !== false) {
+        throw new Error('Section has no draft');
+      }
+      if (isPublishing(section)) {
+        throw new Error(`Section ${sectionId} is being published; publish it again to finish`);
+      }
+
+      if (section.published === false) {
+        await this.deleteSection(tenantId, sectionId);
+        return { sectionId, deleted: true };
+      }
+
+      await mongodb.withTransaction(async (session) => {
+        const options = session ? { session } : {};
+
+        await this.sectionsCollection.updateOne({ tenantId, sectionId }, { $unset: { draft: '' } }, options);
+        await this.chunksCollection.deleteMany({ tenantId, sectionId, draft: true }, options);
+        await this.chunksCollection.updateMany({ tenantId, sectionId }, { $unset: { shadowed: '' } }, options);
+      });
+
+      localVectorIndex.invalidate(tenantId);
+
+      logger.info({ tenantId, sectionId }, 'Draft discarded');
+
+      return { sectionId, deleted: false };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, sectionId }, 'Failed to discard draft');
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a section's title, content and metadata from an earlier
+   * version. The content is re-embedded and the result becomes a new version.
+   */
+  async restoreVersion(tenantId, sectionId, version, { author = null } = {}) {
+    try {
+      const snapshot = await versionService.getVersion(tenantId, sectionId, version);
+
+      const section = await this.updateSection(
+        tenantId,
+        sectionId,
+        {
+          title: snapshot.title,
+          content: snapshot.content,
+          metadata: snapshot.metadata
+        },
+        { author, reason: 'restored', restoredFrom: version }
+      );
+
+      logger.info({ tenantId, sectionId, restoredFrom: version, version: section.version }, 'Section version restored');
+
+      return section;
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, sectionId, version }, 'Failed to restore section version');
+      throw error;
+    }
+  }
+
   /**
    * Get sections by type
    */
@@ -300,10 +1092,14 @@ class DataService {
       // Delete section
       const sectionResult = await this.sectionsCollection.deleteOne({ tenantId, sectionId });
 
+      localVectorIndex.invalidate(tenantId);
+
       if (sectionResult.deletedCount === 0) {
         throw new Error('Section not found');
       }
 
+      await versionService.deleteVersions(tenantId, sectionId);
+
       logger.info({ tenantId, sectionId, chunksDeleted: chunksResult.deletedCount }, 'Section deleted');
 
       return {
@@ -342,6 +1138,139 @@ class DataService {
       throw error;
     }
   }
+
+  /**
+   * Find and reconcile chunk inconsistencies left by interrupted writes:
+   * chunks whose section no longer exists, chunks of a generation other
+   * than the section's live one, and sections whose `chunkCount` does not
+   * match their live chunks. Completed sections left without any chunks
+   * are reported; they need their content re-registered. With `dryRun`
+   * nothing is changed. Limited to one tenant when `tenantId` is given.
+   */
+  async repairChunks({ tenantId = null, dryRun = false, minChunkAgeMs = REPAIR_CONFIG.minChunkAgeMs } = {}) {
+    const scope = tenantId ? { tenantId } : {};
+    const cutoff = new Date(Date.now() - minChunkAgeMs);
+    const issues = [];
+    const touchedTenants = new Set();
+
+    try {
+      // Chunk generations per section, with the section they belong to
+      const generations = await this.chunksCollection.aggregate([
+        { $match: scope },
+        {
+          $group: {
+            _id: { tenantId: '$tenantId', sectionId: '$sectionId', generation: { $ifNull: ['$generation', null] } },
+            count: { $sum: 1 },
+            newest: { $max: '$createdAt' }
+          }
+        },
+        {
+          $lookup: {
+            from: 'sections',
+            let: { tenantId: '$_id.tenantId', sectionId: '$_id.sectionId' },
+            pipeline: [
+              { $match: { $expr: { $and: [{ $eq: ['$tenantId', '$$tenantId'] }, { $eq: ['$sectionId', '$$sectionId'] }] } } },
+              { $project: { generation: 1, 'draft.generation': 1, _id: 0 } }
+            ],
+            as: 'section'
+          }
+        }
+      ]).toArray();
+
+      for (const { _id: group, count, newest, section: [section] } of generations) {
+        // Recent chunks may belong to a swap that is still running
+        if (newest && newest > cutoff) continue;
+
+        let issue = null;
+        if (!section) {
+          issue = 'orphaned_chunks';
+        } else if ((section.generation ?? null) !== group.generation && section.draft?.generation !== group.generation) {
+          issue = 'stale_chunks';
+        }
+        if (!issue) continue;
+
+        issues.push({ tenantId: group.tenantId, sectionId: group.sectionId, issue, chunks: count });
+
+        if (!dryRun) {
+          await this.chunksCollection.deleteMany({
+            tenantId: group.tenantId,
+            sectionId: group.sectionId,
+            generation: group.generation ?? { $exists: false }
+          });
+          touchedTenants.add(group.tenantId);
+        }
+      }
+
+      // Live chunk count of every section not currently being processed
+      const sections = await this.sectionsCollection.aggregate([
+        // Sections never published have only draft chunks
+        { $match: { ...scope, status: { $nin: ['pending', 'processing'] }, published: { $ne: false } } },
+        {
+          $lookup: {
+            from: 'chunks',
+            let: { tenantId: '$tenantId', sectionId: '$sectionId', generation: { $ifNull: ['$generation', null] } },
+            pipeline: [
+              {
+                $match: {
+                  $expr: {
+                    $and: [
+                      { $eq: ['$tenantId', '$$tenantId'] },
+                      { $eq: ['$sectionId', '$$sectionId'] },
+                      { $eq: [{ $ifNull: ['$generation', null] }, '$$generation'] }
+                    ]
+                  }
+                }
+              },
+              { $count: 'count' }
+            ],
+            as: 'live'
+          }
+        },
+        { $project: { tenantId: 1, sectionId: 1, status: 1, chunkCount: 1, live: 1, _id: 0 } }
+      ]).toArray();
+
+      for (const section of sections) {
+        const actual = section.live[0]?.count || 0;
+
+        if (actual === 0 && section.status === 'completed') {
+          issues.push({ tenantId: section.tenantId, sectionId: section.sectionId, issue: 'no_chunks' });
+        }
+
+        if (section.chunkCount !== actual) {
+          issues.push({
+            tenantId: section.tenantId,
+            sectionId: section.sectionId,
+            issue: 'chunk_count',
+            recorded: section.chunkCount ?? null,
+            actual
+          });
+
+          if (!dryRun) {
+            await this.sectionsCollection.updateOne(
+              { tenantId: section.tenantId, sectionId: section.sectionId },
+              { $set: { chunkCount: actual } }
+            );
+          }
+        }
+      }
+
+      for (const id of touchedTenants) {
+        localVectorIndex.invalidate(id);
+      }
+
+      const summary = issues.reduce((counts, { issue }) => {
+        counts[issue] = (counts[issue] || 0) + 1;
+        return counts;
+      }, {});
+
+      logger.info({ tenantId, dryRun, summary }, 'Chunk repair completed');
+
+      return { dryRun, summary, issues };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'Chunk repair failed');
+      throw error;
+    }
+  }
 }
 
 export default new DataService();
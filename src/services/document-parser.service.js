@@ -1,5 +1,7 @@
 import mammoth from 'mammoth';
+import JSZip from 'jszip';
 import { createRequire } from 'module';
+import { randomUUID } from 'crypto';
 import pino from 'pino';
 
 const require = createRequire(import.meta.url);
@@ -7,6 +9,26 @@ const pdf = require('pdf-parse');
 
 const logger = pino();
 
+// Markup that never carries page content
+const NON_CONTENT = /<(script|style|noscript|template|svg|canvas|object|iframe)\b[\s\S]*?<\/\1\s*>/gi;
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const TAG = /<(\/?)([a-z][a-z0-9-]*)\b((?:"[^"]*"|'[^']*'|[^'">])*)>/gi;
+
+// Page chrome: navigation, site headers and footers, sidebars, forms
+const BOILERPLATE_TAGS = new Set(['nav', 'footer', 'aside', 'form', 'button', 'select', 'dialog', 'menu']);
+const BOILERPLATE_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'search', 'complementary', 'menu', 'menubar', 'dialog']);
+const BOILERPLATE_NAMES = /^(nav|navbar|navigation|menu|breadcrumbs?|footer|site-footer|site-header|sidebar|toc|skip-link|cookie-banner|cookie-consent|share|social|pagination)$/i;
+
+/**
+ * Value of an attribute in a tag's attribute string, matched case-insensitively
+ */
+const attribute = (attributes, name) => {
+  for (const [, key, double, single, bare] of attributes.matchAll(/([^\s"'=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+    if (key.toLowerCase() === name.toLowerCase()) return double ?? single ?? bare ?? '';
+  }
+  return null;
+};
+
 class DocumentParserService {
   /**
    * Supported file types
@@ -17,10 +39,25 @@ class DocumentParserService {
     'application/msword': { ext: '.doc', parser: 'docx' },
     'text/plain': { ext: '.txt', parser: 'text' },
     'text/markdown': { ext: '.md', parser: 'text' },
+    'text/html': { ext: '.html', parser: 'html' },
+    'application/xhtml+xml': { ext: '.xhtml', parser: 'html' },
   };
 
   static MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 
+  /**
+   * Spreadsheet types accepted by table import
+   */
+  static TABLE_TYPES = {
+    'text/csv': { ext: '.csv', parser: 'csv' },
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { ext: '.xlsx', parser: 'xlsx' },
+  };
+
+  static MAX_TABLE_ROWS = 10000;
+
+  // Decompressed bytes read from one XLSX workbook, against zip bombs
+  static MAX_XLSX_UNCOMPRESSED_SIZE = 100 * 1024 * 1024; // 100MB
+
   /**
    * Validate file type and size
    */
@@ -35,10 +72,10 @@ class DocumentParserService {
     
     // Also check by extension if mimetype is generic
     if (!fileType && filename) {
-      const ext = filename.toLowerCase().match(/\.(pdf|docx|doc|txt|md)$/)?.[1];
+      const ext = filename.toLowerCase().match(/\.(pdf|docx|doc|txt|md|html?|xhtml)$/)?.[1];
       if (ext) {
         const matchedType = Object.values(DocumentParserService.SUPPORTED_TYPES)
-          .find(t => t.ext === `.${ext}`);
+          .find(t => t.ext === `.${ext === 'htm' ? 'html' : ext}`);
         if (matchedType) {
           return matchedType;
         }
@@ -98,13 +135,13 @@ class DocumentParserService {
   }
 
   /**
-   * Parse DOCX document
+   * Parse DOCX document, keeping headings and tables as Markdown
    */
   async parseDOCX(buffer) {
     try {
-      const result = await mammoth.extractRawText({ buffer });
+      const result = await mammoth.convertToHtml({ buffer });
       return {
-        text: result.value,
+        text: this.htmlToMarkdown(result.value),
         warnings: result.messages
       };
     } catch (error) {
@@ -113,6 +150,243 @@ class DocumentParserService {
     }
   }
 
+  /**
+   * Convert simple HTML (as produced by mammoth) to Markdown-style text
+   * so headings, list items and table rows survive into chunking
+   */
+  htmlToMarkdown(html) {
+    const inline = (fragment) => fragment
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return this.decodeEntities(
+      html
+        .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, text) =>
+          `\n\n${'#'.repeat(Number(level))} ${inline(text)}\n\n`)
+        .replace(/<table[^>]*>([\s\S]*?)<\/table>/gi, (_, table) => {
+          const rows = [...table.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)]
+            .map(([, row]) => [...row.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)]
+              .map(([, cell]) => inline(cell).replace(/\|/g, '/')));
+          if (rows.length === 0) return '';
+          const lines = rows.map(cells => `| ${cells.join(' | ')} |`);
+          lines.splice(1, 0, `| ${rows[0].map(() => '---').join(' | ')} |`);
+          return `\n\n${lines.join('\n')}\n\n`;
+        })
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/(p|ul|ol|li|div|blockquote|section|article|main|header|dl|dt|dd|figure|figcaption|address|details|summary)>/gi,
+          (_, tag) => (tag.toLowerCase() === 'li' ? '' : '\n\n'))
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+    );
+  }
+
+  /**
+   * Decode the HTML entities commonly found in document markup
+   */
+  decodeEntities(text) {
+    const named = {
+      amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+      copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–', bull: '•', middot: '·',
+      lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', euro: '€', pound: '£'
+    };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+      }
+      return named[code.toLowerCase()] ?? entity;
+    });
+  }
+
+  /**
+   * Parse an HTML page. Scripts, navigation, site headers, footers and
+   * sidebars are dropped; when the page marks its main content (`<main>`,
+   * `role="main"` or a single `<article>`) only that is kept. Headings,
+   * lists and tables survive as Markdown. `charset` (e.g. from an HTTP
+   * Content-Type header) wins over a `<meta charset>` declaration.
+   */
+  async parseHTML(buffer, charset = null) {
+    try {
+      const html = this.decodeHtml(buffer, charset)
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+        .replace(NON_CONTENT, '');
+
+      const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i)?.[1];
+      const description = [...html.matchAll(/<meta\b([^>]*)>/gi)]
+        .map(([, attributes]) => attributes)
+        .find(attributes => /^description$/i.test(attribute(attributes, 'name') || ''));
+
+      const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body\s*>/i)?.[1]
+        ?? html.replace(/<head\b[^>]*>[\s\S]*?<\/head\s*>/i, '').replace(/<title\b[^>]*>[\s\S]*?<\/title\s*>/gi, '');
+
+      const articles = body.match(/<article\b/gi) || [];
+      const main = this.innerHtml(body, (name, attributes) => name === 'main' || attribute(attributes, 'role') === 'main')
+        ?? (articles.length === 1 ? this.innerHtml(body, name => name === 'article') : null);
+
+      // Outside the main content, <header> is the site banner
+      const content = this.removeElements(main ?? body, (name, attributes) =>
+        this.isBoilerplate(name, attributes) || (main === null && name === 'header'));
+
+      // Whitespace is insignificant in HTML except inside <pre>, so <pre>
+      // blocks are set aside behind a marker no page contains
+      const preformatted = [];
+      const marker = `pre${randomUUID().replace(/-/g, '')}`;
+      const collapsed = content
+        .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre\s*>/gi, (_, code) => {
+          preformatted.push(this.decodeEntities(code.replace(/<[^>]+>/g, '')).replace(/^\n+|\s+$/g, ''));
+          return `\n\n${marker}${preformatted.length - 1}${marker}\n\n`;
+        })
+        .replace(/\s+/g, ' ');
+
+      const text = this.htmlToMarkdown(collapsed)
+        .replace(/[ \t]*\n[ \t]*/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        // Collapsing whitespace above pulled the markers inline; fences need their own lines
+        .replace(new RegExp(`\\s*${marker}(\\d+)${marker}\\s*`, 'g'), (_, index) => `\n\n\`\`\`\n${preformatted[Number(index)]}\n\`\`\`\n\n`);
+
+      const inline = (fragment) => this.decodeEntities(fragment.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+      const language = attribute(html.match(/<html\b([^>]*)>/i)?.[1] || '', 'lang');
+
+      return {
+        text,
+        metadata: {
+          ...(title && { title: inline(title) }),
+          ...(description && { description: inline(attribute(description, 'content') || '') }),
+          ...(language && { language })
+        }
+      };
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to parse HTML');
+      throw new Error('Failed to parse HTML document');
+    }
+  }
+
+  /**
+   * Decode HTML bytes using the given charset, a byte order mark or a
+   * `<meta charset>` declaration, falling back to UTF-8
+   */
+  decodeHtml(buffer, charset = null) {
+    let encoding = charset;
+
+    if (!encoding) {
+      if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        encoding = 'utf-8';
+      } else {
+        const sniff = buffer.subarray(0, 2048).toString('latin1');
+        encoding = sniff.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i)?.[1] || 'utf-8';
+      }
+    }
+
+    try {
+      return new TextDecoder(encoding).decode(buffer);
+    } catch (error) {
+      // Unknown charset label
+      return new TextDecoder('utf-8').decode(buffer);
+    }
+  }
+
+  /**
+   * Whether an element is page chrome rather than content
+   */
+  isBoilerplate(name, attributes) {
+    if (BOILERPLATE_TAGS.has(name)) return true;
+
+    const role = attribute(attributes, 'role');
+    if (role && BOILERPLATE_ROLES.has(role.toLowerCase())) return true;
+
+    if (attribute(attributes, 'hidden') !== null || attribute(attributes, 'aria-hidden') === 'true') return true;
+    if (/display\s*:\s*none/i.test(attribute(attributes, 'style') || '')) return true;
+
+    const names = [attribute(attributes, 'id'), ...(attribute(attributes, 'class') || '').split(/\s+/)];
+    return names.some(value => value && BOILERPLATE_NAMES.test(value));
+  }
+
+  /**
+   * Walk the tags of an HTML fragment, calling `visit(match, name, closing,
+   * isVoid)` for each; nesting is tracked by the callers
+   */
+  walkTags(html, visit) {
+    for (const match of html.matchAll(TAG)) {
+      const [tag, closing, rawName] = match;
+      const name = rawName.toLowerCase();
+      const isVoid = VOID_ELEMENTS.has(name) || tag.endsWith('/>');
+      if (visit(match, name, Boolean(closing), isVoid) === false) break;
+    }
+  }
+
+  /**
+   * Inner HTML of the first element matching `predicate(name, attributes)`,
+   * or null when there is none
+   */
+  innerHtml(html, predicate) {
+    let open = null;
+    let depth = 0;
+    let result = null;
+
+    this.walkTags(html, (match, name, closing, isVoid) => {
+      if (isVoid) return true;
+
+      if (!open) {
+        if (!closing && predicate(name, match[3])) {
+          open = { name, start: match.index + match[0].length };
+          depth = 1;
+        }
+        return true;
+      }
+
+      if (name === open.name) {
+        depth += closing ? -1 : 1;
+        if (depth === 0) {
+          result = html.slice(open.start, match.index);
+          return false;
+        }
+      }
+      return true;
+    });
+
+    // An element left unclosed runs to the end of the document
+    return result ?? (open ? html.slice(open.start) : null);
+  }
+
+  /**
+   * Remove every element matching `predicate(name, attributes)` together
+   * with its content
+   */
+  removeElements(html, predicate) {
+    let output = '';
+    let last = 0;
+    let skipping = null;
+
+    this.walkTags(html, (match, name, closing, isVoid) => {
+      const end = match.index + match[0].length;
+
+      if (skipping) {
+        if (name === skipping.name && !isVoid) {
+          skipping.depth += closing ? -1 : 1;
+          if (skipping.depth === 0) {
+            skipping = null;
+            last = end;
+          }
+        }
+        return true;
+      }
+
+      if (!closing && predicate(name, match[3])) {
+        output += html.slice(last, match.index);
+        last = end;
+        if (!isVoid) {
+          skipping = { name, depth: 1 };
+        }
+      }
+      return true;
+    });
+
+    return skipping ? output : output + html.slice(last);
+  }
+
   /**
    * Parse plain text document
    */
@@ -129,10 +403,405 @@ class DocumentParserService {
     }
   }
 
+  /**
+   * Validate a spreadsheet file for table import. The extension wins over
+   * the mimetype, which browsers often report as application/vnd.ms-excel
+   * for CSV files.
+   */
+  validateTableFile(mimetype, size, filename) {
+    if (size > DocumentParserService.MAX_FILE_SIZE) {
+      throw new Error(`File size exceeds limit of ${DocumentParserService.MAX_FILE_SIZE / 1024 / 1024}MB`);
+    }
+
+    const ext = filename?.toLowerCase().match(/\.(csv|xlsx)$/)?.[1];
+    const fileType = Object.values(DocumentParserService.TABLE_TYPES).find(t => t.ext === `.${ext}`)
+      || DocumentParserService.TABLE_TYPES[mimetype];
+
+    if (!fileType) {
+      const supportedExts = Object.values(DocumentParserService.TABLE_TYPES)
+        .map(t => t.ext)
+        .join(', ');
+      throw new Error(`Unsupported file type. Supported formats: ${supportedExts}`);
+    }
+
+    return fileType;
+  }
+
+  /**
+   * Parse a CSV or XLSX file into named columns and rows. The first
+   * non-empty row holds the column names; `row` is the 1-based row number
+   * as shown by a spreadsheet application.
+   */
+  async parseTable(buffer, mimetype, filename, { sheet = null, delimiter = null } = {}) {
+    const fileType = this.validateTableFile(mimetype, buffer.length, filename);
+
+    const source = fileType.parser === 'xlsx'
+      ? await this.parseXLSX(buffer, sheet)
+      : { records: this.parseCSV(this.decodeText(buffer), delimiter), sheets: null, sheet: null };
+
+    const table = this.buildTable(source.records);
+
+    logger.info({
+      filename,
+      parser: fileType.parser,
+      sheet: source.sheet,
+      columns: table.columns.length,
+      rows: table.rows.length
+    }, 'Parsed table');
+
+    return { ...table, sheets: source.sheets, sheet: source.sheet };
+  }
+
+  /**
+   * Decode text as UTF-8, falling back to Windows-1252 as written by older
+   * spreadsheet exports
+   */
+  decodeText(buffer) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+      return new TextDecoder('windows-1252').decode(buffer);
+    }
+  }
+
+  /**
+   * Split CSV text into records of raw cell strings (RFC 4180 quoting).
+   * The delimiter is detected from the first line unless given.
+   */
+  parseCSV(text, delimiter = null) {
+    const source = text.replace(/^\uFEFF/, '');
+    const separator = delimiter || this.detectDelimiter(source);
+
+    const records = [];
+    let cells = [];
+    let field = '';
+    let quoted = false;
+
+    const endRecord = () => {
+      cells.push(field);
+      records.push({ row: records.length + 1, cells });
+      cells = [];
+      field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (quoted) {
+        if (char !== '"') {
+          field += char;
+        } else if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === separator) {
+        cells.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        endRecord();
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error(`Unterminated quoted field in row ${records.length + 1}`);
+    }
+    if (field !== '' || cells.length > 0) {
+      endRecord();
+    }
+
+    return records;
+  }
+
+  /**
+   * The most frequent candidate delimiter outside quotes in the first line
+   */
+  detectDelimiter(text) {
+    const firstLine = text.replace(/"[^"]*"/g, '').split(/\r?\n/, 1)[0];
+
+    return [',', ';', '\t', '|']
+      .map(candidate => [candidate, firstLine.split(candidate).length])
+      .sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  /**
+   * Read the cells of one worksheet from an XLSX workbook. Shared strings,
+   * inline strings, booleans and date-formatted numbers are resolved.
+   * Entries are inflated within MAX_XLSX_UNCOMPRESSED_SIZE, and rows stop
+   * being read once the sheet exceeds MAX_TABLE_ROWS.
+   */
+  async parseXLSX(buffer, sheetName = null) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new Error('File is not a valid XLSX workbook');
+    }
+
+    const maxSize = DocumentParserService.MAX_XLSX_UNCOMPRESSED_SIZE;
+    const tooLarge = () => new Error(`Workbook exceeds the ${maxSize / 1024 / 1024}MB uncompressed size limit`);
+    let inflated = 0;
+
+    // The declared size is checked first; the inflated bytes are counted
+    // too, as the declared size may be wrong
+    const read = (path) => {
+      const entry = zip.file(path);
+      if (!entry) return null;
+      if (inflated + (entry._data?.uncompressedSize || 0) > maxSize) {
+        throw tooLarge();
+      }
+
+      return new Promise((resolve, reject) => {
+        const chunks = [];
+        const stream = entry.internalStream('uint8array');
+        stream
+          .on('data', (chunk) => {
+            inflated += chunk.length;
+            if (inflated > maxSize) {
+              stream.pause();
+              reject(tooLarge());
+              return;
+            }
+            chunks.push(chunk);
+          })
+          .on('error', reject)
+          .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+          .resume();
+      });
+    };
+
+    const workbook = await read('xl/workbook.xml');
+    if (!workbook) {
+      throw new Error('File is not a valid XLSX workbook');
+    }
+
+    const relations = new Map([...((await read('xl/_rels/workbook.xml.rels')) || '').matchAll(/<Relationship\b([^>]*)>/g)]
+      .map(([, attributes]) => [attribute(attributes, 'Id'), attribute(attributes, 'Target')]));
+    const sheets = [...workbook.matchAll(/<sheet\b([^>]*)>/g)].map(([, attributes]) => ({
+      name: this.decodeEntities(attribute(attributes, 'name') || ''),
+      target: relations.get(attribute(attributes, 'r:id'))
+    }));
+
+    const selected = sheetName ? sheets.find(s => s.name === sheetName) : sheets[0];
+    if (!selected?.target) {
+      throw new Error(sheetName
+        ? `Sheet "${sheetName}" not found. Sheets: ${sheets.map(s => s.name).join(', ')}`
+        : 'Workbook has no worksheets');
+    }
+
+    const sheetPath = selected.target.startsWith('/') ? selected.target.slice(1) : `xl/${selected.target}`;
+    const sheetXml = await read(sheetPath);
+    if (!sheetXml) {
+      throw new Error(`Sheet "${selected.name}" could not be read`);
+    }
+
+    // Rich text runs are joined; phonetic hints are dropped
+    const xmlText = (fragment) => [...fragment.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+      .map(([, text]) => this.decodeEntities(text))
+      .join('');
+    const sharedStrings = [...((await read('xl/sharedStrings.xml')) || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+      .map(([, item]) => xmlText(item));
+
+    // Cell styles whose number format shows a date
+    const styles = (await read('xl/styles.xml')) || '';
+    const customFormats = new Map([...styles.matchAll(/<numFmt\b([^>]*)>/g)]
+      .map(([, attributes]) => [Number(attribute(attributes, 'numFmtId')), attribute(attributes, 'formatCode') || '']));
+    const dateStyles = [...(styles.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || '').matchAll(/<xf\b([^>]*)>/g)]
+      .map(([, attributes]) => {
+        const formatId = Number(attribute(attributes, 'numFmtId'));
+        return (formatId >= 14 && formatId <= 22)
+          || /[dy]/i.test(this.decodeEntities(customFormats.get(formatId) || '').replace(/"[^"]*"|\[[^\]]*\]/g, ''));
+      });
+
+    const toDate = (serial) => new Date(Math.round((serial - 25569) * 86400000))
+      .toISOString()
+      .slice(0, Number.isInteger(serial) ? 10 : 19);
+
+    const columnIndex = (ref) => [...ref.replace(/\d+$/, '')]
+      .reduce((index, letter) => index * 26 + letter.toUpperCase().charCodeAt(0) - 64, 0) - 1;
+
+    const maxRows = DocumentParserService.MAX_TABLE_ROWS;
+    const records = [];
+    let filled = 0;
+    for (const [, rowAttributes, rowXml = ''] of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const cells = [];
+
+      for (const [, cellAttributes, cellXml = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const ref = attribute(cellAttributes, 'r');
+        const raw = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+        let value;
+
+        switch (attribute(cellAttributes, 't')) {
+          case 's':
+            value = sharedStrings[Number(raw)] ?? null;
+            break;
+          case 'inlineStr':
+            value = xmlText(cellXml.match(/<is>([\s\S]*?)<\/is>/)?.[1] || '');
+            break;
+          case 'str':
+            value = raw === undefined ? null : this.decodeEntities(raw);
+            break;
+          case 'b':
+            value = raw === '1';
+            break;
+          case 'e':
+            value = null;
+            break;
+          default:
+            value = raw === undefined
+              ? null
+              : (dateStyles[Number(attribute(cellAttributes, 's'))] ? toDate(Number(raw)) : Number(raw));
+        }
+
+        cells[ref ? columnIndex(ref) : cells.length] = value;
+      }
+
+      records.push({ row: Number(attribute(rowAttributes, 'r')) || records.length + 1, cells });
+
+      // The header row comes on top of the row limit
+      if (cells.some(value => value !== null && value !== undefined && String(value).trim() !== '')) {
+        filled++;
+        if (filled > maxRows + 1) {
+          throw new Error(`Table has more than ${maxRows} rows; the limit is ${maxRows}`);
+        }
+      }
+    }
+
+    return {
+      records,
+      sheets: sheets.map(s => s.name),
+      sheet: selected.name
+    };
+  }
+
+  /**
+   * Name columns after the first non-empty record and key the remaining
+   * non-empty records by column name
+   */
+  buildTable(records) {
+    const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+    const hasValues = ({ cells }) => cells.some(value => !isEmpty(value));
+
+    const headerIndex = records.findIndex(hasValues);
+    if (headerIndex === -1) {
+      throw new Error('Table is empty');
+    }
+
+    // Blank and repeated column names are made unique
+    const seen = new Map();
+    const columns = Array.from(records[headerIndex].cells, (value, index) => {
+      const name = isEmpty(value) ? `Column ${index + 1}` : String(value).trim();
+      const count = (seen.get(name) || 0) + 1;
+      seen.set(name, count);
+      return count > 1 ? `${name} (${count})` : name;
+    });
+
+    const rows = records.slice(headerIndex + 1)
+      .filter(hasValues)
+      .map(({ row, cells }) => ({
+        row,
+        values: Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? null]))
+      }));
+
+    if (rows.length === 0) {
+      throw new Error('Table has no rows below the header');
+    }
+    if (rows.length > DocumentParserService.MAX_TABLE_ROWS) {
+      throw new Error(`Table has ${rows.length} rows; the limit is ${DocumentParserService.MAX_TABLE_ROWS}`);
+    }
+
+    return { columns, rows };
+  }
+
+  /**
+   * Turn table rows into section drafts using a column mapping: the
+   * `titleColumn`, the `contentColumns`, the `metadataColumns` and a fixed
+   * section `type`. Each row becomes a section, or with `groupBy`, rows
+   * sharing that column's value become one section with a heading per row.
+   * Each draft lists the table `rows` it came from.
+   */
+  tableToSections(table, { titleColumn, contentColumns, metadataColumns = [], type = 'general', groupBy = null }) {
+    const unknown = [titleColumn, ...contentColumns, ...metadataColumns, groupBy]
+      .filter(column => column && !table.columns.includes(column));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown column(s): ${[...new Set(unknown)].join(', ')}. Columns: ${table.columns.join(', ')}`);
+    }
+
+    const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+    // Several content columns are labelled with their names
+    const rowContent = (values) => (contentColumns.length === 1
+      ? text(values[contentColumns[0]])
+      : contentColumns
+        .filter(column => text(values[column]))
+        .map(column => `${column}: ${text(values[column])}`)
+        .join('\n'));
+
+    // CSV cells are strings; numbers and booleans are typed so metadata filters compare them
+    const metadataValue = (value) => {
+      if (typeof value !== 'string') return value;
+      const trimmed = value.trim();
+      if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+      if (/^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === 'true';
+      return trimmed;
+    };
+    const rowMetadata = (values) => Object.fromEntries(metadataColumns
+      .filter(column => text(values[column]))
+      .map(column => [column, metadataValue(values[column])]));
+
+    if (!groupBy) {
+      return table.rows.map(({ row, values }) => ({
+        rows: [row],
+        section: {
+          type,
+          title: text(values[titleColumn]),
+          content: rowContent(values),
+          metadata: rowMetadata(values)
+        }
+      }));
+    }
+
+    const groups = new Map();
+    for (const entry of table.rows) {
+      const key = text(entry.values[groupBy]);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+
+    return Array.from(groups.entries()).map(([key, members]) => {
+      // Only metadata shared by every row describes the whole group
+      const [first, ...others] = members.map(({ values }) => rowMetadata(values));
+      const metadata = Object.fromEntries(Object.entries(first)
+        .filter(([column, value]) => others.every(other => other[column] === value)));
+
+      return {
+        rows: members.map(({ row }) => row),
+        section: {
+          type,
+          title: key,
+          content: members
+            .map(({ values }) => {
+              const heading = text(values[titleColumn]);
+              const body = rowContent(values);
+              return heading ? `## ${heading}\n\n${body}` : body;
+            })
+            .join('\n\n'),
+          metadata
+        }
+      };
+    });
+  }
+
   /**
    * Main parse method - routes to appropriate parser
    */
-  async parseDocument(buffer, mimetype, filename) {
+  async parseDocument(buffer, mimetype, filename, { charset = null } = {}) {
     const fileType = this.validateFile(mimetype, buffer.length, filename);
     
     logger.info({ 
@@ -155,6 +824,9 @@ class DocumentParserService {
         case 'text':
           result = await this.parseText(buffer);
           break;
+        case 'html':
+          result = await this.parseHTML(buffer, charset);
+          break;
         default:
           throw new Error('Unsupported parser type');
       }
@@ -225,8 +897,8 @@ class DocumentParserService {
   /**
    * Get file type info
    */
-  static getSupportedFormats() {
-    return Object.entries(DocumentParserService.SUPPORTED_TYPES).map(([mime, info]) => ({
+  static getSupportedFormats(types = DocumentParserService.SUPPORTED_TYPES) {
+    return Object.entries(types).map(([mime, info]) => ({
       mimetype: mime,
       extension: info.ext,
       parser: info.parser
@@ -0,0 +1,312 @@
+import mongodb from '../db/mongodb.js';
+import vectorSearchService from './vector-search.service.js';
+import { contentHash } from '../utils/helpers.js';
+import { DUPLICATE_DETECTION } from '../utils/constants.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const BACKFILL_BATCH_SIZE = 500;
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Exact and near-duplicate content detection. Sections and chunks store a
+ * `contentHash` of their normalized text; uploaded files also keep a
+ * `fileHash` of their bytes. Near-duplicates are found by embedding
+ * similarity and flagged on the section as `nearDuplicates`.
+ */
+class DuplicateService {
+  constructor() {
+    this.sectionsCollection = null;
+    this.chunksCollection = null;
+  }
+
+  initialize() {
+    const db = mongodb.getDb();
+    this.sectionsCollection = db.collection('sections');
+    this.chunksCollection = db.collection('chunks');
+  }
+
+  /**
+   * An existing section with the same file or content hash, or null.
+   * Failed sections are ignored so a failed upload can be retried.
+   */
+  async findDuplicateSection(tenantId, { contentHash: hash = null, fileHash = null }, excludeSectionId = null) {
+    const matches = [];
+    if (fileHash) matches.push({ fileHash });
+    if (hash) matches.push({ contentHash: hash });
+    if (matches.length === 0) return null;
+
+    const query = { tenantId, status: { $ne: 'failed' }, $or: matches };
+    if (excludeSectionId) {
+      query.sectionId = { $ne: excludeSectionId };
+    }
+
+    const section = await this.sectionsCollection.findOne(query, {
+      projection: { sectionId: 1, title: 1, status: 1, fileHash: 1, _id: 0 }
+    });
+
+    if (!section) return null;
+
+    return {
+      sectionId: section.sectionId,
+      title: section.title,
+      status: section.status,
+      matchedOn: fileHash && section.fileHash === fileHash ? 'file' : 'content'
+    };
+  }
+
+  /**
+   * Sections whose chunks closely match the chunks of a section, by embedding
+   * similarity. Best effort: failures are logged and yield no matches.
+   */
+  async findNearDuplicates(tenantId, sectionId, chunkDocs) {
+    const { similarityThreshold, maxChunksCompared, minChunkShare } = DUPLICATE_DETECTION;
+
+    // Spread the compared chunks evenly over the section
+    const step = Math.max(1, chunkDocs.length / maxChunksCompared);
+    const sample = [];
+    for (let i = 0; i < chunkDocs.length && sample.length < maxChunksCompared; i += step) {
+      sample.push(chunkDocs[Math.floor(i)]);
+    }
+
+    try {
+      const matches = new Map();
+
+      for (const chunk of sample) {
+        const results = await vectorSearchService.searchByEmbedding(tenantId, chunk.embedding, {
+          limit: 5,
+          minScore: similarityThreshold,
+          excludeSectionId: sectionId,
+          // Content waiting to be published duplicates just the same
+          includeUnavailable: true
+        });
+
+        // Count each other section once per compared chunk, at its best score
+        const best = new Map();
+        for (const result of results) {
+          if (!best.has(result.sectionId) || best.get(result.sectionId).score < result.score) {
+            best.set(result.sectionId, result);
+          }
+        }
+
+        for (const [otherId, result] of best) {
+          const match = matches.get(otherId) || { title: result.sectionTitle, sharedChunks: 0, totalScore: 0 };
+          match.sharedChunks++;
+          match.totalScore += result.score;
+          matches.set(otherId, match);
+        }
+      }
+
+      return Array.from(matches.entries())
+        .filter(([, match]) => match.sharedChunks / sample.length >= minChunkShare)
+        .map(([otherId, match]) => ({
+          sectionId: otherId,
+          title: match.title,
+          similarity: Math.round((match.totalScore / match.sharedChunks) * 10000) / 10000,
+          sharedChunks: match.sharedChunks,
+          comparedChunks: sample.length
+        }))
+        .sort((a, b) => b.similarity - a.similarity);
+    } catch (error) {
+      logger.warn({ error: error.message, tenantId, sectionId }, 'Near-duplicate check failed');
+      return [];
+    }
+  }
+
+  /**
+   * Find near-duplicates of a section and record them on it. Flags are
+   * advisory, so a failure here never fails the ingestion.
+   */
+  async flagNearDuplicates(tenantId, sectionId, chunkDocs) {
+    const nearDuplicates = await this.findNearDuplicates(tenantId, sectionId, chunkDocs);
+
+    try {
+      await this.sectionsCollection.updateOne(
+        { tenantId, sectionId },
+        { $set: { nearDuplicates } }
+      );
+    } catch (error) {
+      logger.warn({ error: error.message, tenantId, sectionId }, 'Failed to record near-duplicates');
+    }
+
+    if (nearDuplicates.length > 0) {
+      logger.info({ tenantId, sectionId, nearDuplicates: nearDuplicates.map(d => d.sectionId) }, 'Near-duplicate content flagged');
+    }
+
+    return nearDuplicates;
+  }
+
+  /**
+   * Hash sections and chunks stored before content hashes existed, for one
+   * tenant or all of them. Run by scripts/repair-chunks.js.
+   * Returns the number of sections and chunks hashed.
+   */
+  async backfillHashes(tenantId = null) {
+    const counts = { sections: 0, chunks: 0 };
+
+    for (const [collection, field, count] of [
+      [this.sectionsCollection, 'content', 'sections'],
+      [this.chunksCollection, 'text', 'chunks']
+    ]) {
+      const cursor = collection
+        .find({ ...(tenantId && { tenantId }), contentHash: { $exists: false }, [field]: { $type: 'string' } })
+        .project({ _id: 1, [field]: 1 });
+
+      let batch = [];
+      for await (const doc of cursor) {
+        batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { contentHash: contentHash(doc[field]) } } } });
+        if (batch.length === BACKFILL_BATCH_SIZE) {
+          await collection.bulkWrite(batch, { ordered: false });
+          counts[count] += batch.length;
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        await collection.bulkWrite(batch, { ordered: false });
+        counts[count] += batch.length;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Duplicate clusters in a tenant's knowledge base. `exact` clusters share
+   * the same normalized content. `near` clusters link sections that share
+   * most of their chunks, or were flagged as near-duplicates on ingestion.
+   * Only the sections involved are loaded. Content stored before hashes
+   * existed is left out until scripts/repair-chunks.js hashes it.
+   */
+  async getReport(tenantId) {
+    try {
+      const summary = ({ sectionId, title, type, createdAt }) => ({ sectionId, title, type, createdAt });
+
+      // Exact duplicates share the section content hash
+      const exactGroups = await this.sectionsCollection.aggregate([
+        { $match: { tenantId, status: { $ne: 'failed' }, contentHash: { $exists: true } } },
+        { $sort: { createdAt: 1 } },
+        {
+          $group: {
+            _id: '$contentHash',
+            sections: { $push: { sectionId: '$sectionId', title: '$title', type: '$type', createdAt: '$createdAt' } }
+          }
+        },
+        { $match: { 'sections.1': { $exists: true } } }
+      ], { allowDiskUse: true }).toArray();
+      const exact = exactGroups.map(({ _id: hash, sections }) => ({ contentHash: hash, sections: sections.map(summary) }));
+
+      // Pairs of sections sharing identical chunks. Chunks shared by many
+      // sections, such as a common footer, say nothing about duplication
+      const { maxSectionsPerChunk } = DUPLICATE_DETECTION;
+      const sharedChunks = await this.chunksCollection.aggregate([
+        { $match: { tenantId, contentHash: { $exists: true } } },
+        { $group: { _id: '$contentHash', sectionIds: { $addToSet: '$sectionId' } } },
+        { $match: { 'sectionIds.1': { $exists: true }, [`sectionIds.${maxSectionsPerChunk}`]: { $exists: false } } }
+      ], { allowDiskUse: true }).toArray();
+
+      const pairCounts = new Map();
+      for (const { sectionIds } of sharedChunks) {
+        for (let i = 0; i < sectionIds.length; i++) {
+          for (let j = i + 1; j < sectionIds.length; j++) {
+            const key = pairKey(sectionIds[i], sectionIds[j]);
+            pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+          }
+        }
+      }
+
+      const flagged = await this.sectionsCollection
+        .find({ tenantId, status: { $ne: 'failed' }, 'nearDuplicates.0': { $exists: true } })
+        .project({ sectionId: 1, nearDuplicates: 1, _id: 0 })
+        .toArray();
+
+      const involved = new Set();
+      for (const key of pairCounts.keys()) {
+        key.split('|').forEach(id => involved.add(id));
+      }
+      for (const section of flagged) {
+        involved.add(section.sectionId);
+        section.nearDuplicates.forEach(({ sectionId }) => involved.add(sectionId));
+      }
+
+      const sections = await this.sectionsCollection
+        .find({ tenantId, sectionId: { $in: [...involved] }, status: { $ne: 'failed' } })
+        .project({ sectionId: 1, title: 1, type: 1, contentHash: 1, chunkCount: 1, createdAt: 1, _id: 0 })
+        .toArray();
+      const byId = new Map(sections.map(section => [section.sectionId, section]));
+
+      const links = new Map();
+      const link = (a, b, evidence) => {
+        const left = byId.get(a);
+        const right = byId.get(b);
+        // Exact duplicates are reported as such
+        if (!left || !right || (left.contentHash && left.contentHash === right.contentHash)) return;
+
+        const key = pairKey(a, b);
+        links.set(key, { ...links.get(key), ...evidence });
+      };
+
+      for (const [key, shared] of pairCounts) {
+        const [a, b] = key.split('|');
+        const smaller = Math.min(byId.get(a)?.chunkCount || 0, byId.get(b)?.chunkCount || 0);
+        if (smaller > 0 && shared / smaller >= DUPLICATE_DETECTION.minChunkShare) {
+          link(a, b, { identicalChunks: shared });
+        }
+      }
+
+      for (const section of flagged) {
+        for (const { sectionId, similarity } of section.nearDuplicates) {
+          link(section.sectionId, sectionId, { similarity });
+        }
+      }
+
+      // Group linked sections into clusters
+      const parent = new Map();
+      const find = (id) => {
+        while (parent.get(id) !== id) {
+          parent.set(id, parent.get(parent.get(id)));
+          id = parent.get(id);
+        }
+        return id;
+      };
+      for (const key of links.keys()) {
+        for (const id of key.split('|')) {
+          if (!parent.has(id)) parent.set(id, id);
+        }
+        const [a, b] = key.split('|');
+        parent.set(find(a), find(b));
+      }
+
+      const clusters = new Map();
+      for (const id of parent.keys()) {
+        const root = find(id);
+        if (!clusters.has(root)) clusters.set(root, { sections: [], links: [] });
+        clusters.get(root).sections.push(summary(byId.get(id)));
+      }
+      for (const [key, evidence] of links) {
+        const [a, b] = key.split('|');
+        clusters.get(find(a)).links.push({ sectionIds: [a, b], ...evidence });
+      }
+
+      const near = Array.from(clusters.values());
+
+      logger.info({ tenantId, exactClusters: exact.length, nearClusters: near.length }, 'Duplicate report generated');
+
+      return {
+        exact,
+        near,
+        summary: {
+          exactClusters: exact.length,
+          exactDuplicateSections: exact.reduce((sum, cluster) => sum + cluster.sections.length - 1, 0),
+          nearClusters: near.length
+        }
+      };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'Failed to build duplicate report');
+      throw error;
+    }
+  }
+}
+
+export default new DuplicateService();
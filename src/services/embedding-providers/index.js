@@ -0,0 +1,47 @@
+import MockEmbeddingProvider from './mock.provider.js';
+import OpenAIEmbeddingProvider from './openai.provider.js';
+import LocalEmbeddingProvider from './local.provider.js';
+
+export const EMBEDDING_PROVIDERS = {
+  mock: MockEmbeddingProvider,
+  openai: OpenAIEmbeddingProvider,
+  local: LocalEmbeddingProvider
+};
+
+const toInt = (value) => (value ? parseInt(value, 10) : null);
+
+/**
+ * Create the embedding provider selected by environment configuration
+ */
+export function createEmbeddingProvider(env = process.env) {
+  // USE_MOCK_EMBEDDINGS predates EMBEDDING_PROVIDER and still wins when set
+  const name = env.USE_MOCK_EMBEDDINGS === 'true'
+    ? 'mock'
+    : (env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+
+  switch (name) {
+    case 'mock':
+      return new MockEmbeddingProvider({
+        dimensions: toInt(env.EMBEDDING_DIMENSIONS) || 768
+      });
+    case 'openai':
+      return new OpenAIEmbeddingProvider({
+        baseUrl: env.EMBEDDING_API_URL || undefined,
+        apiKey: env.EMBEDDING_API_KEY || env.OPENAI_API_KEY || null,
+        model: env.EMBEDDING_MODEL || undefined,
+        dimensions: toInt(env.EMBEDDING_DIMENSIONS),
+        batchSize: toInt(env.EMBEDDING_BATCH_SIZE) || undefined
+      });
+    case 'local':
+      return new LocalEmbeddingProvider({
+        model: env.EMBEDDING_MODEL || undefined,
+        modelPath: env.EMBEDDING_MODEL_PATH || null,
+        allowRemoteModels: env.EMBEDDING_ALLOW_REMOTE_MODELS !== 'false',
+        batchSize: toInt(env.EMBEDDING_BATCH_SIZE) || undefined
+      });
+    default:
+      throw new Error(
+        `Unknown EMBEDDING_PROVIDER "${name}". Supported: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`
+      );
+  }
+}
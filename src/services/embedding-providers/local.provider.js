@@ -0,0 +1,65 @@
+/**
+ * In-process sentence encoder running on CPU via transformers.js (ONNX).
+ * Models are read from EMBEDDING_MODEL_PATH when set, and downloaded from
+ * the Hugging Face hub otherwise unless remote models are turned off.
+ */
+export default class LocalEmbeddingProvider {
+  constructor({
+    model = 'Xenova/all-MiniLM-L6-v2',
+    modelPath = null,
+    allowRemoteModels = true,
+    quantized = true,
+    batchSize = 32
+  } = {}) {
+    this.name = 'local';
+    this.model = model;
+    this.modelPath = modelPath;
+    this.allowRemoteModels = allowRemoteModels;
+    this.quantized = quantized;
+    this.batchSize = batchSize;
+    this.dimensions = null;
+    this.extractor = null;
+  }
+
+  async initialize() {
+    let transformers;
+    try {
+      transformers = await import('@huggingface/transformers');
+    } catch (error) {
+      throw new Error(
+        'Local embedding provider requires the optional "@huggingface/transformers" package. ' +
+        'Install it or choose another EMBEDDING_PROVIDER.'
+      );
+    }
+
+    const { pipeline, env } = transformers;
+
+    if (this.modelPath) {
+      env.localModelPath = this.modelPath;
+    }
+    env.allowRemoteModels = this.allowRemoteModels;
+
+    this.extractor = await pipeline('feature-extraction', this.model, {
+      dtype: this.quantized ? 'q8' : 'fp32'
+    });
+
+    const [probe] = await this.embed(['dimension probe']);
+    this.dimensions = probe.length;
+  }
+
+  async embed(texts) {
+    if (!this.extractor) {
+      throw new Error('Local embedding provider is not initialized');
+    }
+
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const output = await this.extractor(batch, { pooling: 'mean', normalize: true });
+      embeddings.push(...output.tolist());
+    }
+
+    return embeddings;
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Deterministic mock embedding provider (for development/testing)
+ * Vectors are derived from a hash of the text and carry no semantic meaning.
+ */
+export default class MockEmbeddingProvider {
+  constructor({ dimensions = 768 } = {}) {
+    this.name = 'mock';
+    this.model = 'mock-sin-hash';
+    this.dimensions = dimensions;
+  }
+
+  async initialize() {}
+
+  /**
+   * Generate a mock embedding for a single text
+   */
+  embedOne(text) {
+    // Generate a deterministic but unique embedding based on text content
+    // This maintains some consistency for the same text
+    const hash = text.split('').reduce((acc, char) => {
+      return ((acc << 5) - acc) + char.charCodeAt(0);
+    }, 0);
+
+    const embedding = [];
+    for (let i = 0; i < this.dimensions; i++) {
+      // Use hash and index to generate pseudo-random but consistent values
+      const seed = (hash + i) * 0.001;
+      embedding.push(Math.sin(seed) * 0.5);
+    }
+
+    return embedding;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
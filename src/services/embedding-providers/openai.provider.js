@@ -0,0 +1,83 @@
+import { retryWithBackoff } from '../../utils/helpers.js';
+
+/**
+ * Embedding provider for OpenAI-compatible HTTP endpoints
+ * (OpenAI, Azure-style gateways, vLLM, Ollama, LocalAI, TEI, ...)
+ */
+export default class OpenAIEmbeddingProvider {
+  constructor({
+    baseUrl = 'https://api.openai.com/v1',
+    apiKey = null,
+    model = 'text-embedding-3-small',
+    dimensions = null,
+    batchSize = 96,
+    fetchFn = globalThis.fetch
+  } = {}) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.dimensions = dimensions;
+    // Only forwarded when configured; many compatible servers reject the field
+    this.requestedDimensions = dimensions;
+    this.batchSize = batchSize;
+    this.fetchFn = fetchFn;
+  }
+
+  async initialize() {
+    // Probe the endpoint once so dimension mismatches surface at startup
+    if (!this.dimensions) {
+      const [probe] = await this.embed(['dimension probe']);
+      this.dimensions = probe.length;
+    }
+  }
+
+  /**
+   * Request embeddings for one batch of texts
+   */
+  async requestBatch(texts) {
+    const body = { model: this.model, input: texts };
+    if (this.requestedDimensions) {
+      body.dimensions = this.requestedDimensions;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await this.fetchFn(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Embedding request failed with status ${response.status}: ${detail.slice(0, 200)}`);
+    }
+
+    const { data } = await response.json();
+    if (!Array.isArray(data) || data.length !== texts.length) {
+      throw new Error('Embedding response did not contain one vector per input');
+    }
+
+    // Responses carry an index; do not rely on ordering
+    return data
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  async embed(texts) {
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const vectors = await retryWithBackoff(() => this.requestBatch(batch));
+      embeddings.push(...vectors);
+    }
+
+    return embeddings;
+  }
+}
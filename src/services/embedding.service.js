@@ -1,72 +1,50 @@
-import Groq from 'groq-sdk';
-import { retryWithBackoff } from '../utils/helpers.js';
+import { createEmbeddingProvider } from './embedding-providers/index.js';
 import pino from 'pino';
 
 const logger = pino();
 
 class EmbeddingService {
   constructor() {
-    this.groq = null;
-    this.useMockEmbeddings = false;
+    this.provider = null;
   }
 
-  initialize() {
-    const apiKey = process.env.GROQ_API_KEY;
-    
-    // Check if we should use mock embeddings
-    this.useMockEmbeddings = process.env.USE_MOCK_EMBEDDINGS === 'true';
-    
-    if (this.useMockEmbeddings) {
+  /**
+   * Initialize the embedding provider selected via EMBEDDING_PROVIDER
+   * (mock, openai or local). Pass a provider instance to override config.
+   */
+  async initialize(provider = null) {
+    this.provider = provider || createEmbeddingProvider();
+    await this.provider.initialize();
+
+    if (this.provider.name === 'mock') {
       logger.warn('🔶 Using MOCK embeddings - suitable for development only!');
-      return;
-    }
-    
-    if (!apiKey) {
-      throw new Error('GROQ_API_KEY is not defined');
     }
 
-    this.groq = new Groq({ apiKey });
-    logger.info('Using Groq for embeddings (via text generation fallback)');
+    logger.info(this.getModelInfo(), 'Embedding provider initialized');
   }
 
   /**
-   * Generate a mock embedding (for development/testing)
+   * Describe the active provider; recorded on every chunk document
    */
-  generateMockEmbedding(text) {
-    // Generate a deterministic but unique embedding based on text content
-    // This maintains some consistency for the same text
-    const hash = text.split('').reduce((acc, char) => {
-      return ((acc << 5) - acc) + char.charCodeAt(0);
-    }, 0);
-    
-    // Generate a 768-dimensional embedding (matching standard dimension)
-    const embedding = [];
-    for (let i = 0; i < 768; i++) {
-      // Use hash and index to generate pseudo-random but consistent values
-      const seed = (hash + i) * 0.001;
-      embedding.push(Math.sin(seed) * 0.5);
+  getModelInfo() {
+    if (!this.provider) {
+      throw new Error('Embedding service is not initialized');
     }
-    
-    return embedding;
+
+    return {
+      provider: this.provider.name,
+      model: this.provider.model,
+      dimensions: this.provider.dimensions
+    };
   }
 
   /**
    * Generate embedding for a single text
-   * Note: Groq doesn't have native embedding API, so we use a simple text-based hash
-   * For production, consider using a dedicated embedding service like OpenAI or Cohere
    */
   async generateEmbedding(text) {
     try {
-      // Use mock embeddings if enabled OR if Groq doesn't support embeddings
-      if (this.useMockEmbeddings) {
-        return this.generateMockEmbedding(text);
-      }
-
-      // Since Groq doesn't provide embedding API, we'll use mock embeddings
-      // In production, you should use a dedicated embedding service
-      logger.warn('Using mock embeddings as Groq does not provide embedding API');
-      return this.generateMockEmbedding(text);
-
+      const [embedding] = await this.generateEmbeddings([text]);
+      return embedding;
     } catch (error) {
       logger.error({ error: error.message }, 'Failed to generate embedding');
       throw error;
@@ -78,16 +56,18 @@ class EmbeddingService {
    */
   async generateEmbeddings(texts) {
     try {
-      // Use mock embeddings
-      if (this.useMockEmbeddings) {
-        logger.info(`Generating ${texts.length} mock embeddings`);
-        return texts.map(text => this.generateMockEmbedding(text));
+      if (!this.provider) {
+        throw new Error('Embedding service is not initialized');
       }
 
-      // Since Groq doesn't provide embedding API, use mock embeddings
-      logger.info(`Generating ${texts.length} embeddings using mock method`);
-      return texts.map(text => this.generateMockEmbedding(text));
+      logger.info({ provider: this.provider.name, count: texts.length }, 'Generating embeddings');
+      const embeddings = await this.provider.embed(texts);
+
+      if (embeddings.length !== texts.length) {
+        throw new Error(`Embedding provider returned ${embeddings.length} vectors for ${texts.length} texts`);
+      }
 
+      return embeddings;
     } catch (error) {
       logger.error({ error: error.message }, 'Failed to generate batch embeddings');
       throw error;
@@ -0,0 +1,561 @@
+import mongodb from '../db/mongodb.js';
+import dataService from './data.service.js';
+import documentParserService from './document-parser.service.js';
+import duplicateService from './duplicate.service.js';
+import tenantService from './tenant.service.js';
+import transferService from './transfer.service.js';
+import webFetchService from './web-fetch.service.js';
+import { generateId, contentHash } from '../utils/helpers.js';
+import { JOB_CONFIG } from '../utils/constants.js';
+import pino from 'pino';
+
+const logger = pino();
+
+/**
+ * Metadata recorded for an uploaded file
+ */
+const uploadMetadata = (filename, size, uploadedAt) => ({
+  originalFilename: filename,
+  fileSize: size,
+  uploadedAt: uploadedAt.toISOString()
+});
+
+/**
+ * MongoDB-backed ingestion job queue and worker.
+ * Jobs are claimed atomically, so several API instances can run workers.
+ */
+class JobService {
+  constructor() {
+    this.jobsCollection = null;
+    this.filesCollection = null;
+    this.running = false;
+    this.timer = null;
+    this.current = null;
+    this.handlers = {
+      upload: (job, item) => this.processUploadItem(job, item),
+      bulk: (job, item) => this.processBulkItem(job, item),
+      import: (job, item) => this.processImportItem(job, item),
+      html: (job, item) => this.processHtmlItem(job, item)
+    };
+  }
+
+  initialize() {
+    const db = mongodb.getDb();
+    this.jobsCollection = db.collection('jobs');
+    this.filesCollection = db.collection('job_files');
+  }
+
+  /**
+   * Queue uploaded files for parsing and embedding.
+   * Sections are created immediately in the 'pending' state, except for
+   * files whose `replaces` names an existing section to update. `onDuplicate` ('reject',
+   * 'replace' or 'allow') decides what happens when a file's extracted
+   * text turns out to duplicate another section.
+   */
+  async enqueueUpload(tenantId, files, limits, { author = null, onDuplicate = 'reject' } = {}) {
+    const newFiles = files.filter(file => !file.replaces);
+    const sections = await dataService.createSections(
+      tenantId,
+      newFiles.map(file => ({
+        type: 'document',
+        title: file.filename,
+        fileHash: file.fileHash,
+        metadata: uploadMetadata(file.filename, file.buffer.length, new Date())
+      })),
+      limits,
+      { deferContent: true, author }
+    );
+
+    const jobId = generateId.job();
+
+    await this.filesCollection.insertMany(files.map((file, index) => ({
+      jobId,
+      index,
+      filename: file.filename,
+      mimetype: file.mimetype,
+      fileHash: file.fileHash || null,
+      data: file.buffer,
+      createdAt: new Date()
+    })));
+
+    let created = 0;
+    return await this.createJob(tenantId, jobId, 'upload', files.map((file, index) => ({
+      index,
+      filename: file.filename,
+      mimetype: file.mimetype,
+      size: file.buffer.length,
+      sectionId: file.replaces || sections[created++].sectionId,
+      ...(file.replaces && { replaced: true }),
+      onDuplicate,
+      status: 'pending'
+    })), { author });
+  }
+
+  /**
+   * Queue sections for chunking and embedding
+   */
+  async enqueueBulk(tenantId, sections, limits, { author = null } = {}) {
+    const created = await dataService.createSections(tenantId, sections, limits, { author });
+
+    return await this.createJob(tenantId, generateId.job(), 'bulk', created.map((section, index) => ({
+      index,
+      title: section.title,
+      sectionId: section.sectionId,
+      status: 'pending'
+    })), { author });
+  }
+
+  /**
+   * Queue the sections of a knowledge base import for upserting. The
+   * import is checked first, see TransferService.prepareImport; each
+   * section is stored with the job until it is processed.
+   * Returns the job and the collections that failed.
+   */
+  async enqueueImport(tenantId, records, limits, { author = null } = {}) {
+    const { sections, errors } = await transferService.prepareImport(tenantId, records, limits);
+
+    const jobId = generateId.job();
+
+    if (sections.length > 0) {
+      await this.filesCollection.insertMany(sections.map((section, index) => ({
+        jobId,
+        index,
+        record: section,
+        createdAt: new Date()
+      })));
+    }
+
+    const job = await this.createJob(tenantId, jobId, 'import', sections.map((section, index) => ({
+      index,
+      line: section.line,
+      externalId: section.externalId,
+      title: section.fields.title,
+      status: 'pending'
+    })), { author });
+
+    return { job, errors };
+  }
+
+  /**
+   * Queue a web page, sent as raw `html` or as a `url` to fetch, for
+   * parsing and embedding. Its section is created immediately in the
+   * 'pending' state; without a `title` it takes the page's <title> later.
+   */
+  async enqueueHtml(tenantId, page, limits, { author = null } = {}) {
+    const [section] = await dataService.createSections(tenantId, [{
+      type: page.type,
+      title: page.title || page.url || 'HTML document',
+      metadata: page.metadata,
+      chunking: page.chunking,
+      tags: page.tags,
+      collectionIds: page.collectionIds
+    }], limits, { deferContent: true, author });
+
+    const jobId = generateId.job();
+
+    await this.filesCollection.insertOne({
+      jobId,
+      index: 0,
+      page: { url: page.url || null, html: page.html || null, title: page.title || null },
+      createdAt: new Date()
+    });
+
+    return await this.createJob(tenantId, jobId, 'html', [{
+      index: 0,
+      url: page.url || null,
+      title: section.title,
+      sectionId: section.sectionId,
+      status: 'pending'
+    }], { author });
+  }
+
+  /**
+   * Insert a queued job and wake the worker
+   */
+  async createJob(tenantId, jobId, type, items, { author = null } = {}) {
+    const job = {
+      jobId,
+      tenantId,
+      type,
+      author,
+      status: 'queued',
+      items,
+      progress: {
+        total: items.length,
+        completed: 0,
+        failed: 0
+      },
+      attempts: 0,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    await this.jobsCollection.insertOne(job);
+
+    logger.info({ tenantId, jobId, type, items: items.length }, 'Job queued');
+
+    this.poke();
+
+    const { _id, ...publicJob } = job;
+    return publicJob;
+  }
+
+  /**
+   * Get a job belonging to a tenant
+   */
+  async getJob(tenantId, jobId) {
+    try {
+      const job = await this.jobsCollection.findOne(
+        { tenantId, jobId },
+        { projection: { _id: 0, lockedUntil: 0 } }
+      );
+
+      if (!job) {
+        throw new Error('Job not found');
+      }
+
+      return job;
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, jobId }, 'Failed to get job');
+      throw error;
+    }
+  }
+
+  /**
+   * List a tenant's jobs, most recent first
+   */
+  async listJobs(tenantId, skip = 0, limit = 20) {
+    try {
+      const jobs = await this.jobsCollection
+        .find({ tenantId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .project({ _id: 0, items: 0, lockedUntil: 0 })
+        .toArray();
+
+      const total = await this.jobsCollection.countDocuments({ tenantId });
+
+      return { jobs, total, skip, limit };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'Failed to list jobs');
+      throw error;
+    }
+  }
+
+  /**
+   * Start polling for queued jobs
+   */
+  startWorker() {
+    if (this.running) return;
+
+    this.running = true;
+    this.schedule(0);
+
+    logger.info('Ingestion worker started');
+  }
+
+  /**
+   * Stop polling and wait for the job in progress to finish
+   */
+  async stopWorker() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.current) {
+      await this.current;
+    }
+  }
+
+  /**
+   * Run the next poll immediately if the worker is idle
+   */
+  poke() {
+    if (this.running && this.timer) {
+      clearTimeout(this.timer);
+      this.schedule(0);
+    }
+  }
+
+  schedule(delayMs) {
+    this.timer = setTimeout(() => this.tick(), delayMs);
+  }
+
+  /**
+   * Claim and run one job, then schedule the next poll
+   */
+  async tick() {
+    this.timer = null;
+    if (!this.running) return;
+
+    let job = null;
+
+    try {
+      job = await this.claimNextJob();
+      if (job) {
+        this.current = this.runJob(job);
+        await this.current;
+      }
+    } catch (error) {
+      logger.error({ error: error.message }, 'Ingestion worker error');
+    } finally {
+      this.current = null;
+    }
+
+    if (this.running) {
+      this.schedule(job ? 0 : JOB_CONFIG.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Atomically claim the oldest queued job, or one whose worker stopped responding
+   */
+  async claimNextJob() {
+    const now = new Date();
+
+    // Give up on jobs that keep getting abandoned
+    await this.jobsCollection.updateMany(
+      { status: 'processing', lockedUntil: { $lt: now }, attempts: { $gte: JOB_CONFIG.maxAttempts } },
+      { $set: { status: 'failed', error: 'Job exceeded maximum attempts', finishedAt: now, updatedAt: now } }
+    );
+
+    return await this.jobsCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued' },
+          { status: 'processing', lockedUntil: { $lt: now } }
+        ],
+        attempts: { $lt: JOB_CONFIG.maxAttempts }
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedUntil: new Date(now.getTime() + JOB_CONFIG.lockTimeoutMs),
+          startedAt: now,
+          updatedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Process every unfinished item of a job and record the outcome
+   */
+  async runJob(job) {
+    const { jobId, tenantId } = job;
+    const handler = this.handlers[job.type];
+
+    logger.info({ tenantId, jobId, type: job.type, attempt: job.attempts }, 'Job started');
+
+    try {
+      if (!handler) {
+        throw new Error(`Unknown job type "${job.type}"`);
+      }
+
+      for (const item of job.items) {
+        if (item.status === 'completed' || item.status === 'failed') {
+          continue;
+        }
+
+        await this.updateItem(jobId, item.index, { status: 'processing' });
+
+        try {
+          const result = await handler(job, item);
+          await this.updateItem(jobId, item.index, { status: 'completed', ...result }, 'completed');
+        } catch (error) {
+          logger.error({ error: error.message, tenantId, jobId, sectionId: item.sectionId }, 'Job item failed');
+          // A section being replaced still serves its previous content
+          if (item.sectionId && !item.replaced) {
+            await dataService.setSectionStatus(tenantId, item.sectionId, 'failed', error.message);
+          }
+          await this.updateItem(jobId, item.index, { status: 'failed', error: error.message }, 'failed');
+        }
+      }
+
+      const { progress } = await this.jobsCollection.findOne({ jobId }, { projection: { progress: 1 } });
+      const status = progress.failed === 0
+        ? 'completed'
+        : progress.completed === 0 ? 'failed' : 'partially_completed';
+
+      await this.finishJob(jobId, { status });
+
+      logger.info({ tenantId, jobId, status, ...progress }, 'Job finished');
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, jobId }, 'Job failed');
+      await this.finishJob(jobId, { status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Update one job item, bump the progress counter and extend the lock
+   */
+  async updateItem(jobId, index, fields, counter = null) {
+    const $set = {
+      lockedUntil: new Date(Date.now() + JOB_CONFIG.lockTimeoutMs),
+      updatedAt: new Date()
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      $set[`items.${index}.${key}`] = value;
+    }
+
+    const update = { $set };
+    if (counter) {
+      update.$inc = { [`progress.${counter}`]: 1 };
+    }
+
+    await this.jobsCollection.updateOne({ jobId }, update);
+  }
+
+  /**
+   * Mark a job finished and drop its stored files
+   */
+  async finishJob(jobId, fields) {
+    await this.jobsCollection.updateOne(
+      { jobId },
+      {
+        $set: { ...fields, finishedAt: new Date(), updatedAt: new Date() },
+        $unset: { lockedUntil: '' }
+      }
+    );
+
+    await this.filesCollection.deleteMany({ jobId });
+  }
+
+  /**
+   * Parse an uploaded file and embed it into its pending section, or into
+   * the existing section it replaces
+   */
+  async processUploadItem(job, item) {
+    const file = await this.filesCollection.findOne({ jobId: job.jobId, index: item.index });
+    if (!file) {
+      throw new Error('Uploaded file is no longer available');
+    }
+
+    const buffer = Buffer.from(file.data.buffer);
+    if (buffer.length === 0) {
+      throw new Error('File is empty or could not be read');
+    }
+
+    const parsed = await documentParserService.parseDocument(buffer, file.mimetype, file.filename);
+
+    let sectionId = item.sectionId;
+    let replaced = Boolean(item.replaced);
+
+    // A different file may carry the same text, e.g. a re-exported PDF
+    if (!replaced && item.onDuplicate !== 'allow') {
+      const duplicate = await duplicateService.findDuplicateSection(
+        job.tenantId,
+        { contentHash: contentHash(parsed.content) },
+        item.sectionId
+      );
+
+      if (duplicate) {
+        // The pending section is not needed either way
+        await dataService.deleteSection(job.tenantId, item.sectionId);
+
+        if (item.onDuplicate !== 'replace') {
+          throw new Error(`Duplicate of section ${duplicate.sectionId} ("${duplicate.title}")`);
+        }
+
+        sectionId = duplicate.sectionId;
+        replaced = true;
+      }
+    }
+
+    const section = await dataService.getSection(job.tenantId, sectionId);
+
+    const processed = await dataService.processSection(job.tenantId, sectionId, {
+      content: parsed.content,
+      metadata: replaced
+        ? { ...section.metadata, ...parsed.metadata, ...uploadMetadata(file.filename, buffer.length, file.createdAt) }
+        : { ...parsed.metadata, ...section.metadata },
+      ...(file.fileHash && { fileHash: file.fileHash }),
+      ...(replaced && { updatedBy: job.author || null })
+    });
+
+    return {
+      sectionId,
+      chunkCount: processed.chunkCount,
+      contentLength: parsed.cleanedLength,
+      ...(replaced && { replaced: true }),
+      ...(processed.nearDuplicates?.length > 0 && { nearDuplicates: processed.nearDuplicates })
+    };
+  }
+
+  /**
+   * Embed a pending section registered through the bulk endpoint
+   */
+  async processBulkItem(job, item) {
+    const processed = await dataService.processSection(job.tenantId, item.sectionId);
+    return {
+      chunkCount: processed.chunkCount,
+      ...(processed.nearDuplicates?.length > 0 && { nearDuplicates: processed.nearDuplicates })
+    };
+  }
+
+  /**
+   * Upsert one section of a knowledge base import under the tenant's
+   * current plan limits
+   */
+  async processImportItem(job, item) {
+    const file = await this.filesCollection.findOne({ jobId: job.jobId, index: item.index });
+    if (!file) {
+      throw new Error('Imported record is no longer available');
+    }
+
+    const tenant = await tenantService.getTenant(job.tenantId);
+
+    return await transferService.importSection(job.tenantId, file.record, tenant.limits, { author: job.author });
+  }
+
+  /**
+   * Fetch or read a queued web page and embed it into its pending section
+   */
+  async processHtmlItem(job, item) {
+    const file = await this.filesCollection.findOne({ jobId: job.jobId, index: item.index });
+    if (!file) {
+      throw new Error('Queued page is no longer available');
+    }
+
+    let page = { url: null, charset: null, body: Buffer.from(file.page.html || '') };
+    if (file.page.url) {
+      page = await webFetchService.fetchPage(file.page.url);
+
+      if (page.contentType && !['text/html', 'application/xhtml+xml'].includes(page.contentType)) {
+        throw new Error(`URL returned ${page.contentType}, not an HTML page`);
+      }
+    }
+
+    const parsed = await documentParserService.parseDocument(
+      page.body,
+      'text/html',
+      page.url || 'document.html',
+      { charset: page.charset }
+    );
+
+    const section = await dataService.getSection(job.tenantId, item.sectionId);
+
+    const processed = await dataService.processSection(job.tenantId, item.sectionId, {
+      content: parsed.content,
+      ...(!file.page.title && parsed.metadata.title && { title: parsed.metadata.title }),
+      metadata: {
+        ...(page.url && { sourceUrl: page.url }),
+        ...(parsed.metadata.description && { description: parsed.metadata.description }),
+        ...(parsed.metadata.language && { language: parsed.metadata.language }),
+        ...section.metadata
+      }
+    });
+
+    return {
+      title: processed.title,
+      chunkCount: processed.chunkCount,
+      contentLength: parsed.cleanedLength,
+      ...(processed.nearDuplicates?.length > 0 && { nearDuplicates: processed.nearDuplicates })
+    };
+  }
+}
+
+export default new JobService();
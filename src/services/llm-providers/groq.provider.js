@@ -0,0 +1,66 @@
+import Groq from 'groq-sdk';
+
+/**
+ * Chat completion provider backed by the Groq API
+ */
+export default class GroqLlmProvider {
+  constructor({ apiKey = null, defaultModel = 'llama-3.3-70b-versatile' } = {}) {
+    this.name = 'groq';
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel;
+    this.client = null;
+  }
+
+  async initialize() {
+    if (!this.apiKey) {
+      throw new Error('GROQ_API_KEY is not defined');
+    }
+
+    this.client = new Groq({ apiKey: this.apiKey });
+  }
+
+  async complete({ model, messages, maxTokens, temperature }) {
+    const result = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    return {
+      content: result.choices[0]?.message?.content || '',
+      usage: result.usage || null
+    };
+  }
+
+  /**
+   * Start a streaming completion; yields `{ content }` deltas and `{ usage }`
+   */
+  async openStream({ model, messages, maxTokens, temperature }) {
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true
+    });
+
+    return {
+      abort: () => stream.controller?.abort(),
+      async *[Symbol.asyncIterator]() {
+        for await (const chunk of stream) {
+          const content = chunk.choices[0]?.delta?.content;
+          if (content) {
+            yield { content };
+          }
+
+          // Groq reports token usage on the final chunk
+          const usage = chunk.x_groq?.usage || chunk.usage;
+          if (usage) {
+            yield { usage };
+          }
+        }
+      }
+    };
+  }
+}
@@ -0,0 +1,50 @@
+import GroqLlmProvider from './groq.provider.js';
+import OpenAILlmProvider from './openai.provider.js';
+import StubLlmProvider from './stub.provider.js';
+
+export const LLM_PROVIDERS = {
+  groq: GroqLlmProvider,
+  openai: OpenAILlmProvider,
+  stub: StubLlmProvider
+};
+
+/**
+ * Create a chat completion provider by name from environment configuration.
+ * `prefix` selects the variables for a secondary provider, e.g. LLM_FALLBACK_MODEL.
+ */
+export function createLlmProvider(name, env = process.env, prefix = 'LLM') {
+  switch ((name || '').toLowerCase()) {
+    case 'groq':
+      return new GroqLlmProvider({
+        apiKey: env.GROQ_API_KEY || null,
+        defaultModel: env[`${prefix}_MODEL`] || env.CHAT_MODEL || undefined
+      });
+    case 'openai':
+      return new OpenAILlmProvider({
+        baseUrl: env[`${prefix}_API_URL`] || undefined,
+        apiKey: env[`${prefix}_API_KEY`] || null,
+        defaultModel: env[`${prefix}_MODEL`] || null
+      });
+    case 'stub':
+      return new StubLlmProvider({
+        defaultModel: env[`${prefix}_MODEL`] || undefined
+      });
+    default:
+      throw new Error(
+        `Unknown LLM provider "${name}". Supported: ${Object.keys(LLM_PROVIDERS).join(', ')}`
+      );
+  }
+}
+
+/**
+ * Create the primary and optional fallback providers selected by
+ * LLM_PROVIDER (default groq) and LLM_FALLBACK_PROVIDER
+ */
+export function createLlmProviders(env = process.env) {
+  const primary = createLlmProvider(env.LLM_PROVIDER || 'groq', env, 'LLM');
+  const fallback = env.LLM_FALLBACK_PROVIDER
+    ? createLlmProvider(env.LLM_FALLBACK_PROVIDER, env, 'LLM_FALLBACK')
+    : null;
+
+  return { primary, fallback };
+}
@@ -0,0 +1,110 @@
+/**
+ * Chat completion provider for OpenAI-compatible endpoints
+ * (OpenAI, vLLM, Ollama, llama.cpp server, LM Studio, ...)
+ */
+export default class OpenAILlmProvider {
+  constructor({
+    baseUrl = 'http://localhost:8000/v1',
+    apiKey = null,
+    defaultModel = null,
+    fetchFn = globalThis.fetch
+  } = {}) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel;
+    this.fetchFn = fetchFn;
+  }
+
+  async initialize() {
+    if (!this.defaultModel) {
+      throw new Error('LLM_MODEL is not defined for the OpenAI-compatible provider');
+    }
+  }
+
+  async request(body, signal = undefined) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await this.fetchFn(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`Chat completion failed with status ${response.status}: ${detail.slice(0, 200)}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  async complete({ model, messages, maxTokens, temperature }) {
+    const response = await this.request({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    const result = await response.json();
+
+    return {
+      content: result.choices?.[0]?.message?.content || '',
+      usage: result.usage || null
+    };
+  }
+
+  /**
+   * Start a streaming completion; yields `{ content }` deltas and `{ usage }`
+   */
+  async openStream({ model, messages, maxTokens, temperature }) {
+    const controller = new AbortController();
+    const response = await this.request({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, controller.signal);
+
+    return {
+      abort: () => controller.abort(),
+      async *[Symbol.asyncIterator]() {
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const bytes of response.body) {
+          buffer += decoder.decode(bytes, { stream: true });
+
+          let newline;
+          while ((newline = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+
+            if (!line.startsWith('data:')) continue;
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return;
+
+            const chunk = JSON.parse(payload);
+            const content = chunk.choices?.[0]?.delta?.content;
+            if (content) {
+              yield { content };
+            }
+            if (chunk.usage) {
+              yield { usage: chunk.usage };
+            }
+          }
+        }
+      }
+    };
+  }
+}
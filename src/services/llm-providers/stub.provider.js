@@ -0,0 +1,54 @@
+import { estimateTokens } from '../../utils/helpers.js';
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * Answers by quoting and citing the first context entry of the last user message.
+ */
+export default class StubLlmProvider {
+  constructor({ defaultModel = 'stub' } = {}) {
+    this.name = 'stub';
+    this.defaultModel = defaultModel;
+  }
+
+  async initialize() {}
+
+  respond(messages) {
+    const prompt = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const firstSource = prompt.match(/^\[1\]\s*([^\n]*)/m)?.[1];
+
+    // Without numbered context (e.g. query rewriting) echo the prompt's last line
+    const content = firstSource
+      ? `According to the provided context, ${firstSource.slice(0, 300).trim()} [1]`
+      : prompt.trim().split('\n').pop();
+
+    const promptTokens = estimateTokens(messages.map(message => message.content).join('\n'));
+    const completionTokens = estimateTokens(content);
+
+    return {
+      content,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  async complete({ messages }) {
+    return this.respond(messages);
+  }
+
+  async openStream({ messages }) {
+    const { content, usage } = this.respond(messages);
+
+    return {
+      abort: () => {},
+      async *[Symbol.asyncIterator]() {
+        for (const word of content.split(/(?<=\s)/)) {
+          yield { content: word };
+        }
+        yield { usage };
+      }
+    };
+  }
+}
@@ -0,0 +1,197 @@
+import mongodb from '../db/mongodb.js';
+import embeddingService from './embedding.service.js';
+import { LOCAL_VECTOR_INDEX, UNAVAILABLE } from '../utils/constants.js';
+import { matchesFilter } from '../utils/metadata-filter.js';
+import pino from 'pino';
+
+const logger = pino();
+
+/**
+ * Scale a vector to unit length so cosine similarity becomes a dot product
+ */
+const normalize = (vector) => {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) {
+    norm += out[i] * out[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) {
+      out[i] /= norm;
+    }
+  }
+  return out;
+};
+
+/**
+ * In-memory, per-tenant cosine similarity index over chunk embeddings.
+ * Used when MongoDB Atlas `$vectorSearch` is not available.
+ */
+class LocalVectorIndexService {
+  constructor() {
+    this.chunksCollection = null;
+    this.indexes = new Map();
+    this.loading = new Map();
+  }
+
+  initialize() {
+    this.chunksCollection = mongodb.getDb().collection('chunks');
+  }
+
+  /**
+   * Drop the cached index for a tenant; rebuilt lazily on next search
+   */
+  invalidate(tenantId) {
+    this.indexes.delete(tenantId);
+    this.loading.delete(tenantId);
+  }
+
+  /**
+   * Get the index for a tenant, loading it from MongoDB when missing or stale
+   */
+  async getIndex(tenantId) {
+    const cached = this.indexes.get(tenantId);
+    if (cached && Date.now() - cached.loadedAt < LOCAL_VECTOR_INDEX.maxAgeMs) {
+      // Refresh LRU position
+      this.indexes.delete(tenantId);
+      this.indexes.set(tenantId, cached);
+      return cached;
+    }
+
+    // Share a single load between concurrent searches
+    if (!this.loading.has(tenantId)) {
+      const load = this.loadIndex(tenantId)
+        .then((index) => {
+          if (this.loading.get(tenantId) === load) {
+            this.indexes.set(tenantId, index);
+            this.evict();
+          }
+          return index;
+        })
+        .finally(() => {
+          if (this.loading.get(tenantId) === load) {
+            this.loading.delete(tenantId);
+          }
+        });
+      this.loading.set(tenantId, load);
+    }
+
+    return this.loading.get(tenantId);
+  }
+
+  /**
+   * Load a tenant's chunk embeddings produced by the active embedding model
+   */
+  async loadIndex(tenantId) {
+    const { model, dimensions } = embeddingService.getModelInfo();
+
+    const chunks = await this.chunksCollection
+      .find({
+        tenantId,
+        // Chunks created before models were recorded are kept if dimensions match
+        $or: [{ embeddingModel: model }, { embeddingModel: { $exists: false } }]
+      })
+      .project({
+        chunkId: 1,
+        sectionId: 1,
+        sectionType: 1,
+        sectionTitle: 1,
+        headingPath: 1,
+        text: 1,
+        metadata: 1,
+        collectionIds: 1,
+        availability: 1,
+        draft: 1,
+        shadowed: 1,
+        embedding: 1,
+        _id: 0
+      })
+      .toArray();
+
+    const entries = [];
+    for (const { embedding, ...chunk } of chunks) {
+      if (!Array.isArray(embedding) || (dimensions && embedding.length !== dimensions)) {
+        continue;
+      }
+      entries.push({ chunk, vector: normalize(embedding) });
+    }
+
+    logger.info({ tenantId, chunkCount: entries.length, model }, 'Local vector index loaded');
+
+    return { entries, loadedAt: Date.now() };
+  }
+
+  /**
+   * Remove least recently used tenant indexes beyond the configured cap
+   */
+  evict() {
+    while (this.indexes.size > LOCAL_VECTOR_INDEX.maxTenants) {
+      const oldest = this.indexes.keys().next().value;
+      this.indexes.delete(oldest);
+    }
+  }
+
+  /**
+   * Rank a tenant's chunks by cosine similarity to the query embedding.
+   * Scores use Atlas' cosine normalisation, (1 + cosine) / 2, so the same
+   * minScore thresholds apply to both backends.
+   */
+  async search(tenantId, queryEmbedding, options = {}) {
+    const {
+      limit,
+      minScore = 0,
+      sectionType = null,
+      filter = null,
+      collectionIds = null,
+      excludeSectionId = null,
+      includeUnavailable = false,
+      preview = false
+    } = options;
+
+    const index = await this.getIndex(tenantId);
+    const query = normalize(queryEmbedding);
+    const scored = [];
+
+    for (const { chunk, vector } of index.entries) {
+      if (sectionType && chunk.sectionType !== sectionType) {
+        continue;
+      }
+      if (filter && !matchesFilter(chunk.metadata, filter)) {
+        continue;
+      }
+      if (collectionIds && !chunk.collectionIds?.some(id => collectionIds.includes(id))) {
+        continue;
+      }
+      if (excludeSectionId && chunk.sectionId === excludeSectionId) {
+        continue;
+      }
+      if (!includeUnavailable && UNAVAILABLE.includes(chunk.availability)) {
+        continue;
+      }
+      // Preview swaps published chunks for their drafts
+      if (preview ? chunk.shadowed : chunk.draft) {
+        continue;
+      }
+      if (vector.length !== query.length) {
+        continue;
+      }
+
+      let dot = 0;
+      for (let i = 0; i < query.length; i++) {
+        dot += query[i] * vector[i];
+      }
+
+      const score = (1 + dot) / 2;
+      if (score >= minScore) {
+        scored.push({ ...chunk, score });
+      }
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+export default new LocalVectorIndexService();
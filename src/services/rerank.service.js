@@ -0,0 +1,125 @@
+import { createReranker } from './rerankers/index.js';
+import { RERANKING } from '../utils/constants.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const wordSet = (text) => new Set(text.toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || []);
+
+/**
+ * Jaccard overlap of two word sets
+ */
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Optional second retrieval stage: rerank fused candidates, then diversify
+ * them with maximal marginal relevance (MMR)
+ */
+class RerankService {
+  constructor() {
+    this.llmProvider = null;
+    this.rerankers = new Map();
+  }
+
+  /**
+   * The LLM reranker grades candidates with the primary chat provider
+   */
+  initialize({ llmProvider = null } = {}) {
+    this.llmProvider = llmProvider;
+    this.rerankers.clear();
+  }
+
+  /**
+   * Get a reranker by name; models are loaded on first use
+   */
+  async getReranker(name) {
+    if (!this.rerankers.has(name)) {
+      const reranker = createReranker(name, { llmProvider: this.llmProvider });
+      const ready = reranker.initialize()
+        .then(() => reranker)
+        .catch((error) => {
+          // Allow a later retry, e.g. once model files are installed
+          this.rerankers.delete(name);
+          throw error;
+        });
+      this.rerankers.set(name, ready);
+    }
+
+    return this.rerankers.get(name);
+  }
+
+  /**
+   * Rerank candidates for a query and keep the best `limit` after MMR.
+   * Each result gains a 0-1 `rerankScore`. If the reranker fails, the
+   * incoming order is kept and MMR runs on it alone.
+   */
+  async rerank(tenantId, query, candidates, settings = {}) {
+    const { reranker, mmrLambda, limit } = { ...RERANKING, ...settings };
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    let scored;
+    try {
+      const instance = await this.getReranker(reranker);
+      const scores = await instance.score(
+        query,
+        candidates.map(candidate => [candidate.headingPath, candidate.text].filter(Boolean).join('\n'))
+      );
+      scored = candidates.map((candidate, idx) => ({ ...candidate, rerankScore: scores[idx] }));
+    } catch (error) {
+      logger.warn({ error: error.message, tenantId, reranker }, 'Reranking failed, keeping fused order');
+      // Keep the fused order by grading on rank
+      scored = candidates.map((candidate, idx) => ({
+        ...candidate,
+        rerankScore: 1 - idx / candidates.length
+      }));
+    }
+
+    return this.mmr(scored, limit, mmrLambda);
+  }
+
+  /**
+   * Greedy MMR selection: lambda * relevance - (1 - lambda) * similarity to
+   * the closest chunk already selected. Overlapping chunks of one section
+   * share most of their words, so near-duplicates are pushed down the list.
+   */
+  mmr(candidates, limit, lambda = RERANKING.mmrLambda) {
+    const remaining = candidates
+      .map(candidate => ({ candidate, words: wordSet(candidate.text) }))
+      .sort((a, b) => b.candidate.rerankScore - a.candidate.rerankScore);
+    const selected = [];
+
+    while (selected.length < limit && remaining.length > 0) {
+      let bestIdx = 0;
+      let bestValue = -Infinity;
+
+      remaining.forEach((entry, idx) => {
+        const redundancy = selected.reduce(
+          (max, chosen) => Math.max(max, similarity(entry.words, chosen.words)),
+          0
+        );
+        const value = lambda * entry.candidate.rerankScore - (1 - lambda) * redundancy;
+        if (value > bestValue) {
+          bestValue = value;
+          bestIdx = idx;
+        }
+      });
+
+      selected.push(remaining.splice(bestIdx, 1)[0]);
+    }
+
+    return selected.map(entry => entry.candidate);
+  }
+}
+
+export default new RerankService();
@@ -0,0 +1,74 @@
+/**
+ * Cross-encoder reranker running on CPU via transformers.js (ONNX).
+ * Scores each (query, passage) pair jointly, which is slower than vector
+ * similarity but considerably more precise on a short candidate list.
+ */
+export default class CrossEncoderReranker {
+  constructor({
+    model = 'Xenova/ms-marco-MiniLM-L-6-v2',
+    modelPath = null,
+    allowRemoteModels = true,
+    quantized = true,
+    batchSize = 16
+  } = {}) {
+    this.name = 'cross-encoder';
+    this.model = model;
+    this.modelPath = modelPath;
+    this.allowRemoteModels = allowRemoteModels;
+    this.quantized = quantized;
+    this.batchSize = batchSize;
+    this.tokenizer = null;
+    this.classifier = null;
+  }
+
+  async initialize() {
+    let transformers;
+    try {
+      transformers = await import('@huggingface/transformers');
+    } catch (error) {
+      throw new Error(
+        'Cross-encoder reranker requires the optional "@huggingface/transformers" package. ' +
+        'Install it or choose another reranker.'
+      );
+    }
+
+    const { AutoTokenizer, AutoModelForSequenceClassification, env } = transformers;
+
+    if (this.modelPath) {
+      env.localModelPath = this.modelPath;
+    }
+    env.allowRemoteModels = this.allowRemoteModels;
+
+    this.tokenizer = await AutoTokenizer.from_pretrained(this.model);
+    this.classifier = await AutoModelForSequenceClassification.from_pretrained(this.model, {
+      dtype: this.quantized ? 'q8' : 'fp32'
+    });
+  }
+
+  /**
+   * Relevance of each passage to the query, on a 0-1 scale
+   */
+  async score(query, passages) {
+    if (!this.classifier) {
+      throw new Error('Cross-encoder reranker is not initialized');
+    }
+
+    const scores = [];
+
+    for (let i = 0; i < passages.length; i += this.batchSize) {
+      const batch = passages.slice(i, i + this.batchSize);
+      const inputs = this.tokenizer(new Array(batch.length).fill(query), {
+        text_pair: batch,
+        padding: true,
+        truncation: true
+      });
+
+      const { logits } = await this.classifier(inputs);
+      for (const logit of logits.data) {
+        scores.push(1 / (1 + Math.exp(-logit)));
+      }
+    }
+
+    return scores;
+  }
+}
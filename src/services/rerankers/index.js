@@ -0,0 +1,29 @@
+import CrossEncoderReranker from './cross-encoder.reranker.js';
+import LlmReranker from './llm.reranker.js';
+
+export const RERANKERS = {
+  'cross-encoder': CrossEncoderReranker,
+  llm: LlmReranker
+};
+
+/**
+ * Create a reranker by name. The cross-encoder shares the transformers.js
+ * model location settings with the local embedding provider.
+ */
+export function createReranker(name, { llmProvider = null } = {}, env = process.env) {
+  switch (name) {
+    case 'cross-encoder':
+      return new CrossEncoderReranker({
+        model: env.RERANKER_MODEL || undefined,
+        modelPath: env.EMBEDDING_MODEL_PATH || null,
+        allowRemoteModels: env.EMBEDDING_ALLOW_REMOTE_MODELS !== 'false'
+      });
+    case 'llm':
+      return new LlmReranker({
+        provider: llmProvider,
+        model: env.RERANKER_LLM_MODEL || null
+      });
+    default:
+      throw new Error(`Unknown reranker "${name}". Supported: ${Object.keys(RERANKERS).join(', ')}`);
+  }
+}
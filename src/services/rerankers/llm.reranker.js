@@ -0,0 +1,47 @@
+/**
+ * Reranker that asks the chat model to grade every candidate in one call
+ */
+export default class LlmReranker {
+  constructor({ provider = null, model = null, maxPassageLength = 800 } = {}) {
+    this.name = 'llm';
+    this.provider = provider;
+    this.model = model;
+    this.maxPassageLength = maxPassageLength;
+  }
+
+  async initialize() {
+    if (!this.provider) {
+      throw new Error('LLM reranker requires a chat provider');
+    }
+  }
+
+  /**
+   * Relevance of each passage to the query, on a 0-1 scale
+   */
+  async score(query, passages) {
+    const list = passages
+      .map((passage, idx) => `[${idx + 1}] ${passage.slice(0, this.maxPassageLength)}`)
+      .join('\n\n');
+
+    const { content } = await this.provider.complete({
+      model: this.model || this.provider.defaultModel,
+      messages: [
+        {
+          role: 'system',
+          content: 'You grade search results. Rate how well each passage answers the query from 0 (irrelevant) to 10 (fully answers it). ' +
+            'Reply with only a JSON array of numbers, one per passage, in the order given.'
+        },
+        { role: 'user', content: `Query: ${query}\n\nPassages:\n${list}` }
+      ],
+      maxTokens: 10 + passages.length * 4,
+      temperature: 0
+    });
+
+    const grades = JSON.parse(content.match(/\[[\d.,\s]*\]/)?.[0] || 'null');
+    if (!Array.isArray(grades) || grades.length !== passages.length) {
+      throw new Error('LLM reranker returned an unexpected response');
+    }
+
+    return grades.map(grade => Math.min(Math.max(Number(grade) / 10, 0), 1));
+  }
+}
@@ -0,0 +1,124 @@
+import mongodb from '../db/mongodb.js';
+import dataService from './data.service.js';
+import { availabilityAt } from '../utils/helpers.js';
+import { SCHEDULER_CONFIG } from '../utils/constants.js';
+import pino from 'pino';
+
+const logger = pino();
+
+/**
+ * Moves sections between 'scheduled', 'active' and 'expired' as their
+ * publishAt and expiresAt dates pass. A section's chunks carry its
+ * availability, so search stops or starts returning them at the next run.
+ * Runs are idempotent, so every API instance can run the scheduler.
+ */
+class SchedulerService {
+  constructor() {
+    this.sectionsCollection = null;
+    this.running = false;
+    this.timer = null;
+    this.current = null;
+  }
+
+  initialize() {
+    const db = mongodb.getDb();
+    this.sectionsCollection = db.collection('sections');
+  }
+
+  /**
+   * Start applying publication dates periodically
+   */
+  startScheduler() {
+    if (this.running) return;
+
+    this.running = true;
+    this.schedule(0);
+
+    logger.info('Publication scheduler started');
+  }
+
+  /**
+   * Stop the scheduler and wait for the run in progress to finish
+   */
+  async stopScheduler() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.current) {
+      await this.current;
+    }
+  }
+
+  schedule(delayMs) {
+    this.timer = setTimeout(() => this.tick(), delayMs);
+  }
+
+  async tick() {
+    this.timer = null;
+    if (!this.running) return;
+
+    let moved = 0;
+
+    try {
+      this.current = this.applyDueDates();
+      moved = await this.current;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Publication scheduler error');
+    } finally {
+      this.current = null;
+    }
+
+    if (this.running) {
+      // A full batch may mean more sections are due
+      this.schedule(moved === SCHEDULER_CONFIG.batchSize ? 0 : SCHEDULER_CONFIG.intervalMs);
+    }
+  }
+
+  /**
+   * Move one batch of sections whose publishAt or expiresAt has passed
+   * into their new state. Returns the number of due sections found.
+   */
+  async applyDueDates(now = new Date()) {
+    const due = await this.sectionsCollection
+      .find({
+        $or: [
+          { availability: 'scheduled', publishAt: { $lte: now } },
+          { availability: { $in: ['scheduled', 'active'] }, expiresAt: { $lte: now } }
+        ]
+      })
+      .limit(SCHEDULER_CONFIG.batchSize)
+      .project({ tenantId: 1, sectionId: 1, availability: 1, publishAt: 1, expiresAt: 1, _id: 0 })
+      .toArray();
+
+    for (const section of due) {
+      const availability = availabilityAt(section, now);
+
+      // Skip sections another instance moved or an edit rescheduled in the meantime
+      const result = await this.sectionsCollection.updateOne(
+        {
+          tenantId: section.tenantId,
+          sectionId: section.sectionId,
+          availability: section.availability,
+          publishAt: section.publishAt ?? null,
+          expiresAt: section.expiresAt ?? null
+        },
+        { $set: { availability } }
+      );
+      if (result.modifiedCount === 0) continue;
+
+      await dataService.syncChunkFields(section.tenantId, section.sectionId, { availability });
+
+      logger.info({
+        tenantId: section.tenantId,
+        sectionId: section.sectionId,
+        from: section.availability,
+        to: availability
+      }, 'Section availability changed');
+    }
+
+    return due.length;
+  }
+}
+
+export default new SchedulerService();
@@ -0,0 +1,126 @@
+import vectorSearchService from './vector-search.service.js';
+import { SEARCH_CONFIG } from '../utils/constants.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Direct knowledge base search for tenants' own UIs, without the LLM
+ */
+class SearchService {
+  /**
+   * Rank chunks for a query and return one page of hits with highlights
+   */
+  async search(tenantId, tenant, { query, limit, page, minScore, sectionType = null, filter = null, collectionIds = null }) {
+    try {
+      const offset = (page - 1) * limit;
+
+      const retrieval = { ...tenant.retrieval };
+      // Grading with the chat model would make search an LLM call
+      if (retrieval.reranker === 'llm') {
+        retrieval.reranker = 'none';
+      }
+
+      const ranked = offset < SEARCH_CONFIG.maxResults
+        ? await vectorSearchService.search(tenantId, query, {
+            // One extra hit tells whether another page exists
+            limit: Math.min(offset + limit + 1, SEARCH_CONFIG.maxResults),
+            minScore,
+            sectionType,
+            filter,
+            collectionIds,
+            retrieval
+          })
+        : [];
+
+      const terms = this.queryTerms(query);
+      const results = ranked.slice(offset, offset + limit).map((result, idx) => ({
+        rank: offset + idx + 1,
+        chunkId: result.chunkId,
+        sectionId: result.sectionId,
+        sectionTitle: result.sectionTitle,
+        sectionType: result.sectionType,
+        headingPath: result.headingPath || null,
+        metadata: result.metadata || {},
+        score: result.score,
+        vectorScore: result.vectorScore ?? null,
+        lexicalScore: result.lexicalScore ?? null,
+        ...(result.rerankScore !== undefined && { rerankScore: result.rerankScore }),
+        ...this.highlight(result.text, terms)
+      }));
+
+      logger.info({ tenantId, resultsCount: results.length, page }, 'Search completed');
+
+      return {
+        results,
+        pagination: {
+          page,
+          limit,
+          // Ranked hits are capped at SEARCH_CONFIG.maxResults
+          hasMore: ranked.length > offset + limit
+        }
+      };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'Search failed');
+      throw error;
+    }
+  }
+
+  /**
+   * Distinct query words worth highlighting
+   */
+  queryTerms(query) {
+    const words = query.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+    return [...new Set(words)];
+  }
+
+  /**
+   * Cut a snippet around the densest cluster of query terms and report the
+   * term positions inside it as `[start, end)` offsets
+   */
+  highlight(text, terms) {
+    const matches = [];
+    if (terms.length > 0) {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+      for (const match of text.matchAll(pattern)) {
+        matches.push([match.index, match.index + match[0].length]);
+      }
+    }
+
+    const length = SEARCH_CONFIG.snippetLength;
+    let start = 0;
+
+    if (text.length > length && matches.length > 0) {
+      // Window starting at the match followed by the most matches
+      let best = 0;
+      let bestCount = 0;
+      matches.forEach(([matchStart], idx) => {
+        const count = matches.slice(idx).filter(([s, e]) => e <= matchStart + length).length;
+        if (count > bestCount) {
+          best = matchStart;
+          bestCount = count;
+        }
+      });
+      start = Math.max(0, Math.min(best - Math.floor(length / 4), text.length - length));
+      // Start on a word boundary
+      if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < best) start = space + 1;
+      }
+    }
+
+    const end = Math.min(text.length, start + length);
+    const prefix = start > 0 ? '…' : '';
+    const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+    const highlights = matches
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => ({ start: s - start + prefix.length, end: e - start + prefix.length }));
+
+    return { text, snippet, highlights };
+  }
+}
+
+export default new SearchService();
@@ -2,10 +2,14 @@ import mongodb from '../db/mongodb.js';
 import redis from '../db/redis.js';
 import { generateId, hashApiKey, hashPassword, comparePassword, generateToken } from '../utils/helpers.js';
 import { PLANS, CACHE_TTL } from '../utils/constants.js';
+import { retrievalSettingsSchema } from '../schemas/validation.js';
 import pino from 'pino';
 
 const logger = pino();
 
+// Tenant settings objects that PATCH updates merge into rather than replace
+const MERGED_SETTINGS = ['retrieval', 'chunking', 'llm', 'persona'];
+
 class TenantService {
   constructor() {
     this.collection = null;
@@ -157,7 +161,9 @@ class TenantService {
   }
 
   /**
-   * Get tenant by API key
+   * Get tenant by API key. `apiKeyName` on the result names the key and
+   * `apiKeyScope` lists the collections it is restricted to, or is null for
+   * an unrestricted key.
    */
   async getTenantByApiKey(apiKey) {
     try {
@@ -168,12 +174,21 @@ class TenantService {
       const cachedTenantId = await redis.get(cacheKey);
       
       if (cachedTenantId) {
-        return await this.getTenant(cachedTenantId);
+        const cachedTenant = await this.getTenant(cachedTenantId);
+        const key = cachedTenant.apiKeys?.find(k => k.keyHash === keyHash);
+        // A stale tenant cache may predate the key; fall through to the database
+        if (key) {
+          return {
+            ...cachedTenant,
+            apiKeyName: key.name,
+            apiKeyScope: key.collectionIds?.length ? key.collectionIds : null
+          };
+        }
       }
 
       const tenant = await this.collection.findOne(
         { 'apiKeys.keyHash': keyHash, status: 'active' },
-        { projection: { 'apiKeys.$': 1, tenantId: 1, email: 1, businessName: 1, plan: 1, limits: 1 } }
+        { projection: { 'apiKeys.$': 1, tenantId: 1, email: 1, businessName: 1, plan: 1, limits: 1, retrieval: 1, chunking: 1, llm: 1, persona: 1 } }
       );
 
       if (!tenant) {
@@ -189,7 +204,12 @@ class TenantService {
       // Cache API key to tenant mapping
       await redis.set(cacheKey, tenant.tenantId, CACHE_TTL.apiKey);
 
-      return tenant;
+      const [key] = tenant.apiKeys;
+      return {
+        ...tenant,
+        apiKeyName: key.name,
+        apiKeyScope: key.collectionIds?.length ? key.collectionIds : null
+      };
     } catch (error) {
       logger.error({ error: error.message }, 'Failed to validate API key');
       throw error;
@@ -201,11 +221,17 @@ class TenantService {
    */
   async updateTenant(tenantId, updates) {
     try {
+      // Check the settings the update leaves behind, not only the supplied keys
+      if (updates.retrieval) {
+        const current = await this.collection.findOne({ tenantId, status: 'active' }, { projection: { retrieval: 1 } });
+        retrievalSettingsSchema.parse({ ...current?.retrieval, ...updates.retrieval });
+      }
+
       const result = await this.collection.updateOne(
         { tenantId, status: 'active' },
         { 
           $set: { 
-            ...updates,
+            ...this.flattenSettings(updates),
             updatedAt: new Date()
           }
         }
@@ -227,6 +253,26 @@ class TenantService {
     }
   }
 
+  /**
+   * Turn nested settings objects into dotted paths so a partial update
+   * only overwrites the keys that were supplied
+   */
+  flattenSettings(updates) {
+    const flattened = {};
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (MERGED_SETTINGS.includes(key) && value && typeof value === 'object') {
+        for (const [settingKey, settingValue] of Object.entries(value)) {
+          flattened[`${key}.${settingKey}`] = settingValue;
+        }
+      } else {
+        flattened[key] = value;
+      }
+    }
+
+    return flattened;
+  }
+
   /**
    * Change subscription plan
    */
@@ -263,7 +309,7 @@ class TenantService {
   /**
    * Create new API key
    */
-  async createApiKey(tenantId, name = 'API Key') {
+  async createApiKey(tenantId, name = 'API Key', collectionIds = null) {
     try {
       const apiKey = generateId.apiKey();
       const keyHash = hashApiKey(apiKey);
@@ -275,6 +321,7 @@ class TenantService {
             apiKeys: {
               keyHash,
               name,
+              ...(collectionIds?.length && { collectionIds }),
               createdAt: new Date(),
               lastUsed: null
             }
@@ -282,9 +329,12 @@ class TenantService {
         }
       );
 
+      // Invalidate cache
+      await redis.del(`tenant:${tenantId}`);
+
       logger.info({ tenantId }, 'API key created');
 
-      return { apiKey, name };
+      return { apiKey, name, collectionIds: collectionIds?.length ? collectionIds : null };
     } catch (error) {
       logger.error({ error: error.message, tenantId }, 'Failed to create API key');
       throw error;
@@ -398,6 +448,7 @@ class TenantService {
         id: key.keyHash.substring(0, 8), // Use part of hash as ID
         name: key.name,
         hint: `...${key.keyHash.slice(-4)}`, // Show last 4 chars of hash as hint
+        collectionIds: key.collectionIds || null,
         createdAt: key.createdAt,
         lastUsed: key.lastUsed
       }));
@@ -0,0 +1,199 @@
+import mongodb from '../db/mongodb.js';
+import dataService from './data.service.js';
+import collectionService from './collection.service.js';
+import embeddingService from './embedding.service.js';
+import { TRANSFER_CONFIG } from '../utils/constants.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const SECTION_FIELDS = [
+  'sectionId', 'externalId', 'type', 'title', 'content', 'metadata', 'tags', 'collectionIds',
+  'chunking', 'publishAt', 'expiresAt', 'status', 'version', 'contentHash', 'createdAt', 'updatedAt'
+];
+
+const CHUNK_FIELDS = [
+  'chunkId', 'position', 'headingPath', 'text', 'tokenCount',
+  'embeddingProvider', 'embeddingModel', 'embeddingDimensions'
+];
+
+const line = (record) => `${JSON.stringify(record)}\n`;
+
+/**
+ * Moving a tenant's knowledge base in and out as JSONL. An export is a
+ * `header` line, the tenant's `collection` lines, then every `section` line
+ * followed by its `chunk` lines when requested, and an `end` line with the
+ * counts. An import takes the same records and upserts sections by
+ * external ID; the sections are upserted by an 'import' job, see
+ * JobService.enqueueImport.
+ */
+class TransferService {
+  constructor() {
+    this.sectionsCollection = null;
+    this.chunksCollection = null;
+    this.collectionsCollection = null;
+  }
+
+  initialize() {
+    const db = mongodb.getDb();
+    this.sectionsCollection = db.collection('sections');
+    this.chunksCollection = db.collection('chunks');
+    this.collectionsCollection = db.collection('collections');
+  }
+
+  /**
+   * Export lines, read from cursors so large knowledge bases are never
+   * held in memory. `include` is 'sections', 'chunks' or 'embeddings'.
+   */
+  async *exportLines(tenantId, { include = 'sections' } = {}) {
+    const withChunks = include !== 'sections';
+    const counts = { collections: 0, sections: 0, chunks: 0 };
+
+    yield line({
+      kind: 'header',
+      formatVersion: TRANSFER_CONFIG.formatVersion,
+      exportedAt: new Date(),
+      include,
+      embedding: embeddingService.getModelInfo()
+    });
+
+    const collections = this.collectionsCollection
+      .find({ tenantId })
+      .sort({ name: 1 })
+      .project({ collectionId: 1, name: 1, description: 1, _id: 0 });
+    for await (const collection of collections) {
+      counts.collections++;
+      yield line({ kind: 'collection', ...collection });
+    }
+
+    const chunkProjection = Object.fromEntries(CHUNK_FIELDS.map(field => [field, 1]));
+    if (include === 'embeddings') {
+      chunkProjection.embedding = 1;
+    }
+
+    // Drafts are not exported, nor sections that were never published
+    const sections = this.sectionsCollection
+      .find({ tenantId, published: { $ne: false } })
+      .sort({ createdAt: 1 })
+      .project({ ...Object.fromEntries(SECTION_FIELDS.map(field => [field, 1])), generation: 1, _id: 0 });
+    for await (const { generation, ...section } of sections) {
+      counts.sections++;
+      yield line({ kind: 'section', ...section });
+
+      if (!withChunks) continue;
+
+      // Only the live generation; see DataService.swapChunks
+      const chunks = this.chunksCollection
+        .find({ tenantId, sectionId: section.sectionId, generation: generation ?? { $exists: false } })
+        .sort({ position: 1 })
+        .project({ ...chunkProjection, _id: 0 });
+      for await (const chunk of chunks) {
+        counts.chunks++;
+        yield line({ kind: 'chunk', sectionId: section.sectionId, ...chunk });
+      }
+    }
+
+    yield line({ kind: 'end', ...counts });
+
+    logger.info({ tenantId, include, ...counts }, 'Knowledge base exported');
+  }
+
+  /**
+   * Find or create the tenant's collections named in an import, by name.
+   * Returns a map from the exported collection IDs to the tenant's own.
+   */
+  async resolveCollections(tenantId, collections, errors) {
+    const idMap = new Map();
+
+    for (const { line: lineNumber, record } of collections) {
+      try {
+        const existing = await this.collectionsCollection.findOne(
+          { tenantId, name: record.name },
+          { projection: { collectionId: 1, _id: 0 } }
+        );
+        const collection = existing || await collectionService.createCollection(tenantId, record);
+        idMap.set(record.collectionId, collection.collectionId);
+      } catch (error) {
+        errors.push({ line: lineNumber, collectionId: record.collectionId, error: error.message });
+      }
+    }
+
+    return idMap;
+  }
+
+  /**
+   * Check an import before it is queued: collections are resolved and the
+   * whole import is refused when the new sections would exceed the plan's
+   * section limit, as in registerData. Returns the sections to upsert,
+   * keyed by `externalId` with `sectionId` as the fallback for sections
+   * exported without one, and the collections that failed.
+   */
+  async prepareImport(tenantId, { collections = [], sections = [] }, limits) {
+    const errors = [];
+
+    try {
+      const idMap = await this.resolveCollections(tenantId, collections, errors);
+
+      const keyOf = (record) => record.externalId || record.sectionId;
+
+      // Sections the import would create, matched as in upsertSection
+      const keys = [...new Set(sections.map(({ record }) => keyOf(record)))];
+      const sectionIds = sections.map(({ record }) => record.sectionId).filter(Boolean);
+      const existing = await this.sectionsCollection
+        .find({
+          tenantId,
+          $or: [
+            { externalId: { $in: keys } },
+            { sectionId: { $in: sectionIds }, externalId: { $exists: false } }
+          ]
+        })
+        .project({ sectionId: 1, externalId: 1, _id: 0 })
+        .toArray();
+      const matchedExternalIds = new Set(existing.map(section => section.externalId).filter(Boolean));
+      const matchedSectionIds = new Set(existing.filter(section => !section.externalId).map(section => section.sectionId));
+
+      const created = new Set();
+      for (const { record } of sections) {
+        if (!matchedExternalIds.has(keyOf(record)) && !matchedSectionIds.has(record.sectionId)) {
+          created.add(keyOf(record));
+        }
+      }
+      const newSections = created.size;
+
+      const currentCount = await this.sectionsCollection.countDocuments({ tenantId });
+      if (currentCount + newSections > limits.sectionsPerTenant) {
+        throw new Error(
+          `Section limit exceeded. Your plan allows ${limits.sectionsPerTenant} sections. ` +
+          `Current: ${currentCount}, Attempting to add: ${newSections}`
+        );
+      }
+
+      const prepared = sections.map(({ line: lineNumber, record }) => {
+        const { chunks = null, sectionId = null, ...fields } = record;
+        fields.collectionIds = (fields.collectionIds || []).map(id => idMap.get(id) || id);
+        return { line: lineNumber, externalId: keyOf(record), sectionId, fields, chunks };
+      });
+
+      return { sections: prepared, errors };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId }, 'Knowledge base import refused');
+      throw error;
+    }
+  }
+
+  /**
+   * Upsert one section prepared by prepareImport.
+   * Returns `{ action, sectionId }`.
+   */
+  async importSection(tenantId, { externalId, sectionId, fields, chunks }, limits, { author = null } = {}) {
+    const { action, section } = await dataService.upsertSection(tenantId, externalId, fields, limits, {
+      author,
+      sectionId,
+      chunks
+    });
+
+    return { action, sectionId: section.sectionId };
+  }
+}
+
+export default new TransferService();
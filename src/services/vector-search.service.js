@@ -1,115 +1,271 @@
 import mongodb from '../db/mongodb.js';
 import embeddingService from './embedding.service.js';
-import { VECTOR_SEARCH } from '../utils/constants.js';
+import localVectorIndex from './local-vector-index.service.js';
+import rerankService from './rerank.service.js';
+import { VECTOR_SEARCH, HYBRID_SEARCH, RERANKING, UNAVAILABLE } from '../utils/constants.js';
+import { toMongoFilter } from '../utils/metadata-filter.js';
 import pino from 'pino';
 
 const logger = pino();
 
+/**
+ * Chunk stages a search sees. Drafts are only searched in preview, where
+ * they stand in for the published chunks they shadow.
+ */
+const stageFilter = (preview) => (preview ? { shadowed: { $ne: true } } : { draft: { $ne: true } });
+
 class VectorSearchService {
   constructor() {
     this.chunksCollection = null;
+    this.backend = null;
   }
 
-  initialize() {
+  /**
+   * Initialize and pick the vector search backend.
+   * VECTOR_SEARCH_BACKEND may force 'atlas' or 'local'; default 'auto' detects.
+   */
+  async initialize() {
     this.chunksCollection = mongodb.getDb().collection('chunks');
+    localVectorIndex.initialize();
+
+    const configured = (process.env.VECTOR_SEARCH_BACKEND || 'auto').toLowerCase();
+    this.backend = configured === 'auto' ? await this.detectBackend() : configured;
+
+    if (!['atlas', 'local'].includes(this.backend)) {
+      throw new Error(`Unknown VECTOR_SEARCH_BACKEND "${this.backend}". Supported: auto, atlas, local`);
+    }
+
+    logger.info({ backend: this.backend }, 'Vector search backend selected');
   }
 
   /**
-   * Perform vector similarity search
-   * Note: Requires Atlas Search vector index named 'vector_index'
+   * Use Atlas when the 'vector_index' search index exists, otherwise the local index
    */
-  async search(tenantId, queryText, options = {}) {
+  async detectBackend() {
     try {
-      const {
-        limit = VECTOR_SEARCH.limit,
-        minScore = VECTOR_SEARCH.similarityThreshold,
-        sectionType = null
-      } = options;
+      const indexes = await this.chunksCollection.listSearchIndexes('vector_index').toArray();
+      return indexes.length > 0 ? 'atlas' : 'local';
+    } catch (error) {
+      // Plain MongoDB servers do not support search index commands
+      logger.debug({ error: error.message }, 'Atlas Search not available');
+      return 'local';
+    }
+  }
 
-      // Generate embedding for query
-      const queryEmbedding = await embeddingService.generateEmbedding(queryText);
+  /**
+   * Hybrid search: run vector and lexical retrieval and fuse the rankings,
+   * then optionally rerank the fused candidates.
+   * `options.retrieval` carries the tenant's settings (see HYBRID_SEARCH, RERANKING).
+   */
+  async search(tenantId, queryText, options = {}) {
+    const {
+      limit = VECTOR_SEARCH.limit,
+      minScore = VECTOR_SEARCH.similarityThreshold,
+      sectionType = null,
+      filter = null,
+      collectionIds = null,
+      preview = false,
+      retrieval = {}
+    } = options;
 
-      // Build match filter for tenant isolation
-      const matchFilter = { tenantId };
-      if (sectionType) {
-        matchFilter.sectionType = sectionType;
-      }
+    const settings = { ...HYBRID_SEARCH, ...RERANKING, ...retrieval };
+    const reranking = settings.reranker !== 'none';
 
-      // Perform vector search using MongoDB Atlas Search
-      const results = await this.chunksCollection.aggregate([
-        {
-          $vectorSearch: {
-            index: 'vector_index',
-            path: 'embedding',
-            queryVector: queryEmbedding,
-            numCandidates: VECTOR_SEARCH.numCandidates,
-            limit: limit * 2,
-            filter: matchFilter
-          }
-        },
-        {
-          $addFields: {
-            score: { $meta: 'vectorSearchScore' }
-          }
-        },
-        {
-          $match: {
-            score: { $gte: minScore }
-          }
-        },
-        {
-          $limit: limit
-        },
-        {
-          $project: {
-            chunkId: 1,
-            sectionId: 1,
-            sectionType: 1,
-            sectionTitle: 1,
-            text: 1,
-            metadata: 1,
-            score: 1,
-            _id: 0
-          }
-        }
-      ]).toArray();
+    // Over-fetch from each retriever so fusion (and reranking) has candidates to reorder
+    const fusedLimit = reranking ? Math.max(limit, settings.rerankCandidates) : limit;
+    const candidateLimit = fusedLimit * 2;
 
-      logger.info({ 
-        tenantId, 
-        resultsCount: results.length,
-        minScore 
-      }, 'Vector search completed');
-
-      // If vector search returns 0 results, fall back to text search
-      if (results.length === 0) {
-        logger.info('Vector search returned 0 results, falling back to text search');
-        return await this.fallbackTextSearch(tenantId, queryText, options);
-      }
+    const [vectorResults, lexicalResults] = await Promise.all([
+      settings.vectorWeight > 0
+        ? this.vectorSearch(tenantId, queryText, { limit: candidateLimit, minScore, sectionType, filter, collectionIds, preview })
+            .catch((error) => {
+              logger.error({ error: error.message, tenantId }, 'Vector search failed');
+              throw error;
+            })
+        : [],
+      settings.lexicalWeight > 0
+        ? this.textSearch(tenantId, queryText, { limit: candidateLimit, sectionType, filter, collectionIds, preview })
+        : []
+    ]);
 
-      return results;
-    } catch (error) {
-      logger.error({ error: error.message, tenantId }, 'Vector search failed');
-      
-      // Fallback to simple text search if vector search fails
-      logger.info('Falling back to text search');
-      return await this.fallbackTextSearch(tenantId, queryText, options);
+    const fused = this.fuseResults(vectorResults, lexicalResults, settings).slice(0, fusedLimit);
+
+    const results = reranking
+      ? await rerankService.rerank(tenantId, queryText, fused, { ...settings, limit })
+      : fused;
+
+    logger.info({
+      tenantId,
+      resultsCount: results.length,
+      vectorCount: vectorResults.length,
+      lexicalCount: lexicalResults.length,
+      fusion: settings.fusion,
+      reranker: settings.reranker
+    }, 'Hybrid search completed');
+
+    return results;
+  }
+
+  /**
+   * Combine vector and lexical rankings into one list.
+   * 'rrf' sums weight / (k + rank); 'weighted' sums weight * score.
+   * `score` stays on the 0-1 similarity scale (vector score when the chunk was
+   * found by vector search), while `fusedScore` decides the order.
+   */
+  fuseResults(vectorResults, lexicalResults, settings = HYBRID_SEARCH) {
+    const { fusion, vectorWeight, lexicalWeight, rrfK } = { ...HYBRID_SEARCH, ...settings };
+    const merged = new Map();
+
+    const add = (results, source, weight) => {
+      results.forEach((result, idx) => {
+        const entry = merged.get(result.chunkId) || {
+          ...result,
+          vectorScore: null,
+          lexicalScore: null,
+          fusedScore: 0
+        };
+
+        entry[`${source}Score`] = result.score;
+        entry.fusedScore += fusion === 'weighted'
+          ? weight * result.score
+          : weight / (rrfK + idx + 1);
+
+        merged.set(result.chunkId, entry);
+      });
+    };
+
+    add(vectorResults, 'vector', vectorWeight);
+    add(lexicalResults, 'lexical', lexicalWeight);
+
+    return Array.from(merged.values())
+      .map(entry => ({ ...entry, score: entry.vectorScore ?? entry.lexicalScore }))
+      .sort((a, b) => b.fusedScore - a.fusedScore);
+  }
+
+  /**
+   * Perform vector similarity search
+   * Uses Atlas `$vectorSearch` ('vector_index') or the in-memory local index
+   */
+  async vectorSearch(tenantId, queryText, options = {}) {
+    // Generate embedding for query
+    const queryEmbedding = await embeddingService.generateEmbedding(queryText);
+
+    return await this.searchByEmbedding(tenantId, queryEmbedding, options);
+  }
+
+  /**
+   * Chunks nearest to an embedding. `excludeSectionId` leaves out one
+   * section's chunks, e.g. when comparing a section against the rest.
+   * Chunks of scheduled or expired sections are left out unless
+   * `includeUnavailable` is set; `preview` searches drafts too.
+   */
+  async searchByEmbedding(tenantId, queryEmbedding, options = {}) {
+    const {
+      limit = VECTOR_SEARCH.limit,
+      minScore = VECTOR_SEARCH.similarityThreshold,
+      sectionType = null,
+      filter = null,
+      collectionIds = null,
+      excludeSectionId = null,
+      includeUnavailable = false,
+      preview = false
+    } = options;
+
+    if (this.backend === 'local') {
+      return await localVectorIndex.search(tenantId, queryEmbedding, {
+        limit,
+        minScore,
+        sectionType,
+        filter,
+        collectionIds,
+        excludeSectionId,
+        includeUnavailable,
+        preview
+      });
+    }
+
+    // Build match filter for tenant isolation
+    const matchFilter = { tenantId, ...toMongoFilter(filter), ...stageFilter(preview) };
+    if (sectionType) {
+      matchFilter.sectionType = sectionType;
     }
+    if (collectionIds) {
+      matchFilter.collectionIds = { $in: collectionIds };
+    }
+    if (excludeSectionId) {
+      matchFilter.sectionId = { $ne: excludeSectionId };
+    }
+    if (!includeUnavailable) {
+      matchFilter.availability = { $nin: UNAVAILABLE };
+    }
+
+    // Perform vector search using MongoDB Atlas Search
+    return await this.chunksCollection.aggregate([
+      {
+        $vectorSearch: {
+          index: 'vector_index',
+          path: 'embedding',
+          queryVector: queryEmbedding,
+          numCandidates: Math.max(VECTOR_SEARCH.numCandidates, limit * 10),
+          limit: limit * 2,
+          filter: matchFilter
+        }
+      },
+      {
+        $addFields: {
+          score: { $meta: 'vectorSearchScore' }
+        }
+      },
+      {
+        $match: {
+          score: { $gte: minScore }
+        }
+      },
+      {
+        $limit: limit
+      },
+      {
+        $project: {
+          chunkId: 1,
+          sectionId: 1,
+          sectionType: 1,
+          sectionTitle: 1,
+          headingPath: 1,
+          text: 1,
+          metadata: 1,
+          score: 1,
+          _id: 0
+        }
+      }
+    ]).toArray();
   }
 
   /**
-   * Fallback text search if vector search is not available
+   * Lexical search using the chunks `$text` index, with a regex fallback
+   * when the index is missing. Scores are scaled into the 0-1 range.
    */
-  async fallbackTextSearch(tenantId, queryText, options = {}) {
+  async textSearch(tenantId, queryText, options = {}) {
     try {
-      const { limit = VECTOR_SEARCH.limit, sectionType = null } = options;
-
-      logger.info({ tenantId, queryText }, 'Using fallback text search');
+      const {
+        limit = VECTOR_SEARCH.limit,
+        sectionType = null,
+        filter = null,
+        collectionIds = null,
+        includeUnavailable = false,
+        preview = false
+      } = options;
 
       // Build query for simple text matching
-      const query = { tenantId };
+      const query = { tenantId, ...toMongoFilter(filter), ...stageFilter(preview) };
       if (sectionType) {
         query.sectionType = sectionType;
       }
+      if (collectionIds) {
+        query.collectionIds = { $in: collectionIds };
+      }
+      if (!includeUnavailable) {
+        query.availability = { $nin: UNAVAILABLE };
+      }
 
       // Try text search first if index exists
       try {
@@ -126,6 +282,7 @@ class VectorSearchService {
             sectionId: 1,
             sectionType: 1,
             sectionTitle: 1,
+            headingPath: 1,
             text: 1,
             metadata: 1,
             score: { $meta: 'textScore' },
@@ -134,25 +291,29 @@ class VectorSearchService {
           .sort({ score: { $meta: 'textScore' } })
           .toArray();
 
-        if (results.length > 0) {
-          logger.info({ resultsCount: results.length }, 'Text search successful');
-          return results;
-        }
+        // textScore is unbounded; squash it so it is comparable to similarity scores
+        return results.map(result => ({ ...result, score: result.score / (result.score + 1) }));
       } catch (textSearchError) {
         logger.debug('Text search index not available, using regex search');
       }
 
       // Fallback to regex search (works without any indexes)
       const keywords = queryText.toLowerCase().split(/\s+/).filter(k => k.length > 2);
-      const regexPattern = keywords.map(k => `(?=.*${k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`).join('');
+      if (keywords.length === 0) {
+        return [];
+      }
+
+      const escapedKeywords = keywords.map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      const regexPattern = escapedKeywords.map(k => `(?=.*${k})`).join('');
       
       const results = await this.chunksCollection
         .find({
-          ...query,
+          // The metadata filter may carry its own $or
+          $and: [query],
           $or: [
             { text: { $regex: regexPattern, $options: 'i' } },
             { sectionTitle: { $regex: regexPattern, $options: 'i' } },
-            ...keywords.map(keyword => ({
+            ...escapedKeywords.map(keyword => ({
               text: { $regex: keyword, $options: 'i' }
             }))
           ]
@@ -163,6 +324,7 @@ class VectorSearchService {
           sectionId: 1,
           sectionType: 1,
           sectionTitle: 1,
+          headingPath: 1,
           text: 1,
           metadata: 1,
           _id: 0
@@ -174,7 +336,7 @@ class VectorSearchService {
         const textLower = (result.text + ' ' + result.sectionTitle).toLowerCase();
         let score = 0;
         
-        keywords.forEach(keyword => {
+        escapedKeywords.forEach(keyword => {
           const matches = (textLower.match(new RegExp(keyword, 'gi')) || []).length;
           score += matches * 0.15; // Each match adds to score
         });
@@ -198,7 +360,7 @@ class VectorSearchService {
 
       return sortedResults;
     } catch (error) {
-      logger.error({ error: error.message, tenantId }, 'Fallback text search failed');
+      logger.error({ error: error.message, tenantId }, 'Text search failed');
       return [];
     }
   }
@@ -213,6 +375,7 @@ class VectorSearchService {
         .sort({ position: 1 })
         .project({
           chunkId: 1,
+          headingPath: 1,
           text: 1,
           position: 1,
           _id: 0
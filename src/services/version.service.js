@@ -0,0 +1,195 @@
+import mongodb from '../db/mongodb.js';
+import tenantService from './tenant.service.js';
+import { diffLines, diffObjects } from '../utils/diff.js';
+import { PLANS } from '../utils/constants.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const SNAPSHOT_FIELDS = ['title', 'content', 'metadata'];
+
+/**
+ * Immutable revisions of section content, title and metadata.
+ * A revision is recorded whenever a section is created or edited; the
+ * oldest ones beyond the plan's `versionsPerSection` are pruned.
+ */
+class VersionService {
+  constructor() {
+    this.versionsCollection = null;
+    this.sectionsCollection = null;
+  }
+
+  initialize() {
+    const db = mongodb.getDb();
+    this.versionsCollection = db.collection('section_versions');
+    this.sectionsCollection = db.collection('sections');
+  }
+
+  /**
+   * Number of versions kept per section. Tenants created before version
+   * history existed fall back to their plan's value.
+   */
+  async retainedVersions(tenantId) {
+    try {
+      const tenant = await tenantService.getTenant(tenantId);
+      return tenant.limits?.versionsPerSection
+        ?? PLANS[tenant.plan?.toUpperCase()]?.limits.versionsPerSection
+        ?? PLANS.FREE.limits.versionsPerSection;
+    } catch (error) {
+      logger.warn({ error: error.message, tenantId }, 'Using default version retention');
+      return PLANS.FREE.limits.versionsPerSection;
+    }
+  }
+
+  /**
+   * Record the current state of a section as a new version. Nothing is
+   * recorded when title, content and metadata match the latest version.
+   * History is best effort: failures are logged and never undo the edit.
+   */
+  async recordVersion(tenantId, section, { author = null, reason = 'updated', restoredFrom = null } = {}) {
+    const { sectionId } = section;
+
+    try {
+      const latest = await this.versionsCollection.findOne(
+        { tenantId, sectionId },
+        { sort: { version: -1 }, projection: { _id: 0 } }
+      );
+
+      if (latest && SNAPSHOT_FIELDS.every(field => JSON.stringify(latest[field]) === JSON.stringify(section[field]))) {
+        return latest;
+      }
+
+      const version = {
+        tenantId,
+        sectionId,
+        version: (latest?.version || 0) + 1,
+        title: section.title,
+        content: section.content,
+        metadata: section.metadata || {},
+        author,
+        reason,
+        restoredFrom,
+        createdAt: new Date()
+      };
+
+      await this.versionsCollection.insertOne(version);
+      await this.sectionsCollection.updateOne(
+        { tenantId, sectionId },
+        { $set: { version: version.version } }
+      );
+
+      await this.pruneVersions(tenantId, sectionId, version.version);
+
+      logger.info({ tenantId, sectionId, version: version.version, reason }, 'Section version recorded');
+
+      const { _id, ...saved } = version;
+      return saved;
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, sectionId }, 'Failed to record section version');
+      return null;
+    }
+  }
+
+  /**
+   * Delete versions older than the retention window
+   */
+  async pruneVersions(tenantId, sectionId, latestVersion) {
+    const retain = await this.retainedVersions(tenantId);
+
+    const result = await this.versionsCollection.deleteMany({
+      tenantId,
+      sectionId,
+      version: { $lte: latestVersion - retain }
+    });
+
+    if (result.deletedCount > 0) {
+      logger.info({ tenantId, sectionId, pruned: result.deletedCount }, 'Old section versions pruned');
+    }
+  }
+
+  /**
+   * List a section's versions, newest first, without their content
+   */
+  async listVersions(tenantId, sectionId) {
+    try {
+      const section = await this.sectionsCollection.findOne(
+        { tenantId, sectionId },
+        { projection: { version: 1, _id: 0 } }
+      );
+
+      if (!section) {
+        throw new Error('Section not found');
+      }
+
+      const versions = await this.versionsCollection
+        .find({ tenantId, sectionId })
+        .sort({ version: -1 })
+        .project({ _id: 0, tenantId: 0, content: 0 })
+        .toArray();
+
+      return {
+        sectionId,
+        currentVersion: section.version || null,
+        retained: await this.retainedVersions(tenantId),
+        versions
+      };
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, sectionId }, 'Failed to list section versions');
+      throw error;
+    }
+  }
+
+  /**
+   * Get one version of a section, including its content
+   */
+  async getVersion(tenantId, sectionId, version) {
+    try {
+      const found = await this.versionsCollection.findOne(
+        { tenantId, sectionId, version },
+        { projection: { _id: 0, tenantId: 0 } }
+      );
+
+      if (!found) {
+        throw new Error(`Version ${version} not found`);
+      }
+
+      return found;
+    } catch (error) {
+      logger.error({ error: error.message, tenantId, sectionId, version }, 'Failed to get section version');
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two versions of a section: title, metadata keys and a line diff
+   * of the content
+   */
+  async diffVersions(tenantId, sectionId, from, to) {
+    const [before, after] = await Promise.all([
+      this.getVersion(tenantId, sectionId, from),
+      this.getVersion(tenantId, sectionId, to)
+    ]);
+
+    const { hunks, stats } = diffLines(before.content, after.content);
+
+    return {
+      sectionId,
+      from,
+      to,
+      title: before.title === after.title ? null : { from: before.title, to: after.title },
+      metadata: diffObjects(before.metadata, after.metadata),
+      content: hunks,
+      stats: { linesAdded: stats.added, linesRemoved: stats.removed }
+    };
+  }
+
+  /**
+   * Delete all versions of a section
+   */
+  async deleteVersions(tenantId, sectionId) {
+    const result = await this.versionsCollection.deleteMany({ tenantId, sectionId });
+    return result.deletedCount;
+  }
+}
+
+export default new VersionService();
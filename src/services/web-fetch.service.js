@@ -0,0 +1,244 @@
+import { lookup } from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { WEB_FETCH } from '../utils/constants.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const toInt = (value) => (value ? parseInt(value, 10) : null);
+
+// Loopback, private, link-local, documentation, benchmarking, multicast
+// and other reserved ranges that are not public internet addresses
+const blockedAddresses = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['100::', 64],
+  ['2001::', 32], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10],
+  ['fec0::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * The eight 16-bit words of an IPv6 address
+ */
+const ipv6Words = (address) => {
+  const toWords = (part) => (part ? part.split(':') : []).flatMap(word => {
+    if (!word.includes('.')) return [parseInt(word, 16)];
+    const [a, b, c, d] = word.split('.').map(Number);
+    return [(a << 8) | b, (c << 8) | d];
+  });
+
+  const [head, tail] = address.split('::');
+  const start = toWords(head);
+  if (tail === undefined) return start;
+
+  const end = toWords(tail);
+  return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+};
+
+/**
+ * The IPv4 address carried by an IPv4-mapped, IPv4-compatible, NAT64 or
+ * 6to4 IPv6 address, or null
+ */
+const embeddedIPv4 = (address) => {
+  const words = ipv6Words(address);
+  const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  const zeros = (from, to) => words.slice(from, to).every(word => word === 0);
+
+  if (zeros(0, 5) && (words[5] === 0xffff || words[5] === 0)) return toIPv4(words[6], words[7]);
+  if (words[0] === 0x64 && words[1] === 0xff9b && zeros(2, 6)) return toIPv4(words[6], words[7]);
+  if (words[0] === 0x2002) return toIPv4(words[1], words[2]);
+  return null;
+};
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * a public internet address. IPv6 addresses embedding an IPv4 address are
+ * judged by that address.
+ */
+const isPrivateAddress = (address) => {
+  const plain = address.split('%')[0];
+
+  if (isIP(plain) === 6) {
+    const ipv4 = embeddedIPv4(plain.toLowerCase());
+    if (ipv4) return isPrivateAddress(ipv4);
+    return blockedAddresses.check(plain, 'ipv6');
+  }
+
+  return isIP(plain) !== 4 || blockedAddresses.check(plain, 'ipv4');
+};
+
+/**
+ * Fetches web pages for ingestion over http(s). Hosts resolving to private
+ * addresses are refused unless explicitly allowed. Host names are resolved
+ * and checked when the connection is made, so the address connected to is
+ * the one that was checked. `initialize()` takes another `lookupFn`, with
+ * the signature of `dns/promises` lookup, so tests can resolve test hosts
+ * to a local fixture server.
+ */
+class WebFetchService {
+  constructor() {
+    this.lookupFn = null;
+    this.config = null;
+  }
+
+  initialize({ lookupFn = lookup, allowPrivateHosts = null } = {}, env = process.env) {
+    this.lookupFn = lookupFn;
+    this.config = {
+      timeoutMs: toInt(env.WEB_FETCH_TIMEOUT_MS) || WEB_FETCH.timeoutMs,
+      maxBytes: toInt(env.WEB_FETCH_MAX_BYTES) || WEB_FETCH.maxBytes,
+      maxRedirects: WEB_FETCH.maxRedirects,
+      userAgent: env.WEB_FETCH_USER_AGENT || WEB_FETCH.userAgent,
+      allowPrivateHosts: allowPrivateHosts ?? env.WEB_FETCH_ALLOW_PRIVATE_HOSTS === 'true'
+    };
+  }
+
+  /**
+   * Reject URLs that are not http(s) or whose host is a private IP address.
+   * Host names are checked by resolveHost when connecting.
+   */
+  checkUrl(url) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Unsupported URL protocol: ${url.protocol}`);
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (isIP(hostname) && !this.config.allowPrivateHosts && isPrivateAddress(hostname)) {
+      throw new Error(`Fetching from private address ${hostname} is not allowed`);
+    }
+  }
+
+  /**
+   * Resolve a host name, refusing it if any of its addresses is private
+   */
+  async resolveHost(hostname) {
+    let addresses;
+    try {
+      addresses = await this.lookupFn(hostname, { all: true });
+    } catch (error) {
+      throw new Error(`Could not resolve host ${hostname}`);
+    }
+
+    if (addresses.length === 0) {
+      throw new Error(`Could not resolve host ${hostname}`);
+    }
+
+    if (!this.config.allowPrivateHosts && addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error(`Fetching from private address ${hostname} is not allowed`);
+    }
+
+    return addresses.map(({ address, family }) => ({ address, family: family || isIP(address) }));
+  }
+
+  /**
+   * Send a GET request and resolve with the response once its headers
+   * arrive. The socket resolves the host through resolveHost.
+   */
+  request(url, headers, signal) {
+    const client = url.protocol === 'https:' ? https : http;
+
+    const lookupHost = (hostname, options, callback) => {
+      this.resolveHost(hostname).then(
+        addresses => (options.all
+          ? callback(null, addresses)
+          : callback(null, addresses[0].address, addresses[0].family)),
+        error => callback(error)
+      );
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = client.get(url, { headers, signal, lookup: lookupHost }, resolve);
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Read a response body, giving up once it exceeds the size limit
+   */
+  async readBody(response) {
+    const declared = toInt(response.headers['content-length']);
+    if (declared && declared > this.config.maxBytes) {
+      throw new Error(`Page exceeds the ${this.config.maxBytes} byte limit`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+      size += chunk.length;
+      if (size > this.config.maxBytes) {
+        throw new Error(`Page exceeds the ${this.config.maxBytes} byte limit`);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Fetch a page, following redirects and checking every hop.
+   * Returns the final URL, the content type and charset, and the body bytes.
+   */
+  async fetchPage(url) {
+    if (!this.config) {
+      throw new Error('Web fetch service is not initialized');
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeoutMs);
+    let current = new URL(url);
+
+    try {
+      for (let redirects = 0; ; redirects++) {
+        this.checkUrl(current);
+
+        const response = await this.request(current, {
+          'User-Agent': this.config.userAgent,
+          Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1'
+        }, controller.signal);
+
+        const status = response.statusCode;
+        const location = response.headers.location;
+        if (status >= 300 && status < 400 && location) {
+          response.resume();
+          if (redirects >= this.config.maxRedirects) {
+            throw new Error(`Too many redirects fetching ${url}`);
+          }
+          current = new URL(location, current);
+          continue;
+        }
+
+        if (status < 200 || status >= 300) {
+          response.resume();
+          throw new Error(`Fetching ${current} failed with status ${status}`);
+        }
+
+        const contentType = response.headers['content-type'] || '';
+        const body = await this.readBody(response).finally(() => response.destroy());
+
+        logger.info({ url: current.toString(), status, size: body.length }, 'Page fetched');
+
+        return {
+          url: current.toString(),
+          contentType: contentType.split(';')[0].trim().toLowerCase(),
+          charset: contentType.match(/charset\s*=\s*"?([\w-]+)/i)?.[1] || null,
+          body
+        };
+      }
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new Error(`Fetching ${url} timed out after ${this.config.timeoutMs} ms`);
+      }
+      logger.warn({ error: error.message, url }, 'Failed to fetch page');
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default new WebFetchService();
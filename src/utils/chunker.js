@@ -0,0 +1,258 @@
+import { estimateTokens } from './helpers.js';
+import { CHUNK_CONFIG } from './constants.js';
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const SENTENCE_BOUNDARY = /(?<=[.!?])\s+(?=["'([]?[A-Z0-9])/;
+
+/**
+ * Split text into heading, paragraph and table blocks.
+ * Each content block carries the path of headings it sits under.
+ */
+export const parseBlocks = (text) => {
+  const blocks = [];
+  const headings = [];
+  let buffer = [];
+  let bufferType = null;
+
+  const flush = () => {
+    if (buffer.length > 0) {
+      const blockText = buffer.join('\n').trim();
+      if (blockText) {
+        blocks.push({
+          type: bufferType,
+          text: blockText,
+          headingPath: headings.map(h => h.title)
+        });
+      }
+    }
+    buffer = [];
+    bufferType = null;
+  };
+
+  for (const line of text.split('\n')) {
+    const heading = line.match(HEADING);
+
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+        headings.pop();
+      }
+      headings.push({ level, title: heading[2].trim() });
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flush();
+      continue;
+    }
+
+    const lineType = TABLE_ROW.test(line) ? 'table' : 'paragraph';
+    if (bufferType && bufferType !== lineType) {
+      flush();
+    }
+
+    bufferType = lineType;
+    buffer.push(line);
+  }
+
+  flush();
+
+  return blocks;
+};
+
+/**
+ * Cut a word longer than `size` tokens, such as a URL or an encoded blob,
+ * at the character limit
+ */
+const splitLongWord = (word, size) => {
+  // estimateTokens counts four characters per token
+  const length = size * 4;
+  const pieces = [];
+  for (let i = 0; i < word.length; i += length) {
+    pieces.push(word.slice(i, i + length));
+  }
+  return pieces;
+};
+
+/**
+ * Split an oversized piece of text into word windows of at most `size` tokens
+ */
+const splitWords = (text, size) => {
+  const words = text
+    .split(/\s+/)
+    .filter(Boolean)
+    .flatMap(word => (estimateTokens(word) > size ? splitLongWord(word, size) : [word]));
+  const pieces = [];
+  let current = [];
+
+  for (const word of words) {
+    if (current.length > 0 && estimateTokens([...current, word].join(' ')) > size) {
+      pieces.push(current.join(' '));
+      current = [];
+    }
+    current.push(word);
+  }
+
+  if (current.length > 0) {
+    pieces.push(current.join(' '));
+  }
+
+  return pieces;
+};
+
+/**
+ * Break a block into units no larger than `size` tokens.
+ * Paragraphs split on sentences, then words, then characters; tables split
+ * on rows, repeating the header row so every piece stays readable.
+ */
+const splitBlock = (block, size) => {
+  const unit = (text, separator) => ({ text, separator, tokens: estimateTokens(text) });
+
+  if (estimateTokens(block.text) <= size) {
+    return [unit(block.text, '\n\n')];
+  }
+
+  if (block.type === 'table') {
+    const rows = block.text.split('\n');
+    const header = rows.length > 1 && TABLE_DIVIDER.test(rows[1]) ? rows.slice(0, 2) : [];
+    const body = rows.slice(header.length);
+    const units = [];
+    let current = [...header];
+
+    for (const row of body) {
+      // A row too long for any chunk is split like a sentence
+      if (estimateTokens(row) > size) {
+        if (current.length > header.length) {
+          units.push(unit(current.join('\n'), '\n\n'));
+          current = [...header];
+        }
+        units.push(...splitWords(row, size).map(piece => unit(piece, '\n\n')));
+        continue;
+      }
+      if (current.length > header.length && estimateTokens([...current, row].join('\n')) > size) {
+        units.push(unit(current.join('\n'), '\n\n'));
+        current = [...header];
+      }
+      current.push(row);
+    }
+
+    if (current.length > header.length) {
+      units.push(unit(current.join('\n'), '\n\n'));
+    }
+
+    return units;
+  }
+
+  const sentences = block.text.split(SENTENCE_BOUNDARY);
+
+  return sentences.flatMap((sentence, idx) => {
+    const separator = idx === 0 ? '\n\n' : ' ';
+    if (estimateTokens(sentence) <= size) {
+      return [unit(sentence, separator)];
+    }
+    return splitWords(sentence, size).map((piece, pieceIdx) => unit(piece, pieceIdx === 0 ? separator : ' '));
+  });
+};
+
+const joinUnits = (units) => units
+  .map((unit, idx) => (idx === 0 ? unit.text : unit.separator + unit.text))
+  .join('');
+
+/**
+ * Structure-aware chunking.
+ * Chunks never cross a heading boundary; within a heading section,
+ * paragraphs and sentences are packed up to `size` tokens with up to
+ * `overlap` tokens of trailing context repeated at the start of the next chunk.
+ * Returns `{ text, headingPath, tokenCount }` objects; `headingPath` is
+ * e.g. "Returns > International", or null for text outside any heading.
+ */
+export const chunkDocument = (text, options = {}) => {
+  const { size, overlap, minSize: configuredMinSize } = { ...CHUNK_CONFIG, ...options };
+  // Keep the merge threshold proportional when a small size is configured
+  const minSize = Math.min(configuredMinSize, Math.floor(size / 5));
+  const blocks = parseBlocks(text);
+
+  // Group consecutive blocks that share a heading path
+  const groups = [];
+  for (const block of blocks) {
+    const key = block.headingPath.join('\u0000');
+    const last = groups[groups.length - 1];
+    if (last && last.key === key) {
+      last.blocks.push(block);
+    } else {
+      groups.push({ key, headingPath: block.headingPath, blocks: [block] });
+    }
+  }
+
+  const chunks = [];
+
+  for (const group of groups) {
+    const headingPath = group.headingPath.length > 0 ? group.headingPath.join(' > ') : null;
+    const units = group.blocks.flatMap(block => splitBlock(block, size));
+    const groupChunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    const emit = () => {
+      groupChunks.push(current);
+
+      // Carry trailing units forward as overlap
+      const carry = [];
+      let carryTokens = 0;
+      for (let i = current.length - 1; i > 0; i--) {
+        if (carryTokens + current[i].tokens > overlap) break;
+        carry.unshift(current[i]);
+        carryTokens += current[i].tokens;
+      }
+      current = carry;
+      currentTokens = carryTokens;
+    };
+
+    for (const unit of units) {
+      if (current.length > 0 && currentTokens + unit.tokens > size) {
+        emit();
+        // Drop the overlap if it would push the next unit over the limit
+        if (currentTokens + unit.tokens > size) {
+          current = [];
+          currentTokens = 0;
+        }
+      }
+      current.push(unit);
+      currentTokens += unit.tokens;
+    }
+
+    // Fold a short trailing remainder into the previous chunk of the same section
+    if (current.length > 0) {
+      const previous = groupChunks[groupChunks.length - 1];
+      const fresh = current.filter(unit => !previous || !previous.includes(unit));
+      const freshTokens = fresh.reduce((sum, unit) => sum + unit.tokens, 0);
+
+      if (fresh.length > 0) {
+        if (previous && freshTokens < minSize && estimateTokens(joinUnits([...previous, ...fresh])) <= size + minSize) {
+          previous.push(...fresh);
+        } else {
+          groupChunks.push(current);
+        }
+      }
+    }
+
+    for (const chunkUnits of groupChunks) {
+      const content = joinUnits(chunkUnits).trim();
+      if (content) {
+        chunks.push({ text: content, headingPath, tokenCount: estimateTokens(content) });
+      }
+    }
+  }
+
+  return chunks;
+};
+
+/**
+ * Text sent to the embedding model: the heading path gives the chunk its context
+ */
+export const embeddingText = (chunk) => (
+  chunk.headingPath ? `${chunk.headingPath}\n${chunk.text}` : chunk.text
+);
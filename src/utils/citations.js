@@ -0,0 +1,107 @@
+// Citation markers such as [1], [2, 3] referring to numbered context entries
+const MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const SENTENCE_END = /[.!?](?=\s)|\n/g;
+const SNIPPET_LENGTH = 240;
+
+const words = (text) => new Set(text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+
+/**
+ * Start of the claim a marker at `end` supports: the sentence it closes,
+ * never reaching back past the previous marker
+ */
+const claimStart = (answer, floor, end) => {
+  // Ignore the claim's own closing punctuation
+  const body = answer.slice(floor, end).replace(/[.!?]?\s*$/, '');
+  let start = floor;
+
+  for (const match of body.matchAll(SENTENCE_END)) {
+    start = floor + match.index + match[0].length;
+  }
+
+  while (start < end && /\s/.test(answer[start])) {
+    start++;
+  }
+
+  return start;
+};
+
+/**
+ * Sentence of a chunk sharing the most words with the claim
+ */
+export const bestSnippet = (claim, chunkText) => {
+  const claimWords = words(claim);
+  const sentences = chunkText.split(/(?<=[.!?])\s+|\n+/).filter(s => s.trim());
+  let best = sentences[0] || chunkText;
+  let bestOverlap = -1;
+
+  for (const sentence of sentences) {
+    let overlap = 0;
+    for (const word of words(sentence)) {
+      if (claimWords.has(word)) overlap++;
+    }
+    if (overlap > bestOverlap) {
+      best = sentence;
+      bestOverlap = overlap;
+    }
+  }
+
+  best = best.trim();
+  return best.length > SNIPPET_LENGTH ? `${best.slice(0, SNIPPET_LENGTH - 1)}…` : best;
+};
+
+/**
+ * Parse citation markers out of an answer.
+ * `results` are the search results in context order, so marker [n] refers
+ * to results[n - 1]. Each citation maps the character span of the claim it
+ * follows (`start`/`end`, end exclusive) to the cited chunk. Markers that do
+ * not match a context entry are returned with `valid: false`.
+ */
+export const parseCitations = (answer, results) => {
+  const citations = [];
+  let floor = 0;
+  let previous = null;
+
+  for (const match of answer.matchAll(MARKER)) {
+    const markerStart = match.index;
+    const markerEnd = markerStart + match[0].length;
+
+    // Adjacent markers like [1][2] or [1]. [2] cite the same claim
+    const adjacent = previous && /^[\s.,;:!?]*$/.test(answer.slice(previous.markerEnd, markerStart));
+    let start = adjacent ? previous.start : claimStart(answer, floor, markerStart);
+    let end = adjacent ? previous.end : markerStart;
+    while (end > start && /\s/.test(answer[end - 1])) {
+      end--;
+    }
+
+    // A marker opening the answer has no claim before it
+    if (end <= start) {
+      start = markerStart;
+      end = markerStart;
+    }
+
+    const claim = answer.slice(start, end);
+
+    for (const number of match[1].split(',').map(n => parseInt(n, 10))) {
+      const result = results[number - 1];
+
+      citations.push({
+        marker: number,
+        start,
+        end,
+        markerStart,
+        markerEnd,
+        text: claim,
+        valid: Boolean(result),
+        chunkId: result?.chunkId || null,
+        sectionId: result?.sectionId || null,
+        sectionTitle: result?.sectionTitle || null,
+        snippet: result ? bestSnippet(claim, result.text) : null
+      });
+    }
+
+    previous = { start, end, markerEnd };
+    floor = markerEnd;
+  }
+
+  return citations;
+};
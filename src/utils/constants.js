@@ -6,7 +6,9 @@ export const PLANS = {
     price: 0,
     limits: {
       apiCallsPerMonth: 1000,
+      searchesPerMonth: 5000,
       sectionsPerTenant: 10,
+      versionsPerSection: 5,
       tokensPerRequest: 2000,
       requestsPerMinute: 10,
       requestsPerHour: 100
@@ -17,7 +19,9 @@ export const PLANS = {
     price: 29,
     limits: {
       apiCallsPerMonth: 10000,
+      searchesPerMonth: 50000,
       sectionsPerTenant: 100,
+      versionsPerSection: 25,
       tokensPerRequest: 4000,
       requestsPerMinute: 30,
       requestsPerHour: 500
@@ -28,7 +32,9 @@ export const PLANS = {
     price: 299,
     limits: {
       apiCallsPerMonth: 100000,
+      searchesPerMonth: 500000,
       sectionsPerTenant: 1000,
+      versionsPerSection: 100,
       tokensPerRequest: 8000,
       requestsPerMinute: 100,
       requestsPerHour: 2000
@@ -36,6 +42,8 @@ export const PLANS = {
   }
 };
 
+// Chunk limits in estimated tokens. Tenants and individual sections
+// may override size and overlap through their `chunking` settings.
 export const CHUNK_CONFIG = {
   size: 500,
   overlap: 50,
@@ -48,6 +56,91 @@ export const VECTOR_SEARCH = {
   similarityThreshold: 0.70
 };
 
+// Default fusion settings for hybrid (vector + lexical) retrieval.
+// Tenants may override any of these through their `retrieval` settings.
+export const HYBRID_SEARCH = {
+  fusion: 'rrf',       // 'rrf' (reciprocal rank fusion) or 'weighted'
+  vectorWeight: 1,
+  lexicalWeight: 1,
+  rrfK: 60
+};
+
+// Optional reranking stage, also set through a tenant's `retrieval` settings
+export const RERANKING = {
+  reranker: 'none',    // 'none', 'cross-encoder' or 'llm'
+  rerankCandidates: 20, // Fused candidates passed to the reranker
+  mmrLambda: 0.7       // 1 = relevance only, lower values favour diversity
+};
+
+// Condensing follow-up questions into standalone search queries.
+// Tenants may turn it off with `retrieval.queryRewriting: false`.
+export const QUERY_REWRITING = {
+  enabled: true,
+  historyExchanges: 3,   // Recent exchanges shown to the rewriter
+  maxMessageLength: 500  // Characters kept from each history message
+};
+
+export const SEARCH_CONFIG = {
+  maxResults: 100,      // Ranked hits available for pagination
+  snippetLength: 240    // Characters of chunk text around the best match
+};
+
+// Near-duplicate sections are flagged, not rejected. Scores use the
+// (1 + cosine) / 2 scale of vector search, so 0.975 is a cosine of 0.95.
+export const DUPLICATE_DETECTION = {
+  similarityThreshold: 0.975,
+  maxChunksCompared: 20,  // Chunks of a new section compared to the rest
+  minChunkShare: 0.5,     // Share of those chunks that must match another section
+  maxSectionsPerChunk: 20 // Chunks shared by more sections are boilerplate, not evidence
+};
+
+export const LOCAL_VECTOR_INDEX = {
+  maxTenants: 100,            // Tenant indexes kept in memory (LRU)
+  maxAgeMs: 5 * 60 * 1000     // Reload to pick up writes from other instances
+};
+
+export const REPAIR_CONFIG = {
+  // Younger chunks may belong to a write still in progress and are left alone
+  minChunkAgeMs: 10 * 60 * 1000
+};
+
+// Fetching pages for HTML ingestion; overridable through WEB_FETCH_* variables
+export const WEB_FETCH = {
+  timeoutMs: 15000,
+  maxBytes: 5 * 1024 * 1024,
+  maxRedirects: 5,
+  userAgent: 'chatbot-saas-ingest/1.0'
+};
+
+// JSONL knowledge base export and import
+export const TRANSFER_CONFIG = {
+  formatVersion: 1,
+  maxImportBytes: 50 * 1024 * 1024
+};
+
+// Sections outside their publishAt/expiresAt window are left out of search
+export const SECTION_AVAILABILITY = ['scheduled', 'active', 'expired'];
+export const UNAVAILABLE = ['scheduled', 'expired'];
+
+export const SCHEDULER_CONFIG = {
+  intervalMs: 60 * 1000,      // How often due sections change state
+  batchSize: 500
+};
+
+export const JOB_CONFIG = {
+  pollIntervalMs: 2000,       // Idle worker poll interval
+  lockTimeoutMs: 5 * 60 * 1000, // Reclaim jobs from workers that stopped responding
+  maxAttempts: 3
+};
+
+// Chat models a tenant may select per plan; '*' allows any model served by
+// the configured provider. The provider's default model is always allowed.
+export const CHAT_MODELS = {
+  free: ['llama-3.1-8b-instant'],
+  pro: ['llama-3.1-8b-instant', 'llama-3.3-70b-versatile'],
+  enterprise: ['*']
+};
+
 export const CACHE_TTL = {
   tenant: 3600,        // 1 hour
   apiKey: 300,         // 5 minutes
@@ -0,0 +1,116 @@
+// Above this many line pairs the LCS table gets too large; the differing
+// middle is then reported as one removal and one addition
+const MAX_LCS_CELLS = 4000000;
+
+const splitLines = (text) => (text ? text.split('\n') : []);
+
+/**
+ * Longest common subsequence of two line arrays as edit operations
+ */
+const lcsOperations = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * cols + j] = a[i] === b[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      operations.push(['equal', a[i]]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      operations.push(['removed', a[i++]]);
+    } else {
+      operations.push(['added', b[j++]]);
+    }
+  }
+  while (i < a.length) operations.push(['removed', a[i++]]);
+  while (j < b.length) operations.push(['added', b[j++]]);
+
+  return operations;
+};
+
+/**
+ * Line diff of two texts. Consecutive lines of the same kind are grouped
+ * into `{ type: 'equal' | 'added' | 'removed', text }` hunks.
+ */
+export const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Common leading and trailing lines need no LCS
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+  const middle = middleA.length * middleB.length > MAX_LCS_CELLS
+    ? [...middleA.map(line => ['removed', line]), ...middleB.map(line => ['added', line])]
+    : lcsOperations(middleA, middleB);
+
+  const operations = [
+    ...a.slice(0, prefix).map(line => ['equal', line]),
+    ...middle,
+    ...a.slice(a.length - suffix).map(line => ['equal', line])
+  ];
+
+  const hunks = [];
+  const stats = { added: 0, removed: 0 };
+  for (const [type, line] of operations) {
+    if (type !== 'equal') stats[type]++;
+
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+  }
+
+  return {
+    hunks: hunks.map(({ type, lines }) => ({ type, text: lines.join('\n') })),
+    stats
+  };
+};
+
+/**
+ * Top-level keys added, removed or changed between two metadata objects
+ */
+export const diffObjects = (before = {}, after = {}) => {
+  const added = {};
+  const removed = {};
+  const changed = {};
+
+  for (const [key, value] of Object.entries(after)) {
+    if (!(key in before)) {
+      added[key] = value;
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+      changed[key] = { from: before[key], to: value };
+    }
+  }
+  for (const [key, value] of Object.entries(before)) {
+    if (!(key in after)) removed[key] = value;
+  }
+
+  return { added, removed, changed };
+};
@@ -11,7 +11,11 @@ export const generateId = {
   apiKey: () => `sk_${nanoid(32)}`,
   section: () => `sec_${nanoid(21)}`,
   chunk: () => `chk_${nanoid(21)}`,
-  job: () => `job_${nanoid(21)}`
+  job: () => `job_${nanoid(21)}`,
+  message: () => `msg_${nanoid(21)}`,
+  session: () => `ses_${nanoid(21)}`,
+  collection: () => `col_${nanoid(21)}`,
+  generation: () => `gen_${nanoid(21)}`
 };
 
 /**
@@ -22,20 +26,35 @@ export const hashApiKey = (apiKey) => {
 };
 
 /**
- * Split text into chunks with overlap
+ * Normalize text for duplicate detection: Unicode-compatible forms,
+ * case and whitespace differences are ignored
  */
-export const chunkText = (text, chunkSize = 500, overlap = 50) => {
-  const words = text.split(/\s+/);
-  const chunks = [];
-  
-  for (let i = 0; i < words.length; i += chunkSize - overlap) {
-    const chunk = words.slice(i, i + chunkSize).join(' ');
-    if (chunk.trim().length > 0) {
-      chunks.push(chunk.trim());
-    }
-  }
-  
-  return chunks;
+export const normalizeContent = (text) => {
+  return (text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Hash normalized content; equal hashes mean duplicate content
+ */
+export const contentHash = (text) => {
+  return crypto.createHash('sha256').update(normalizeContent(text)).digest('hex');
+};
+
+/**
+ * Hash raw file bytes, e.g. to recognise a re-uploaded file
+ */
+export const hashFile = (buffer) => {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+};
+
+/**
+ * A section's availability at `now`: 'scheduled' before its publishAt,
+ * 'expired' from its expiresAt, 'active' otherwise
+ */
+export const availabilityAt = ({ publishAt = null, expiresAt = null }, now = new Date()) => {
+  if (expiresAt && expiresAt <= now) return 'expired';
+  if (publishAt && publishAt > now) return 'scheduled';
+  return 'active';
 };
 
 /**
@@ -114,3 +133,30 @@ export function verifyToken(token) {
     throw new Error('Invalid or expired token');
   }
 }
+
+/**
+ * Sign a chat session ID for a tenant: `<id>.<signature>`
+ */
+const sessionSignature = (tenantId, id) => {
+  const secret = process.env.SESSION_SECRET || process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+  return crypto.createHmac('sha256', secret).update(`${tenantId}:${id}`).digest('base64url');
+};
+
+export function signSessionId(tenantId, id = generateId.session()) {
+  return `${id}.${sessionSignature(tenantId, id)}`;
+}
+
+/**
+ * Check that a session ID was issued to the given tenant
+ */
+export function verifySessionId(tenantId, sessionId) {
+  if (typeof sessionId !== 'string') return false;
+
+  const separator = sessionId.lastIndexOf('.');
+  if (separator <= 0) return false;
+
+  const expected = Buffer.from(sessionSignature(tenantId, sessionId.slice(0, separator)));
+  const actual = Buffer.from(sessionId.slice(separator + 1));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
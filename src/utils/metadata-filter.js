@@ -0,0 +1,153 @@
+/**
+ * Filter expressions over section metadata, e.g.
+ * `{ region: 'EU', product: { $in: ['basic', 'pro'] }, $or: [...] }`.
+ * Chunks carry a copy of their section's metadata, so filters apply to chunks.
+ * Only the operators below are accepted; they are supported by MongoDB
+ * queries and by the Atlas `$vectorSearch` filter alike. Field path parts
+ * must not be array positions such as `sizes.0`, which Atlas cannot filter on.
+ */
+
+export const COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin'];
+export const LOGICAL_OPERATORS = ['$and', '$or'];
+
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_-]*(\.[A-Za-z_][A-Za-z0-9_-]*)*$/;
+const MAX_DEPTH = 4;
+const MAX_CONDITIONS = 20;
+const MAX_LIST_LENGTH = 100;
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a filter expression against the operator allowlist.
+ * Returns a list of problems; empty when the filter is valid.
+ */
+export const validateFilter = (filter) => {
+  const errors = [];
+  let conditions = 0;
+
+  const checkOperand = (field, operator, operand) => {
+    if (operator === '$in' || operator === '$nin') {
+      if (!Array.isArray(operand) || operand.length === 0 || operand.length > MAX_LIST_LENGTH || !operand.every(isScalar)) {
+        errors.push(`${field}: ${operator} takes a list of 1-${MAX_LIST_LENGTH} strings, numbers or booleans`);
+      }
+    } else if (!isScalar(operand)) {
+      errors.push(`${field}: ${operator} takes a string, number or boolean`);
+    }
+  };
+
+  const walk = (expression, depth) => {
+    if (!isPlainObject(expression)) {
+      errors.push('Filter must be an object');
+      return;
+    }
+    if (depth > MAX_DEPTH) {
+      errors.push(`Filter is nested deeper than ${MAX_DEPTH} levels`);
+      return;
+    }
+
+    for (const [key, value] of Object.entries(expression)) {
+      if (LOGICAL_OPERATORS.includes(key)) {
+        if (!Array.isArray(value) || value.length === 0) {
+          errors.push(`${key} takes a non-empty list of filters`);
+          continue;
+        }
+        value.forEach(item => walk(item, depth + 1));
+        continue;
+      }
+
+      if (key.startsWith('$')) {
+        errors.push(`Operator ${key} is not allowed here; allowed: ${LOGICAL_OPERATORS.join(', ')}`);
+        continue;
+      }
+      if (!FIELD_NAME.test(key)) {
+        errors.push(`Invalid metadata field name "${key}"; each part must start with a letter or _`);
+        continue;
+      }
+
+      conditions++;
+
+      if (isScalar(value)) {
+        continue;
+      }
+      if (!isPlainObject(value) || Object.keys(value).length === 0) {
+        errors.push(`${key}: expected a value or an operator object`);
+        continue;
+      }
+
+      for (const [operator, operand] of Object.entries(value)) {
+        if (!COMPARISON_OPERATORS.includes(operator)) {
+          errors.push(`${key}: operator ${operator} is not allowed; allowed: ${COMPARISON_OPERATORS.join(', ')}`);
+          continue;
+        }
+        checkOperand(key, operator, operand);
+      }
+    }
+  };
+
+  walk(filter, 1);
+
+  if (conditions > MAX_CONDITIONS) {
+    errors.push(`Filter has more than ${MAX_CONDITIONS} conditions`);
+  }
+
+  return errors;
+};
+
+/**
+ * MongoDB conditions on chunk documents for a validated filter.
+ * Field names are moved under `metadata.` so tenants can only filter metadata.
+ */
+export const toMongoFilter = (filter) => {
+  const conditions = {};
+
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      conditions[key] = value.map(toMongoFilter);
+    } else {
+      conditions[`metadata.${key}`] = isScalar(value) ? { $eq: value } : value;
+    }
+  }
+
+  return conditions;
+};
+
+const getPath = (object, path) => path
+  .split('.')
+  .reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), object);
+
+/**
+ * Evaluate one operator with MongoDB semantics: an array field matches
+ * when any of its elements does
+ */
+const compare = (value, operator, operand) => {
+  const values = Array.isArray(value) ? value : [value];
+
+  switch (operator) {
+    case '$eq': return values.some(v => v === operand);
+    case '$ne': return !values.some(v => v === operand);
+    case '$gt': return values.some(v => v !== undefined && typeof v === typeof operand && v > operand);
+    case '$gte': return values.some(v => v !== undefined && typeof v === typeof operand && v >= operand);
+    case '$lt': return values.some(v => v !== undefined && typeof v === typeof operand && v < operand);
+    case '$lte': return values.some(v => v !== undefined && typeof v === typeof operand && v <= operand);
+    case '$in': return values.some(v => operand.includes(v));
+    case '$nin': return !values.some(v => operand.includes(v));
+    default: return false;
+  }
+};
+
+/**
+ * Evaluate a validated filter in memory (local vector index)
+ */
+export const matchesFilter = (metadata, filter) => (
+  Object.entries(filter || {}).every(([key, value]) => {
+    if (key === '$and') return value.every(item => matchesFilter(metadata, item));
+    if (key === '$or') return value.some(item => matchesFilter(metadata, item));
+
+    const fieldValue = getPath(metadata, key);
+    if (isScalar(value)) {
+      return compare(fieldValue, '$eq', value);
+    }
+    return Object.entries(value).every(([operator, operand]) => compare(fieldValue, operator, operand));
+  })
+);
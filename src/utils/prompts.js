@@ -0,0 +1,78 @@
+// Prompt templates use {{variable}} placeholders
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// Variables each kind of template may reference
+export const TEMPLATE_VARIABLES = {
+  systemPrompt: ['businessName', 'personaName', 'tone', 'language'],
+  userPrompt: ['businessName', 'personaName', 'query', 'context'],
+  greeting: ['businessName', 'personaName'],
+  fallbackMessage: ['businessName', 'personaName']
+};
+
+// Variables a template must reference to be usable
+export const REQUIRED_VARIABLES = {
+  userPrompt: ['query', 'context']
+};
+
+export const DEFAULT_TEMPLATES = {
+  systemPrompt: `You are a helpful AI assistant for {{businessName}}.
+Your role is to answer customer questions accurately based on the provided context.
+
+Guidelines:
+- Answer questions using ONLY the information provided in the context
+- Be concise and helpful
+- If the context doesn't contain enough information, acknowledge the limitation
+- Maintain a {{tone}} tone
+- Do not make up information that isn't in the context`,
+
+  userPrompt: `Context Information:
+{{context}}
+
+User Question: {{query}}
+
+Please provide a helpful answer based on the context above.`,
+
+  greeting: "Hello! I'm {{personaName}} for {{businessName}}. How can I help you today? Feel free to ask me any questions about our products, services, or policies.",
+
+  fallbackMessage: "I don't have enough information to answer that question. Please provide more context or rephrase your question, or try asking about our products, services, or policies."
+};
+
+export const DEFAULT_TONE = 'professional and friendly';
+
+/**
+ * Substitute {{variable}} placeholders; unknown variables render empty
+ */
+export const renderTemplate = (template, variables) => (
+  template.replace(PLACEHOLDER, (_, name) => variables[name] ?? '')
+);
+
+/**
+ * Check a template of the given kind for malformed placeholders, unknown
+ * variables and missing required variables. Returns a list of problems.
+ */
+export const validateTemplate = (template, kind) => {
+  const errors = [];
+  const allowed = TEMPLATE_VARIABLES[kind] || [];
+  const used = new Set();
+
+  for (const [, name] of template.matchAll(PLACEHOLDER)) {
+    used.add(name);
+    if (!allowed.includes(name)) {
+      errors.push(`Unknown variable "{{${name}}}"; allowed: ${allowed.join(', ')}`);
+    }
+  }
+
+  // Anything brace-like left after removing valid placeholders is malformed
+  if (/\{\{|\}\}/.test(template.replace(PLACEHOLDER, ''))) {
+    errors.push('Malformed placeholder; use {{variable}}');
+  }
+
+  for (const name of REQUIRED_VARIABLES[kind] || []) {
+    if (!used.has(name)) {
+      errors.push(`Template must include {{${name}}}`);
+    }
+  }
+
+  return errors;
+};
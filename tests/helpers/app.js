@@ -0,0 +1,57 @@
+import Fastify from 'fastify';
+import multipart from '@fastify/multipart';
+import redis from '../../src/db/redis.js';
+import tenantService from '../../src/services/tenant.service.js';
+import { authenticate, authenticateJWT, authenticateFlexible, requireUnscopedKey } from '../../src/middleware/auth.js';
+import { rateLimiter, checkMonthlyLimit, checkMonthlyQuota, checkSearchLimit } from '../../src/middleware/rate-limit.js';
+import { testTenant } from './services.js';
+
+/**
+ * Keep Redis counters and cache entries in memory. Returns the store.
+ */
+export function useMemoryRedis() {
+  const store = new Map();
+  redis.get = async (key) => store.get(key) ?? null;
+  redis.set = async (key, value) => {
+    store.set(key, value);
+    return 'OK';
+  };
+  redis.del = async (key) => Number(store.delete(key));
+  redis.incr = async (key) => {
+    const value = Number(store.get(key) || 0) + 1;
+    store.set(key, String(value));
+    return value;
+  };
+  redis.expire = async () => 1;
+  return store;
+}
+
+/**
+ * A Fastify app with the middleware decorators of src/index.js and the given
+ * `[plugin, prefix]` route pairs. `apiKeys` maps each accepted X-API-Key to
+ * fields of the test tenant, e.g. `{ apiKeyScope: ['col_xxx'] }`.
+ */
+export async function buildApp(routes, { apiKeys = {} } = {}) {
+  tenantService.getTenantByApiKey = async (apiKey) => {
+    if (!apiKeys[apiKey]) throw new Error('Invalid API key');
+    return { ...testTenant(), apiKeyName: apiKey, apiKeyScope: null, ...apiKeys[apiKey] };
+  };
+
+  const app = Fastify({ logger: false });
+  await app.register(multipart);
+
+  app.decorate('authenticate', authenticateFlexible);
+  app.decorate('authenticateJWT', authenticateJWT);
+  app.decorate('authenticateApiKey', authenticate);
+  app.decorate('requireUnscopedKey', requireUnscopedKey);
+  app.decorate('rateLimiter', rateLimiter);
+  app.decorate('checkMonthlyLimit', checkMonthlyLimit);
+  app.decorate('checkMonthlyQuota', checkMonthlyQuota);
+  app.decorate('checkSearchLimit', checkSearchLimit);
+
+  for (const [plugin, prefix] of routes) {
+    await app.register(plugin, { prefix });
+  }
+  await app.ready();
+  return app;
+}
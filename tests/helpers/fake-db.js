@@ -0,0 +1,418 @@
+/**
+ * In-memory stand-in for the parts of the MongoDB driver the services use.
+ * Supports the query operators, update operators and cursor methods found
+ * in src/, which is enough to exercise services without a database.
+ */
+
+const get = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const set = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unset = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => target?.[key], doc);
+  if (parent) delete parent[last];
+};
+
+const same = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+// Values compared with $lt and friends must be of the same kind, as in MongoDB
+const comparable = (value, arg) => value !== null && value !== undefined &&
+  (value instanceof Date) === (arg instanceof Date) && typeof value === typeof arg;
+
+const isOperatorObject = (cond) => cond !== null && typeof cond === 'object' &&
+  !Array.isArray(cond) && !(cond instanceof Date) && Object.keys(cond).some(key => key.startsWith('$'));
+
+const equals = (value, cond) => {
+  if (cond === null) return value === null || value === undefined;
+  if (Array.isArray(value) && !Array.isArray(cond)) return value.some(item => same(item, cond));
+  return same(value, cond);
+};
+
+export const matches = (doc, query) => Object.entries(query).every(([key, cond]) => {
+  if (key === '$or') return cond.some(q => matches(doc, q));
+  if (key === '$and') return cond.every(q => matches(doc, q));
+  if (key === '$nor') return !cond.some(q => matches(doc, q));
+
+  const value = get(doc, key);
+  if (!isOperatorObject(cond)) return equals(value, cond);
+
+  return Object.entries(cond).every(([op, arg]) => {
+    switch (op) {
+      case '$eq': return equals(value, arg);
+      case '$ne': return !equals(value, arg);
+      case '$in': return arg.some(item => equals(value, item));
+      case '$nin': return !arg.some(item => equals(value, item));
+      case '$exists': return (value !== undefined) === Boolean(arg);
+      case '$lte': return comparable(value, arg) && value <= arg;
+      case '$lt': return comparable(value, arg) && value < arg;
+      case '$gte': return comparable(value, arg) && value >= arg;
+      case '$gt': return comparable(value, arg) && value > arg;
+      case '$all': return Array.isArray(value) && arg.every(item => value.includes(item));
+      case '$size': return Array.isArray(value) && value.length === arg;
+      case '$type': return arg === 'array' ? Array.isArray(value) : typeof value === arg;
+      case '$not': return !matches(doc, { [key]: arg });
+      default: throw new Error(`Unsupported query operator ${op}`);
+    }
+  });
+});
+
+const clone = (value) => structuredClone(value);
+
+// The driver hands binary fields back as a Binary whose `buffer` holds the bytes
+const toBinary = (doc) => Object.fromEntries(Object.entries(doc).map(([key, value]) =>
+  [key, Buffer.isBuffer(value) ? { buffer: new Uint8Array(value) } : value]));
+
+const project = (doc, projection) => {
+  if (!projection) return clone(doc);
+
+  const included = Object.entries(projection).filter(([key, on]) => on && key !== '_id').map(([key]) => key);
+  const excluded = Object.entries(projection).filter(([, on]) => !on).map(([key]) => key);
+
+  if (included.length > 0) {
+    const out = {};
+    for (const key of included) {
+      const value = get(doc, key);
+      if (value !== undefined) set(out, key, clone(value));
+    }
+    if (projection._id) out._id = doc._id;
+    return out;
+  }
+
+  const out = clone(doc);
+  for (const key of excluded) unset(out, key);
+  return out;
+};
+
+const sortDocs = (docs, spec) => {
+  const keys = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const x = get(a, key);
+      const y = get(b, key);
+      if (x === y) continue;
+      if (x === undefined || x === null) return -direction;
+      if (y === undefined || y === null) return direction;
+      return (x > y ? 1 : x < y ? -1 : 0) * direction;
+    }
+    return 0;
+  });
+};
+
+const applyUpdate = (doc, update) => {
+  for (const [key, value] of Object.entries(update.$set || {})) set(doc, key, clone(value));
+  for (const key of Object.keys(update.$unset || {})) unset(doc, key);
+  for (const [key, value] of Object.entries(update.$inc || {})) set(doc, key, (get(doc, key) || 0) + value);
+  for (const [key, value] of Object.entries(update.$push || {})) {
+    const list = get(doc, key) || [];
+    list.push(...(value?.$each || [value]).map(clone));
+    set(doc, key, list);
+  }
+  for (const [key, value] of Object.entries(update.$addToSet || {})) {
+    const list = get(doc, key) || [];
+    for (const item of value?.$each || [value]) {
+      if (!list.some(existing => same(existing, item))) list.push(clone(item));
+    }
+    set(doc, key, list);
+  }
+  for (const [key, value] of Object.entries(update.$pull || {})) {
+    const list = get(doc, key) || [];
+    set(doc, key, list.filter(item => !(isOperatorObject(value) ? matches({ item }, { item: value }) : same(item, value))));
+  }
+};
+
+const duplicateKeyError = (index) => {
+  const error = new Error(`E11000 duplicate key error index: ${index}`);
+  error.code = 11000;
+  return error;
+};
+
+let nextId = 1;
+
+export class FakeCollection {
+  constructor(name, db = null) {
+    this.name = name;
+    this.db = db;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  /**
+   * Declare a unique index over `keys`, optionally only for documents
+   * matching `partialFilterExpression`
+   */
+  createIndex(keys, { unique = false, partialFilterExpression = null } = {}) {
+    if (unique) {
+      this.uniqueIndexes.push({ fields: Object.keys(keys), partial: partialFilterExpression });
+    }
+    return Promise.resolve(Object.keys(keys).join('_'));
+  }
+
+  checkUnique(doc, ignore = null) {
+    for (const { fields, partial } of this.uniqueIndexes) {
+      if (partial && !matches(doc, partial)) continue;
+      const clash = this.docs.some(other => other !== ignore &&
+        (!partial || matches(other, partial)) &&
+        fields.every(field => same(get(other, field), get(doc, field))));
+      if (clash) throw duplicateKeyError(fields.join('_'));
+    }
+  }
+
+  find(query = {}, options = {}) {
+    let sortSpec = options.sort || null;
+    let projection = options.projection || null;
+    let skipCount = 0;
+    let limitCount = 0;
+
+    const cursor = {
+      sort(spec) { sortSpec = spec; return cursor; },
+      project(spec) { projection = spec; return cursor; },
+      skip(count) { skipCount = count; return cursor; },
+      limit(count) { limitCount = count; return cursor; },
+      toArray: async () => {
+        let docs = this.docs.filter(doc => matches(doc, query));
+        if (sortSpec) docs = sortDocs(docs, sortSpec);
+        docs = docs.slice(skipCount, limitCount ? skipCount + limitCount : undefined);
+        return docs.map(doc => project(doc, projection));
+      },
+      async *[Symbol.asyncIterator]() {
+        for (const doc of await cursor.toArray()) yield doc;
+      }
+    };
+    return cursor;
+  }
+
+  async findOne(query = {}, options = {}) {
+    const [doc] = await this.find(query, options).limit(1).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(query = {}) {
+    return this.docs.filter(doc => matches(doc, query)).length;
+  }
+
+  async insertOne(doc) {
+    const stored = { _id: nextId++, ...clone(toBinary(doc)) };
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    doc._id = stored._id;
+    return { insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    for (const doc of docs) {
+      await this.insertOne(doc);
+    }
+    return { insertedCount: docs.length };
+  }
+
+  updateDoc(doc, update) {
+    const updated = clone(doc);
+    applyUpdate(updated, update);
+    this.checkUnique(updated, doc);
+    Object.keys(doc).forEach(key => delete doc[key]);
+    Object.assign(doc, updated);
+  }
+
+  async updateOne(query, update, options = {}) {
+    const doc = this.docs.find(candidate => matches(candidate, query));
+    if (doc) {
+      this.updateDoc(doc, update);
+      return { matchedCount: 1, modifiedCount: 1 };
+    }
+    if (options.upsert) {
+      const created = {};
+      for (const [key, value] of Object.entries(query)) {
+        if (!key.startsWith('$') && !isOperatorObject(value)) set(created, key, clone(value));
+      }
+      applyUpdate(created, { ...update, $set: { ...update.$setOnInsert, ...update.$set } });
+      await this.insertOne(created);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    }
+    return { matchedCount: 0, modifiedCount: 0 };
+  }
+
+  async updateMany(query, update) {
+    const docs = this.docs.filter(doc => matches(doc, query));
+    docs.forEach(doc => this.updateDoc(doc, update));
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async findOneAndUpdate(query, update, options = {}) {
+    let docs = this.docs.filter(doc => matches(doc, query));
+    if (options.sort) docs = sortDocs(docs, options.sort);
+    const [doc] = docs;
+    if (!doc) return null;
+
+    const before = project(doc, options.projection);
+    this.updateDoc(doc, update);
+    return options.returnDocument === 'after' ? project(doc, options.projection) : before;
+  }
+
+  async deleteOne(query) {
+    const index = this.docs.findIndex(doc => matches(doc, query));
+    if (index >= 0) this.docs.splice(index, 1);
+    return { deletedCount: index >= 0 ? 1 : 0 };
+  }
+
+  async deleteMany(query = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !matches(doc, query));
+    return { deletedCount: before - this.docs.length };
+  }
+
+  /**
+   * updateOne operations, applied in order
+   */
+  async bulkWrite(operations) {
+    let modifiedCount = 0;
+    for (const operation of operations) {
+      const { updateOne } = operation;
+      if (!updateOne) throw new Error(`Unsupported bulk operation ${Object.keys(operation)[0]}`);
+      modifiedCount += (await this.updateOne(updateOne.filter, updateOne.update)).modifiedCount;
+    }
+    return { modifiedCount };
+  }
+
+  /**
+   * $match (with $expr), $group (with $sum, $max, $push and $first),
+   * $project, $sort, $skip, $limit, $unwind, $count and $lookup (with `let`
+   * and a sub-pipeline) stages. `vars` are the $lookup variables.
+   */
+  aggregate(pipeline, vars = {}) {
+    const run = async () => {
+      let docs = this.docs.map(clone);
+
+      for (const stage of pipeline) {
+        const [[name, spec]] = Object.entries(stage);
+        switch (name) {
+          case '$match': {
+            const { $expr, ...query } = spec;
+            docs = docs.filter(doc => matches(doc, query) && (!$expr || evaluate(doc, $expr, vars)));
+            break;
+          }
+          case '$count':
+            docs = docs.length > 0 ? [{ [spec]: docs.length }] : [];
+            break;
+          case '$lookup': {
+            const foreign = this.db.collection(spec.from);
+            for (const doc of docs) {
+              const lookupVars = Object.fromEntries(Object.entries(spec.let || {}).map(([key, value]) => [key, evaluate(doc, value, vars)]));
+              doc[spec.as] = await foreign.aggregate(spec.pipeline, lookupVars).toArray();
+            }
+            break;
+          }
+          case '$sort':
+            docs = sortDocs(docs, spec);
+            break;
+          case '$skip':
+            docs = docs.slice(spec);
+            break;
+          case '$limit':
+            docs = docs.slice(0, spec);
+            break;
+          case '$project':
+            docs = docs.map(doc => project(doc, spec));
+            break;
+          case '$unwind': {
+            const path = (spec.path || spec).slice(1);
+            docs = docs.flatMap(doc => (get(doc, path) || []).map(item => {
+              const copy = clone(doc);
+              set(copy, path, item);
+              return copy;
+            }));
+            break;
+          }
+          case '$group':
+            docs = group(docs, spec);
+            break;
+          default:
+            throw new Error(`Unsupported aggregation stage ${name}`);
+        }
+      }
+
+      return docs;
+    };
+
+    const cursor = {
+      toArray: run,
+      async *[Symbol.asyncIterator]() {
+        for (const doc of await run()) yield doc;
+      }
+    };
+    return cursor;
+  }
+}
+
+const evaluate = (doc, expression, vars = {}) => {
+  if (typeof expression === 'string' && expression.startsWith('$$')) return vars[expression.slice(2)];
+  if (typeof expression === 'string' && expression.startsWith('$')) return get(doc, expression.slice(1));
+  if (expression && typeof expression === 'object' && !Array.isArray(expression)) {
+    const [key] = Object.keys(expression);
+    const arg = expression[key];
+    const args = () => arg.map(value => evaluate(doc, value, vars));
+    switch (key) {
+      case '$ifNull': return args().find(value => value !== undefined && value !== null) ?? null;
+      case '$eq': return same(...args());
+      case '$and': return args().every(Boolean);
+      default:
+        return Object.fromEntries(Object.entries(expression).map(([field, value]) => [field, evaluate(doc, value, vars)]));
+    }
+  }
+  return expression;
+};
+
+const group = (docs, { _id, ...accumulators }) => {
+  const groups = new Map();
+
+  for (const doc of docs) {
+    const id = evaluate(doc, _id);
+    const key = JSON.stringify(id);
+    if (!groups.has(key)) groups.set(key, { _id: id, docs: [] });
+    groups.get(key).docs.push(doc);
+  }
+
+  return [...groups.values()].map(({ _id: id, docs: members }) => {
+    const out = { _id: id };
+    for (const [field, accumulator] of Object.entries(accumulators)) {
+      const [[op, expression]] = Object.entries(accumulator);
+      const values = members.map(doc => evaluate(doc, expression));
+      switch (op) {
+        case '$sum': out[field] = values.reduce((total, value) => total + (Number(value) || 0), 0); break;
+        case '$push': out[field] = values; break;
+        case '$addToSet': out[field] = [...new Map(values.map(value => [JSON.stringify(value), value])).values()]; break;
+        case '$first': out[field] = values[0]; break;
+        case '$max': out[field] = values.filter(value => value !== undefined && value !== null).reduce((max, value) => (max === null || value > max ? value : max), null); break;
+        default: throw new Error(`Unsupported accumulator ${op}`);
+      }
+    }
+    return out;
+  });
+};
+
+/**
+ * A database whose collections are created on first use
+ */
+export const createFakeDb = () => {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new FakeCollection(name, this));
+      return collections.get(name);
+    }
+  };
+};
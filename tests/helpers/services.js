@@ -0,0 +1,74 @@
+import mongodb from '../../src/db/mongodb.js';
+import embeddingService from '../../src/services/embedding.service.js';
+import MockEmbeddingProvider from '../../src/services/embedding-providers/mock.provider.js';
+import tenantService from '../../src/services/tenant.service.js';
+import dataService from '../../src/services/data.service.js';
+import collectionService from '../../src/services/collection.service.js';
+import versionService from '../../src/services/version.service.js';
+import duplicateService from '../../src/services/duplicate.service.js';
+import transferService from '../../src/services/transfer.service.js';
+import conversationService from '../../src/services/conversation.service.js';
+import jobService from '../../src/services/job.service.js';
+import schedulerService from '../../src/services/scheduler.service.js';
+import vectorSearchService from '../../src/services/vector-search.service.js';
+import localVectorIndex from '../../src/services/local-vector-index.service.js';
+import { PLANS } from '../../src/utils/constants.js';
+import { createFakeDb } from './fake-db.js';
+
+export const TENANT_ID = 'ten_test';
+
+/**
+ * A tenant on the Pro plan, as returned by tenantService.getTenant
+ */
+export const testTenant = (tenantId = TENANT_ID, overrides = {}) => ({
+  tenantId,
+  name: 'Test tenant',
+  email: `${tenantId}@example.com`,
+  plan: PLANS.PRO.name,
+  limits: { ...PLANS.PRO.limits },
+  isActive: true,
+  ...overrides
+});
+
+/**
+ * Point the services at a fresh in-memory database, with mock embeddings
+ * and the local vector index. Tenants are served by `tenants` (a map of
+ * tenantId to tenant) instead of MongoDB and Redis.
+ */
+export async function setupServices({ tenants = new Map() } = {}) {
+  const db = createFakeDb();
+  mongodb.db = db;
+  mongodb.supportsTransactions = false;
+  await mongodb.setupCollections();
+
+  tenantService.getTenant = async (tenantId) => {
+    const tenant = tenants.get(tenantId) || (tenantId === TENANT_ID && testTenant());
+    if (!tenant) throw new Error('Tenant not found');
+    return tenant;
+  };
+
+  process.env.VECTOR_SEARCH_BACKEND = 'local';
+  await embeddingService.initialize(new MockEmbeddingProvider({ dimensions: 8 }));
+
+  for (const service of [
+    dataService, collectionService, versionService, duplicateService,
+    transferService, jobService, schedulerService, conversationService
+  ]) {
+    service.initialize();
+  }
+  await vectorSearchService.initialize();
+  localVectorIndex.indexes.clear();
+  localVectorIndex.loading.clear();
+
+  return db;
+}
+
+/**
+ * Run the queued jobs in this process, as the worker would
+ */
+export async function runQueuedJobs() {
+  let job;
+  while ((job = await jobService.claimNextJob())) {
+    await jobService.runJob(job);
+  }
+}
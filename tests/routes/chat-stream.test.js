@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { setTimeout as sleep } from 'node:timers/promises';
+import chatRoutes from '../../src/routes/chat.routes.js';
+import chatService from '../../src/services/chat.service.js';
+import { signSessionId } from '../../src/utils/helpers.js';
+import { setupServices, TENANT_ID } from '../helpers/services.js';
+import { buildApp, useMemoryRedis } from '../helpers/app.js';
+
+/**
+ * An LLM stream yielding one token every few milliseconds until aborted
+ */
+const slowStream = (tokens = 200) => ({
+  sent: 0,
+  aborted: false,
+  abort() {
+    this.aborted = true;
+  },
+  async *[Symbol.asyncIterator]() {
+    while (this.sent < tokens && !this.aborted) {
+      await sleep(5);
+      this.sent++;
+      yield { content: 'word ' };
+    }
+  }
+});
+
+describe('POST /api/chat/stream', () => {
+  let app;
+  let store;
+  let stream;
+  let recorded;
+
+  before(async () => {
+    await setupServices();
+    store = useMemoryRedis();
+
+    chatService.prepareQuery = async () => ({ messages: [], context: [] });
+    chatService.generate = async () => ({ result: stream, provider: 'test', model: 'test' });
+    chatService.recordExchange = async () => {
+      recorded++;
+    };
+
+    app = await buildApp([[chatRoutes, '/api/chat']], { apiKeys: { sk_full: {} } });
+    await app.listen({ port: 0, host: '127.0.0.1' });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('stops generating when the client disconnects', async () => {
+    stream = slowStream();
+    recorded = 0;
+
+    await new Promise((resolve, reject) => {
+      const request = http.request({
+        host: '127.0.0.1',
+        port: app.server.address().port,
+        path: '/api/chat/stream',
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-api-key': 'sk_full' }
+      }, (response) => {
+        assert.equal(response.statusCode, 200);
+        // Hang up after the first delta
+        response.once('data', () => {
+          request.destroy();
+          resolve();
+        });
+      });
+      request.on('error', (error) => {
+        if (error.code !== 'ECONNRESET') reject(error);
+      });
+      request.end(JSON.stringify({ query: 'How do returns work?', sessionId: signSessionId(TENANT_ID) }));
+    });
+
+    for (let i = 0; i < 100 && !stream.aborted; i++) {
+      await sleep(10);
+    }
+
+    assert.equal(stream.aborted, true);
+    assert.ok(stream.sent < 200, `${stream.sent} tokens generated`);
+    // Let the handler finish before checking what it recorded
+    await sleep(50);
+    assert.equal(recorded, 0);
+    assert.equal([...store.keys()].some(key => key.startsWith(`usage:${TENANT_ID}:month:`)), false);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dataRoutes from '../../src/routes/data.routes.js';
+import collectionRoutes from '../../src/routes/collection.routes.js';
+import searchRoutes from '../../src/routes/search.routes.js';
+import tenantRoutes from '../../src/routes/tenant.routes.js';
+import chatRoutes from '../../src/routes/chat.routes.js';
+import tenantService from '../../src/services/tenant.service.js';
+import collectionService from '../../src/services/collection.service.js';
+import dataService from '../../src/services/data.service.js';
+import { setupServices, testTenant, TENANT_ID } from '../helpers/services.js';
+import { buildApp, useMemoryRedis } from '../helpers/app.js';
+
+describe('collection-scoped API keys', () => {
+  let app;
+  let help;
+  let billing;
+
+  const request = (method, url, apiKey, payload) => app.inject({ method, url, headers: { 'x-api-key': apiKey }, payload });
+
+  before(async () => {
+    const db = await setupServices();
+    useMemoryRedis();
+    tenantService.initialize();
+    await db.collection('tenants').insertOne({ ...testTenant(), status: 'active', apiKeys: [] });
+
+    help = await collectionService.createCollection(TENANT_ID, { name: 'Help' });
+    billing = await collectionService.createCollection(TENANT_ID, { name: 'Billing' });
+    await dataService.registerData(TENANT_ID, [
+      { type: 'faq', title: 'Returns', content: 'Returns are free within 30 days.', collectionIds: [help.collectionId] },
+      { type: 'faq', title: 'Invoices', content: 'Invoices for returns are sent by email.', collectionIds: [billing.collectionId] }
+    ], testTenant().limits);
+
+    app = await buildApp([
+      [dataRoutes, '/api/data'],
+      [collectionRoutes, '/api/collections'],
+      [searchRoutes, '/api/search'],
+      [tenantRoutes, '/api/tenants'],
+      [chatRoutes, '/api/chat']
+    ], {
+      apiKeys: { sk_full: {}, sk_help: { apiKeyScope: [help.collectionId] } }
+    });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    useMemoryRedis();
+  });
+
+  it('refuses scoped keys on data and collection routes', async () => {
+    for (const [method, url, payload] of [
+      ['GET', '/api/data'],
+      ['POST', '/api/data/register', { sections: [{ type: 'faq', title: 'New', content: 'Some new content here.' }] }],
+      ['GET', '/api/collections'],
+      ['DELETE', `/api/collections/${billing.collectionId}`]
+    ]) {
+      const response = await request(method, url, 'sk_help', payload);
+      assert.equal(response.statusCode, 403, `${method} ${url}`);
+      assert.match(response.json().message, /restricted to collections/);
+    }
+
+    assert.equal((await request('GET', '/api/collections', 'sk_full')).statusCode, 200);
+    assert.equal((await request('GET', '/api/data', 'sk_full')).statusCode, 200);
+  });
+
+  it('refuses scoped keys on account routes, so they cannot create unscoped keys', async () => {
+    const created = await request('POST', '/api/tenants/api-keys', 'sk_help', { name: 'Escalated' });
+    assert.equal(created.statusCode, 403);
+    assert.match(created.json().message, /restricted to collections/);
+
+    for (const [method, url, payload] of [
+      ['GET', '/api/tenants/me'],
+      ['PATCH', '/api/tenants/me', { businessName: 'Renamed' }],
+      ['POST', '/api/tenants/plan', { plan: 'enterprise' }],
+      ['GET', '/api/tenants/api-keys'],
+      ['GET', '/api/tenants/usage'],
+      ['DELETE', '/api/tenants/me']
+    ]) {
+      assert.equal((await request(method, url, 'sk_help', payload)).statusCode, 403, `${method} ${url}`);
+    }
+
+    const full = await request('POST', '/api/tenants/api-keys', 'sk_full', { name: 'Widget', collectionIds: [help.collectionId] });
+    assert.equal(full.statusCode, 201);
+    const [key] = (await tenantService.collection.findOne({ tenantId: TENANT_ID })).apiKeys;
+    assert.deepEqual([key.name, key.collectionIds], ['Widget', [help.collectionId]]);
+  });
+
+  it('refuses scoped keys on stored transcripts', async () => {
+    for (const url of ['/api/chat/sessions', '/api/chat/sessions/ses_any']) {
+      assert.equal((await request('GET', url, 'sk_help')).statusCode, 403, url);
+    }
+  });
+
+  it('limits searches to the key scope', async () => {
+    const scoped = await request('POST', '/api/search', 'sk_help', { query: 'returns', minScore: 0 });
+    assert.deepEqual(scoped.json().data.results.map(result => result.sectionTitle), ['Returns']);
+
+    const forbidden = await request('POST', '/api/search', 'sk_help', { query: 'returns', collectionIds: [billing.collectionId] });
+    assert.equal(forbidden.statusCode, 403);
+    assert.match(forbidden.json().message, new RegExp(billing.collectionId));
+
+    const full = await request('POST', '/api/search', 'sk_full', { query: 'returns', minScore: 0 });
+    assert.deepEqual(full.json().data.results.map(result => result.sectionTitle).sort(), ['Invoices', 'Returns']);
+  });
+
+  it('resolves the collections a request may search', () => {
+    assert.deepEqual(collectionService.resolveScope(null, []), { collectionIds: null });
+    assert.deepEqual(collectionService.resolveScope(null, ['col_a']), { collectionIds: ['col_a'] });
+    assert.deepEqual(collectionService.resolveScope(['col_a', 'col_b'], undefined), { collectionIds: ['col_a', 'col_b'] });
+    assert.deepEqual(collectionService.resolveScope(['col_a', 'col_b'], ['col_b']), { collectionIds: ['col_b'] });
+    assert.deepEqual(collectionService.resolveScope(['col_a'], ['col_a', 'col_c']), { forbidden: ['col_c'] });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import dataRoutes from '../../src/routes/data.routes.js';
+import dataService from '../../src/services/data.service.js';
+import webFetchService from '../../src/services/web-fetch.service.js';
+import { setupServices, runQueuedJobs, TENANT_ID } from '../helpers/services.js';
+import { buildApp, useMemoryRedis } from '../helpers/app.js';
+
+const PAGE = '<html lang="en"><head><title>Shipping</title></head><body><main><h1>Shipping</h1><p>Orders ship within two days.</p></main></body></html>';
+
+describe('POST /api/data/html', () => {
+  let app;
+  let server;
+  let port;
+
+  const ingest = (payload) => app.inject({
+    method: 'POST',
+    url: '/api/data/html',
+    headers: { 'x-api-key': 'sk_full' },
+    payload
+  });
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/report.pdf') {
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        return res.end('%PDF-1.4');
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(PAGE);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+
+    webFetchService.initialize({ allowPrivateHosts: true });
+    app = await buildApp([[dataRoutes, '/api/data']], { apiKeys: { sk_full: {} } });
+  });
+
+  after(async () => {
+    await app.close();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await setupServices();
+    useMemoryRedis();
+  });
+
+  it('queues raw HTML and embeds it in the worker', async () => {
+    const response = await ingest({ html: PAGE, tags: ['help'] });
+
+    assert.equal(response.statusCode, 202);
+    const { jobId, statusUrl, data } = response.json();
+    assert.equal(statusUrl, `/api/data/jobs/${jobId}`);
+    assert.equal((await dataService.getSection(TENANT_ID, data.sectionId)).status, 'pending');
+
+    await runQueuedJobs();
+
+    const section = await dataService.getSection(TENANT_ID, data.sectionId);
+    assert.equal(section.status, 'completed');
+    assert.equal(section.title, 'Shipping');
+    assert.deepEqual(section.tags, ['help']);
+    assert.equal(section.metadata.language, 'en');
+    assert.match(section.content, /Orders ship within two days/);
+  });
+
+  it('fetches a URL in the worker and records failures on the job', async () => {
+    const page = await ingest({ url: `http://127.0.0.1:${port}/shipping`, title: 'Delivery' });
+    const report = await ingest({ url: `http://127.0.0.1:${port}/report.pdf` });
+    assert.equal(page.statusCode, 202);
+    assert.equal(report.statusCode, 202);
+
+    await runQueuedJobs();
+
+    const section = await dataService.getSection(TENANT_ID, page.json().data.sectionId);
+    assert.equal(section.status, 'completed');
+    assert.equal(section.title, 'Delivery');
+    assert.equal(section.metadata.sourceUrl, `http://127.0.0.1:${port}/shipping`);
+
+    const job = (await app.inject({
+      method: 'GET',
+      url: report.json().statusUrl,
+      headers: { 'x-api-key': 'sk_full' }
+    })).json();
+    assert.equal(job.data.status, 'failed');
+    assert.equal(job.data.items[0].error, 'URL returned application/pdf, not an HTML page');
+  });
+
+  it('rejects a body with both html and url', async () => {
+    const response = await ingest({ html: PAGE, url: `http://127.0.0.1:${port}/shipping` });
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.json().error, 'Validation error');
+  });
+});
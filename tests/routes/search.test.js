@@ -0,0 +1,61 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import searchRoutes from '../../src/routes/search.routes.js';
+import dataService from '../../src/services/data.service.js';
+import { setupServices, testTenant, TENANT_ID } from '../helpers/services.js';
+import { buildApp, useMemoryRedis } from '../helpers/app.js';
+
+describe('POST /api/search', () => {
+  let app;
+  let store;
+
+  const searches = () => {
+    const key = [...store.keys()].find(name => name.startsWith(`usage:${TENANT_ID}:search:`));
+    return key ? Number(store.get(key)) : 0;
+  };
+
+  const search = (body, apiKey = 'sk_full') => app.inject({
+    method: 'POST',
+    url: '/api/search',
+    headers: { 'x-api-key': apiKey },
+    payload: body
+  });
+
+  beforeEach(async () => {
+    await setupServices();
+    store = useMemoryRedis();
+    app = await buildApp([[searchRoutes, '/api/search']], {
+      apiKeys: { sk_full: {}, sk_scoped: { apiKeyScope: ['col_help'] } }
+    });
+    await dataService.registerData(TENANT_ID, [
+      { type: 'faq', title: 'Returns', content: 'Returns are free within 30 days of delivery.' }
+    ], testTenant().limits);
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  it('counts a successful search against the search quota', async () => {
+    const response = await search({ query: 'returns', minScore: 0 });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.json().data.results[0].sectionTitle, 'Returns');
+    assert.equal(searches(), 1);
+  });
+
+  it('does not count rejected requests', async () => {
+    assert.equal((await search({ query: '' })).statusCode, 400);
+    assert.equal((await search({ query: 'returns', collectionIds: ['col_other'] }, 'sk_scoped')).statusCode, 403);
+    assert.equal(searches(), 0);
+  });
+
+  it('refuses searches once the monthly quota is used up', async () => {
+    const month = new Date().toISOString().slice(0, 7);
+    store.set(`usage:${TENANT_ID}:search:month:${month}`, String(testTenant().limits.searchesPerMonth));
+
+    const response = await search({ query: 'returns' });
+    assert.equal(response.statusCode, 429);
+    assert.equal(response.json().error, 'Monthly limit exceeded');
+  });
+});
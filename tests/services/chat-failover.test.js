@@ -0,0 +1,99 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import chatService from '../../src/services/chat.service.js';
+import { testTenant } from '../helpers/services.js';
+
+const MESSAGES = [{ role: 'user', content: 'How long do refunds take?' }];
+
+/**
+ * A chat provider that fails its first `failures` calls
+ */
+const provider = (name, defaultModel, failures = 0) => ({
+  name,
+  defaultModel,
+  calls: [],
+  async initialize() {},
+  async complete(request) {
+    this.calls.push(request);
+    if (this.calls.length <= failures) {
+      throw new Error(`${name} unavailable`);
+    }
+    return { content: `Answer from ${name}`, usage: {} };
+  }
+});
+
+describe('chat provider failover', () => {
+  // Run a call to the end, skipping the backoff between retries
+  const settle = async (promise) => {
+    let done = false;
+    promise.then(() => { done = true; }, () => { done = true; });
+    while (!done) {
+      await new Promise(resolve => setImmediate(resolve));
+      mock.timers.tick(10000);
+    }
+    return promise;
+  };
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('retries the primary provider before failing over', async () => {
+    const primary = provider('groq', 'llama-3.3-70b-versatile', 2);
+    const fallback = provider('openai', 'gpt-4o-mini');
+    await chatService.initialize({ primary, fallback });
+
+    const generation = await settle(chatService.generate(testTenant(), MESSAGES, 'complete'));
+
+    assert.equal(generation.provider, 'groq');
+    assert.equal(generation.result.content, 'Answer from groq');
+    assert.equal(primary.calls.length, 3);
+    assert.equal(fallback.calls.length, 0);
+  });
+
+  it('fails over with the fallback default model once retries are exhausted', async () => {
+    const primary = provider('groq', 'llama-3.3-70b-versatile', Infinity);
+    const fallback = provider('openai', 'gpt-4o-mini');
+    await chatService.initialize({ primary, fallback });
+
+    const tenant = testTenant(undefined, { llm: { model: 'llama-3.1-8b-instant' } });
+    const generation = await settle(chatService.generate(tenant, MESSAGES, 'complete'));
+
+    assert.deepEqual(primary.calls.map(call => call.model), Array(3).fill('llama-3.1-8b-instant'));
+    assert.equal(generation.provider, 'openai');
+    assert.equal(generation.model, 'gpt-4o-mini');
+    assert.equal(fallback.calls[0].model, 'gpt-4o-mini');
+    assert.deepEqual(fallback.calls[0].messages, primary.calls[0].messages);
+  });
+
+  it('surfaces the error when the fallback fails too', async () => {
+    await chatService.initialize({
+      primary: provider('groq', 'llama-3.3-70b-versatile', Infinity),
+      fallback: provider('openai', 'gpt-4o-mini', Infinity)
+    });
+
+    await assert.rejects(settle(chatService.generate(testTenant(), MESSAGES, 'complete')), /openai unavailable/);
+  });
+
+  it('surfaces the primary error without a fallback', async () => {
+    await chatService.initialize({ primary: provider('groq', 'llama-3.3-70b-versatile', Infinity) });
+
+    await assert.rejects(settle(chatService.generate(testTenant(), MESSAGES, 'complete')), /groq unavailable/);
+  });
+
+  it('uses the default model when the plan does not allow the selected one', async () => {
+    const primary = provider('groq', 'llama-3.3-70b-versatile');
+    await chatService.initialize({ primary });
+
+    const free = testTenant(undefined, { plan: 'free', llm: { model: 'mixtral-8x7b' } });
+    const generation = await chatService.generate(free, MESSAGES, 'complete');
+
+    assert.equal(generation.model, 'llama-3.3-70b-versatile');
+    assert.equal(chatService.resolveModel({ ...free, llm: { model: 'llama-3.1-8b-instant' } }), 'llama-3.1-8b-instant');
+    assert.equal(chatService.resolveModel({ ...free, plan: 'enterprise' }), 'mixtral-8x7b');
+  });
+});
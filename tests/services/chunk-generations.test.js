@@ -0,0 +1,133 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dataService from '../../src/services/data.service.js';
+import { setupServices, testTenant, TENANT_ID } from '../helpers/services.js';
+
+describe('chunk generations', () => {
+  let db;
+  let sectionId;
+
+  const chunks = (query = {}) => db.collection('chunks').find({ tenantId: TENANT_ID, sectionId, ...query }).toArray();
+  const section = () => dataService.getSection(TENANT_ID, sectionId);
+
+  // Chunk documents for a swap, built from the live ones
+  const replacements = async (...texts) => {
+    const [{ _id, generation, ...live }] = await chunks();
+    return texts.map((text, position) => ({ ...live, chunkId: `chk_new_${position}`, position, text }));
+  };
+
+  const repair = (options = {}) => dataService.repairChunks({ tenantId: TENANT_ID, minChunkAgeMs: 0, ...options });
+
+  beforeEach(async () => {
+    db = await setupServices();
+
+    const { sections } = await dataService.registerData(TENANT_ID, [
+      { type: 'faq', title: 'Returns', content: 'Returns are free within 30 days.' }
+    ], testTenant().limits);
+    sectionId = sections[0].sectionId;
+  });
+
+  describe('swapChunks', () => {
+    it('puts the new generation live and drops the old one', async () => {
+      const previous = (await section()).generation;
+
+      const generation = await dataService.swapChunks(
+        TENANT_ID,
+        sectionId,
+        await replacements('Returns are free.', 'Refunds take five days.'),
+        { $set: { content: 'Returns are free. Refunds take five days.' } }
+      );
+
+      assert.notEqual(generation, previous);
+      const current = await section();
+      assert.equal(current.generation, generation);
+      assert.equal(current.chunkCount, 2);
+      assert.equal(current.content, 'Returns are free. Refunds take five days.');
+      assert.deepEqual((await chunks()).map(chunk => [chunk.text, chunk.generation]), [
+        ['Returns are free.', generation],
+        ['Refunds take five days.', generation]
+      ]);
+    });
+
+    it('gives the new chunks the section availability', async () => {
+      await db.collection('sections').updateOne({ tenantId: TENANT_ID, sectionId }, { $set: { availability: 'expired' } });
+
+      await dataService.swapChunks(TENANT_ID, sectionId, await replacements('Returns are free.'), { $set: {} });
+
+      assert.deepEqual((await chunks()).map(chunk => chunk.availability), ['expired']);
+    });
+
+    it('drops the staged chunks when the section is gone', async () => {
+      const staged = await replacements('Returns are free.');
+      await db.collection('sections').deleteOne({ tenantId: TENANT_ID, sectionId });
+
+      await assert.rejects(dataService.swapChunks(TENANT_ID, sectionId, staged, { $set: {} }), /Section not found/);
+      assert.deepEqual((await chunks()).map(chunk => chunk.text), ['Returns are free within 30 days.']);
+    });
+
+    it('leaves the section on its new chunks when interrupted before cleanup', async () => {
+      const collection = db.collection('chunks');
+      const deleteMany = collection.deleteMany.bind(collection);
+      collection.deleteMany = async () => {
+        throw new Error('Connection lost');
+      };
+
+      try {
+        await assert.rejects(
+          dataService.swapChunks(TENANT_ID, sectionId, await replacements('Returns are free.'), { $set: {} }),
+          /Connection lost/
+        );
+      } finally {
+        collection.deleteMany = deleteMany;
+      }
+
+      const { generation } = await section();
+      assert.deepEqual((await chunks({ generation })).map(chunk => chunk.text), ['Returns are free.']);
+      assert.equal((await chunks()).length, 2);
+
+      const { issues } = await repair();
+      assert.deepEqual(issues, [{ tenantId: TENANT_ID, sectionId, issue: 'stale_chunks', chunks: 1 }]);
+      assert.deepEqual((await chunks()).map(chunk => chunk.text), ['Returns are free.']);
+    });
+  });
+
+  describe('repairChunks', () => {
+    it('removes orphaned chunks and fixes chunk counts', async () => {
+      const { sections } = await dataService.registerData(TENANT_ID, [
+        { type: 'faq', title: 'Shipping', content: 'Shipping takes two days.' }
+      ], testTenant().limits);
+      await db.collection('sections').deleteOne({ tenantId: TENANT_ID, sectionId: sections[0].sectionId });
+      await db.collection('sections').updateOne({ tenantId: TENANT_ID, sectionId }, { $set: { chunkCount: 4 } });
+
+      const preview = await repair({ dryRun: true });
+      assert.deepEqual(preview.summary, { orphaned_chunks: 1, chunk_count: 1 });
+      assert.equal(await db.collection('chunks').countDocuments({ tenantId: TENANT_ID }), 2);
+
+      const { issues } = await repair();
+      assert.deepEqual(issues, [
+        { tenantId: TENANT_ID, sectionId: sections[0].sectionId, issue: 'orphaned_chunks', chunks: 1 },
+        { tenantId: TENANT_ID, sectionId, issue: 'chunk_count', recorded: 4, actual: 1 }
+      ]);
+      assert.equal(await db.collection('chunks').countDocuments({ tenantId: TENANT_ID }), 1);
+      assert.equal((await section()).chunkCount, 1);
+    });
+
+    it('reports completed sections without live chunks', async () => {
+      await db.collection('chunks').deleteMany({ tenantId: TENANT_ID, sectionId });
+
+      const { summary } = await repair();
+
+      assert.deepEqual(summary, { no_chunks: 1, chunk_count: 1 });
+      assert.equal((await section()).chunkCount, 0);
+    });
+
+    it('leaves recent chunks to a swap that may still be running', async () => {
+      await db.collection('chunks').updateMany({ tenantId: TENANT_ID, sectionId }, { $set: { generation: 'gen_other' } });
+
+      const { summary } = await dataService.repairChunks({ tenantId: TENANT_ID });
+
+      assert.equal(summary.stale_chunks, undefined);
+      assert.equal((await chunks()).length, 1);
+    });
+  });
+});
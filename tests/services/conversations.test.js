@@ -0,0 +1,90 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import chatService from '../../src/services/chat.service.js';
+import conversationService from '../../src/services/conversation.service.js';
+import { setupServices, TENANT_ID } from '../helpers/services.js';
+
+const SESSION_ID = 'ses_test';
+
+const answer = (text) => ({
+  answer: text,
+  confidence: 'high',
+  sources: [{ sectionId: 'sec_returns', title: 'Returns' }],
+  citations: []
+});
+
+describe('conversation store', () => {
+  const record = (query, text, options = {}) =>
+    chatService.recordExchange(TENANT_ID, SESSION_ID, query, answer(text), { startedAt: Date.now() - 40, ...options });
+
+  // Redis is not connected in tests, so history always comes from MongoDB
+  beforeEach(async () => {
+    await setupServices();
+    await conversationService.createSession(TENANT_ID, SESSION_ID, { channel: 'web' });
+  });
+
+  it('persists each exchange with its tokens, latency and model', async () => {
+    await record('Can I return shoes?', 'Yes, within 30 days.', {
+      usage: { prompt_tokens: 120, completion_tokens: 8, total_tokens: 128 },
+      model: 'llama-3.3-70b-versatile'
+    });
+    await record('Hi', 'Hello! How can I help?');
+
+    const session = await conversationService.getSession(TENANT_ID, SESSION_ID);
+    assert.equal(session.messageCount, 2);
+    assert.equal(session.lastQuery, 'Hi');
+    assert.deepEqual(session.metadata, { channel: 'web' });
+
+    const [first, second] = session.messages;
+    assert.equal(first.query, 'Can I return shoes?');
+    assert.deepEqual(first.sources, [{ sectionId: 'sec_returns', title: 'Returns' }]);
+    assert.deepEqual(first.tokens, { prompt: 120, completion: 8, total: 128 });
+    assert.equal(first.model, 'llama-3.3-70b-versatile');
+    assert.ok(first.latencyMs >= 40);
+    assert.equal(second.tokens.estimated, true);
+  });
+
+  it('rebuilds prompt history from MongoDB without Redis', async () => {
+    for (let i = 1; i <= 12; i++) {
+      await record(`Question ${i}`, `Answer ${i}`);
+      // Exchanges are ordered by time
+      await new Promise(resolve => setTimeout(resolve, 2));
+    }
+
+    const history = await chatService.getHistory(TENANT_ID, SESSION_ID);
+
+    assert.equal(history.length, 20);
+    assert.deepEqual(history.slice(0, 2), [
+      { role: 'user', content: 'Question 3' },
+      { role: 'assistant', content: 'Answer 3' }
+    ]);
+    assert.deepEqual(history.at(-1), { role: 'assistant', content: 'Answer 12' });
+  });
+
+  it('starts the prompt history afresh after clearing but keeps the transcript', async () => {
+    await record('Can I return shoes?', 'Yes, within 30 days.');
+    await chatService.clearHistory(TENANT_ID, SESSION_ID);
+    await new Promise(resolve => setTimeout(resolve, 2));
+
+    assert.deepEqual(await chatService.getHistory(TENANT_ID, SESSION_ID), []);
+    await record('And sandals?', 'Sandals too.');
+    assert.deepEqual((await chatService.getHistory(TENANT_ID, SESSION_ID)).map(message => message.content), ['And sandals?', 'Sandals too.']);
+
+    const { messages } = await conversationService.getSession(TENANT_ID, SESSION_ID);
+    assert.equal(messages.length, 2);
+  });
+
+  it('lists sessions by last activity within a date range', async () => {
+    await record('Can I return shoes?', 'Yes, within 30 days.');
+    await conversationService.createSession(TENANT_ID, 'ses_idle');
+
+    const all = await conversationService.listSessions(TENANT_ID);
+    assert.deepEqual(all.sessions.map(session => session.sessionId), [SESSION_ID, 'ses_idle']);
+    assert.equal(all.total, 2);
+
+    const future = new Date(Date.now() + 60000);
+    assert.equal((await conversationService.listSessions(TENANT_ID, { from: future })).total, 0);
+    assert.deepEqual((await conversationService.getSession(TENANT_ID, SESSION_ID, { from: future })).messages, []);
+    await assert.rejects(conversationService.getSession('ten_other', SESSION_ID), /Session not found/);
+  });
+});
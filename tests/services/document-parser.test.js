@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import documentParser from '../../src/services/document-parser.service.js';
+
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * A one-sheet workbook with shared strings, a boolean and a date-formatted cell
+ */
+const workbook = async () => {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', '<workbook><sheets><sheet name="Products" sheetId="1" r:id="rId1"/></sheets></workbook>');
+  zip.file('xl/_rels/workbook.xml.rels', '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>');
+  zip.file('xl/sharedStrings.xml', '<sst><si><t>Name</t></si><si><t>Price</t></si><si><t>In stock</t></si><si><t>Launched</t></si><si><r><t>Desk </t></r><r><t>lamp</t></r></si></sst>');
+  zip.file('xl/styles.xml', '<styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>');
+  zip.file('xl/worksheets/sheet1.xml', `<worksheet><sheetData>
+    <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="s"><v>3</v></c></row>
+    <row r="3"><c r="A3" t="s"><v>4</v></c><c r="B3"><v>24.5</v></c><c r="C3" t="b"><v>1</v></c><c r="D3" s="1"><v>45292</v></c></row>
+  </sheetData></worksheet>`);
+  return await zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const html = (body) => Buffer.from(`<html><head><title>Setup</title></head><body>${body}</body></html>`);
+
+describe('HTML parsing', () => {
+  it('keeps <pre> blocks verbatim as fenced code on their own lines', async () => {
+    const { text } = await documentParser.parseHTML(html('<p>Run  this:</p><pre>npm   install\n  --save x</pre><p>Done.</p>'));
+
+    assert.equal(text.trim(), 'Run this:\n\n```\nnpm   install\n  --save x\n```\n\nDone.');
+  });
+
+  it('leaves text that looks like a placeholder alone', async () => {
+    const { text } = await documentParser.parseHTML(html('<p>Step pre0pre</p><pre>a</pre>'));
+
+    assert.match(text, /pre0pre/);
+    assert.equal(text.match(/```/g).length, 2);
+  });
+});
+
+describe('table import', () => {
+  const csv = [
+    'Product;Category;Description;Care;Price;Active',
+    'Oak chair;Chairs;"Solid oak; waxed";Wipe clean;120;true',
+    '',
+    'Pine chair;Chairs;Pine;;80;false',
+    'Desk;Tables;"A ""large"" desk";Oil yearly;300;true'
+  ].join('\r\n');
+
+  const parseCsv = () => documentParser.parseTable(Buffer.from(csv), 'text/csv', 'products.csv');
+
+  it('reads CSV rows with a detected delimiter and quoted fields', async () => {
+    const table = await parseCsv();
+
+    assert.deepEqual(table.columns, ['Product', 'Category', 'Description', 'Care', 'Price', 'Active']);
+    assert.deepEqual(table.rows.map(({ row }) => row), [2, 4, 5]);
+    assert.equal(table.rows[0].values.Description, 'Solid oak; waxed');
+    assert.equal(table.rows[2].values.Description, 'A "large" desk');
+  });
+
+  it('maps each row to a section with labelled content and typed metadata', async () => {
+    const drafts = documentParser.tableToSections(await parseCsv(), {
+      titleColumn: 'Product',
+      contentColumns: ['Description', 'Care'],
+      metadataColumns: ['Category', 'Price', 'Active'],
+      type: 'product'
+    });
+
+    assert.deepEqual(drafts[0], {
+      rows: [2],
+      section: {
+        type: 'product',
+        title: 'Oak chair',
+        content: 'Description: Solid oak; waxed\nCare: Wipe clean',
+        metadata: { Category: 'Chairs', Price: 120, Active: true }
+      }
+    });
+    assert.equal(drafts[1].section.content, 'Description: Pine');
+  });
+
+  it('groups rows into one section per value', async () => {
+    const drafts = documentParser.tableToSections(await parseCsv(), {
+      titleColumn: 'Product',
+      contentColumns: ['Description'],
+      metadataColumns: ['Category', 'Active'],
+      groupBy: 'Category'
+    });
+
+    assert.deepEqual(drafts.map(draft => [draft.section.title, draft.rows]), [['Chairs', [2, 4]], ['Tables', [5]]]);
+    assert.equal(drafts[0].section.content, '## Oak chair\n\nSolid oak; waxed\n\n## Pine chair\n\nPine');
+    // Active differs between the chairs, so only the category describes the group
+    assert.deepEqual(drafts[0].section.metadata, { Category: 'Chairs' });
+  });
+
+  it('rejects a mapping with unknown columns', async () => {
+    assert.throws(
+      () => documentParser.tableToSections({ columns: ['Product'], rows: [] }, { titleColumn: 'Name', contentColumns: ['Product'] }),
+      /Unknown column\(s\): Name/
+    );
+  });
+
+  it('reads XLSX shared strings, booleans and dates', async () => {
+    const table = await documentParser.parseTable(await workbook(), XLSX, 'products.xlsx');
+
+    assert.equal(table.sheet, 'Products');
+    assert.deepEqual(table.rows, [{
+      row: 3,
+      values: { Name: 'Desk lamp', Price: 24.5, 'In stock': true, Launched: '2024-01-01' }
+    }]);
+
+    const [draft] = documentParser.tableToSections(table, {
+      titleColumn: 'Name',
+      contentColumns: ['Name'],
+      metadataColumns: ['Price', 'In stock', 'Launched']
+    });
+    assert.deepEqual(draft.section.metadata, { Price: 24.5, 'In stock': true, Launched: '2024-01-01' });
+  });
+
+  it('names the sheets when the requested one is missing', async () => {
+    await assert.rejects(
+      documentParser.parseTable(await workbook(), XLSX, 'products.xlsx', { sheet: 'Prices' }),
+      /Sheet "Prices" not found\. Sheets: Products/
+    );
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import embeddingService from '../../src/services/embedding.service.js';
+import dataService from '../../src/services/data.service.js';
+import vectorSearchService from '../../src/services/vector-search.service.js';
+import { setupServices, testTenant, TENANT_ID } from '../helpers/services.js';
+
+const PUBLISHED = 'Orders ship within two business days from our warehouse.';
+const DRAFTED = 'Orders ship the same day when placed before noon.';
+
+describe('drafts', () => {
+  let db;
+  let sectionId;
+
+  const chunks = () => db.collection('chunks')
+    .find({ tenantId: TENANT_ID, sectionId })
+    .sort({ position: 1 })
+    .toArray();
+
+  const search = async (preview = false) => {
+    const results = await vectorSearchService.searchByEmbedding(
+      TENANT_ID,
+      await embeddingService.generateEmbedding('shipping'),
+      { limit: 10, minScore: 0, preview }
+    );
+    return results.map(result => result.text);
+  };
+
+  beforeEach(async () => {
+    db = await setupServices();
+
+    const { sections } = await dataService.registerData(TENANT_ID, [
+      { type: 'policy', title: 'Shipping', content: PUBLISHED }
+    ], testTenant().limits);
+    sectionId = sections[0].sectionId;
+  });
+
+  it('stages a draft that only preview search sees', async () => {
+    const section = await dataService.saveDraft(TENANT_ID, sectionId, { content: DRAFTED });
+
+    assert.equal(section.content, PUBLISHED);
+    assert.equal(section.draft.content, DRAFTED);
+    assert.deepEqual(await search(), [PUBLISHED]);
+    assert.deepEqual(await search(true), [DRAFTED]);
+  });
+
+  it('publishes the draft fields and chunks and drops the replaced chunks', async () => {
+    await dataService.saveDraft(TENANT_ID, sectionId, { title: 'Delivery', content: DRAFTED });
+    const { published } = await dataService.publishDrafts(TENANT_ID, { sectionIds: [sectionId] });
+
+    assert.deepEqual(published.map(entry => [entry.sectionId, entry.title, entry.chunkCount]), [[sectionId, 'Delivery', 1]]);
+
+    const section = await dataService.getSection(TENANT_ID, sectionId);
+    assert.equal(section.content, DRAFTED);
+    assert.equal(section.draft, undefined);
+
+    const stored = await chunks();
+    assert.deepEqual(stored.map(chunk => [chunk.text, chunk.generation, chunk.draft, chunk.shadowed]), [
+      [DRAFTED, section.generation, undefined, undefined]
+    ]);
+    assert.deepEqual(await search(), [DRAFTED]);
+  });
+
+  it('discards a draft and restores the live chunks', async () => {
+    await dataService.saveDraft(TENANT_ID, sectionId, { content: DRAFTED });
+    const result = await dataService.discardDraft(TENANT_ID, sectionId);
+
+    assert.deepEqual(result, { sectionId, deleted: false });
+    assert.deepEqual((await chunks()).map(chunk => [chunk.text, chunk.shadowed]), [[PUBLISHED, undefined]]);
+    assert.deepEqual(await search(true), [PUBLISHED]);
+  });
+
+  it('deletes a section that was only ever a draft when it is discarded', async () => {
+    const { sections } = await dataService.registerData(TENANT_ID, [
+      { type: 'faq', title: 'Gift cards', content: 'Gift cards never expire and work online.' }
+    ], testTenant().limits, { draft: true });
+
+    assert.deepEqual(await dataService.discardDraft(TENANT_ID, sections[0].sectionId), {
+      sectionId: sections[0].sectionId,
+      deleted: true
+    });
+    assert.equal(await db.collection('chunks').countDocuments({ sectionId: sections[0].sectionId }), 0);
+  });
+
+  it('keeps draft chunks when the live content is processed again', async () => {
+    await dataService.saveDraft(TENANT_ID, sectionId, { content: DRAFTED });
+
+    await assert.rejects(
+      dataService.processSection(TENANT_ID, sectionId, { content: PUBLISHED }),
+      /has an unpublished draft/
+    );
+
+    // A swap of the live chunks, as repairs do, spares the draft
+    const [{ _id, shadowed, ...live }] = await chunks();
+    await dataService.swapChunks(TENANT_ID, sectionId, [{ ...live, chunkId: 'chk_copy' }], { $set: {} });
+
+    assert.deepEqual((await chunks()).map(chunk => [chunk.text, Boolean(chunk.draft)]).sort(), [
+      [DRAFTED, true],
+      [PUBLISHED, false]
+    ]);
+
+    await dataService.publishDrafts(TENANT_ID, { sectionIds: [sectionId] });
+    assert.deepEqual(await search(), [DRAFTED]);
+  });
+
+  it('refuses to publish a draft whose chunks are missing', async () => {
+    const { draft } = await dataService.saveDraft(TENANT_ID, sectionId, { content: DRAFTED });
+    await db.collection('chunks').deleteMany({ tenantId: TENANT_ID, sectionId, generation: draft.generation });
+
+    await assert.rejects(
+      dataService.publishDrafts(TENANT_ID, { sectionIds: [sectionId] }),
+      /is missing chunks/
+    );
+    assert.equal((await dataService.getSection(TENANT_ID, sectionId)).content, PUBLISHED);
+    assert.deepEqual(await search(), [PUBLISHED]);
+  });
+
+  it('finishes an interrupted publish when publishing again', async () => {
+    const { draft } = await dataService.saveDraft(TENANT_ID, sectionId, { content: DRAFTED });
+
+    // Fail after the draft chunks went live, before the old ones are deleted
+    const chunksCollection = db.collection('chunks');
+    const deleteMany = chunksCollection.deleteMany.bind(chunksCollection);
+    chunksCollection.deleteMany = async () => {
+      chunksCollection.deleteMany = deleteMany;
+      throw new Error('Connection lost');
+    };
+
+    await assert.rejects(dataService.publishDrafts(TENANT_ID), /Connection lost/);
+
+    const interrupted = await dataService.getSection(TENANT_ID, sectionId);
+    assert.equal(interrupted.generation, draft.generation);
+    assert.equal(interrupted.draft.generation, draft.generation);
+    await assert.rejects(dataService.saveDraft(TENANT_ID, sectionId, { title: 'Other' }), /is being published/);
+    await assert.rejects(dataService.discardDraft(TENANT_ID, sectionId), /is being published/);
+
+    const { published } = await dataService.publishDrafts(TENANT_ID);
+    assert.deepEqual(published.map(entry => entry.sectionId), [sectionId]);
+
+    const section = await dataService.getSection(TENANT_ID, sectionId);
+    assert.equal(section.draft, undefined);
+    assert.deepEqual((await chunks()).map(chunk => chunk.text), [DRAFTED]);
+    assert.deepEqual(await search(), [DRAFTED]);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import duplicateService from '../../src/services/duplicate.service.js';
+import { contentHash } from '../../src/utils/helpers.js';
+import { DUPLICATE_DETECTION } from '../../src/utils/constants.js';
+import { setupServices, TENANT_ID } from '../helpers/services.js';
+
+describe('duplicate report', () => {
+  let db;
+
+  /**
+   * Store a section and its chunks as ingestion would, skipping embeddings
+   */
+  const store = async (sectionId, content, chunkTexts = [content], { hashed = true } = {}) => {
+    await db.collection('sections').insertOne({
+      tenantId: TENANT_ID,
+      sectionId,
+      type: 'faq',
+      title: sectionId,
+      content,
+      status: 'completed',
+      chunkCount: chunkTexts.length,
+      createdAt: new Date(),
+      ...(hashed && { contentHash: contentHash(content) })
+    });
+    await db.collection('chunks').insertMany(chunkTexts.map((text, position) => ({
+      tenantId: TENANT_ID,
+      sectionId,
+      chunkId: `${sectionId}_${position}`,
+      position,
+      text,
+      ...(hashed && { contentHash: contentHash(text) })
+    })));
+  };
+
+  const nearIds = (report) => report.near.map(cluster => cluster.sections.map(section => section.sectionId).sort());
+
+  beforeEach(async () => {
+    db = await setupServices();
+  });
+
+  it('clusters sections with the same content', async () => {
+    await store('sec_a', 'Returns are free within 30 days.');
+    await store('sec_b', 'Returns are  FREE within 30 days.');
+    await store('sec_c', 'Shipping takes two days.');
+
+    const report = await duplicateService.getReport(TENANT_ID);
+
+    assert.deepEqual(report.exact.map(cluster => cluster.sections.map(section => section.sectionId)), [['sec_a', 'sec_b']]);
+    assert.deepEqual(report.near, []);
+    assert.equal(report.summary.exactDuplicateSections, 1);
+  });
+
+  it('links sections sharing most of their chunks and names flagged near-duplicates', async () => {
+    await store('sec_a', 'a', ['Intro', 'Returns', 'Refunds']);
+    await store('sec_b', 'b', ['Intro', 'Returns', 'Exchanges']);
+    await store('sec_c', 'c', ['Intro', 'Shipping', 'Tracking']);
+    await store('sec_d', 'd', ['Gift cards']);
+    await store('sec_e', 'e', ['Gift card balance']);
+    await db.collection('sections').updateOne(
+      { sectionId: 'sec_e' },
+      { $set: { nearDuplicates: [{ sectionId: 'sec_d', similarity: 0.98 }] } }
+    );
+
+    const report = await duplicateService.getReport(TENANT_ID);
+
+    assert.deepEqual(nearIds(report).sort(), [['sec_a', 'sec_b'], ['sec_d', 'sec_e']]);
+    const links = report.near.flatMap(cluster => cluster.links);
+    assert.deepEqual(links.find(link => link.sectionIds.includes('sec_a')), { sectionIds: ['sec_a', 'sec_b'], identicalChunks: 2 });
+    assert.deepEqual(links.find(link => link.sectionIds.includes('sec_d')), { sectionIds: ['sec_d', 'sec_e'], similarity: 0.98 });
+  });
+
+  it('ignores chunks shared by more sections than the cap', async () => {
+    const count = DUPLICATE_DETECTION.maxSectionsPerChunk + 1;
+    for (let i = 0; i < count; i++) {
+      await store(`sec_${i}`, `page ${i}`, ['Contact us at help@example.com', `Page ${i}`]);
+    }
+
+    assert.deepEqual((await duplicateService.getReport(TENANT_ID)).near, []);
+  });
+
+  it('leaves unhashed content to the backfill instead of writing on read', async () => {
+    await store('sec_a', 'Returns are free within 30 days.', undefined, { hashed: false });
+    await store('sec_b', 'Returns are free within 30 days.', undefined, { hashed: false });
+
+    assert.deepEqual((await duplicateService.getReport(TENANT_ID)).exact, []);
+    assert.equal(await db.collection('sections').countDocuments({ contentHash: { $exists: true } }), 0);
+
+    assert.deepEqual(await duplicateService.backfillHashes(), { sections: 2, chunks: 2 });
+    assert.deepEqual(await duplicateService.backfillHashes(TENANT_ID), { sections: 0, chunks: 0 });
+
+    const report = await duplicateService.getReport(TENANT_ID);
+    assert.deepEqual(report.exact.map(cluster => cluster.sections.length), [2]);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dataService from '../../src/services/data.service.js';
+import { syncManifestSchema } from '../../src/schemas/validation.js';
+import { setupServices, testTenant, TENANT_ID } from '../helpers/services.js';
+
+const record = (content) => ({ type: 'faq', title: 'Returns', content });
+
+describe('external IDs', () => {
+  let db;
+
+  const upsert = (externalId, content) =>
+    dataService.upsertSection(TENANT_ID, externalId, record(content), testTenant().limits);
+
+  beforeEach(async () => {
+    db = await setupServices();
+  });
+
+  it('creates, updates and leaves unchanged sections by external ID', async () => {
+    const created = await upsert('cms-1', 'Returns are free within 30 days.');
+    assert.equal(created.action, 'created');
+    assert.equal(created.section.status, 'completed');
+
+    assert.equal((await upsert('cms-1', 'Returns are free within 30 days.')).action, 'unchanged');
+
+    const updated = await upsert('cms-1', 'Returns are free within 60 days.');
+    assert.equal(updated.action, 'updated');
+    assert.equal(updated.section.sectionId, created.section.sectionId);
+    assert.equal(await db.collection('sections').countDocuments({ tenantId: TENANT_ID }), 1);
+  });
+
+  it('updates the section a concurrent upsert created first', async () => {
+    const { section } = await upsert('cms-1', 'Returns are free within 30 days.');
+
+    // The other request created the section after this one looked for it
+    const sections = db.collection('sections');
+    const findOne = sections.findOne.bind(sections);
+    sections.findOne = async () => {
+      sections.findOne = findOne;
+      return null;
+    };
+
+    const result = await upsert('cms-1', 'Returns are free within 60 days.');
+
+    assert.equal(result.action, 'updated');
+    assert.equal(result.section.sectionId, section.sectionId);
+    assert.equal(await sections.countDocuments({ tenantId: TENANT_ID }), 1);
+  });
+
+  it('removes sections missing from the manifest within the prefix', async () => {
+    await upsert('cms-1', 'Returns are free within 30 days.');
+    await upsert('cms-2', 'Shipping takes two days.');
+    await upsert('shop-1', 'Gift cards never expire.');
+
+    const preview = await dataService.syncExternalIds(TENANT_ID, ['cms-1', 'cms-3'], { prefix: 'cms-', dryRun: true });
+    assert.deepEqual(preview.removed.map(section => section.externalId), ['cms-2']);
+    assert.deepEqual(preview.missing, ['cms-3']);
+    assert.equal(await db.collection('sections').countDocuments({ tenantId: TENANT_ID }), 3);
+
+    const result = await dataService.syncExternalIds(TENANT_ID, ['cms-1'], { prefix: 'cms-' });
+    assert.equal(result.kept, 1);
+    const left = await db.collection('sections').find({ tenantId: TENANT_ID }).toArray();
+    assert.deepEqual(left.map(section => section.externalId).sort(), ['cms-1', 'shop-1']);
+  });
+
+  it('only accepts an empty manifest with allowEmpty', () => {
+    assert.throws(() => syncManifestSchema.parse({ externalIds: [] }), /allowEmpty/);
+    assert.deepEqual(syncManifestSchema.parse({ externalIds: [], allowEmpty: true }), {
+      externalIds: [],
+      dryRun: false,
+      allowEmpty: true
+    });
+  });
+});
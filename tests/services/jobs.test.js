@@ -0,0 +1,135 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import embeddingService from '../../src/services/embedding.service.js';
+import dataService from '../../src/services/data.service.js';
+import jobService from '../../src/services/job.service.js';
+import { JOB_CONFIG } from '../../src/utils/constants.js';
+import { setupServices, runQueuedJobs, testTenant, TENANT_ID } from '../helpers/services.js';
+
+const sections = (...titles) => titles.map(title => ({
+  type: 'faq',
+  title,
+  content: `${title} are handled by the support team within two days.`
+}));
+
+describe('ingestion jobs', () => {
+  const generateEmbeddings = embeddingService.generateEmbeddings.bind(embeddingService);
+
+  let db;
+
+  const enqueue = (...titles) => jobService.enqueueBulk(TENANT_ID, sections(...titles), testTenant().limits);
+
+  // Leave a claimed job as a worker that stopped responding would
+  const abandon = (jobId) => db.collection('jobs').updateOne(
+    { jobId },
+    { $set: { lockedUntil: new Date(Date.now() - 1000) } }
+  );
+
+  beforeEach(async () => {
+    embeddingService.generateEmbeddings = generateEmbeddings;
+    db = await setupServices();
+  });
+
+  it('moves a job and its sections from queued to completed', async () => {
+    const queued = await enqueue('Returns', 'Refunds');
+
+    assert.equal(queued.status, 'queued');
+    assert.deepEqual(queued.items.map(item => item.status), ['pending', 'pending']);
+    assert.equal((await dataService.getSection(TENANT_ID, queued.items[0].sectionId)).status, 'pending');
+
+    await runQueuedJobs();
+
+    const job = await jobService.getJob(TENANT_ID, queued.jobId);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.progress, { total: 2, completed: 2, failed: 0 });
+    assert.deepEqual(job.items.map(item => item.status), ['completed', 'completed']);
+    assert.ok(job.finishedAt);
+    assert.equal(job.lockedUntil, undefined);
+    for (const item of job.items) {
+      assert.equal((await dataService.getSection(TENANT_ID, item.sectionId)).status, 'completed');
+    }
+  });
+
+  it('finishes partially completed when some items fail', async () => {
+    embeddingService.generateEmbeddings = async (texts) => {
+      if (texts.some(text => text.includes('Refunds'))) {
+        throw new Error('Embedding provider unavailable');
+      }
+      return await generateEmbeddings(texts);
+    };
+
+    const queued = await enqueue('Returns', 'Refunds');
+    await runQueuedJobs();
+
+    const job = await jobService.getJob(TENANT_ID, queued.jobId);
+    assert.equal(job.status, 'partially_completed');
+    assert.deepEqual(job.progress, { total: 2, completed: 1, failed: 1 });
+    assert.equal(job.items[1].error, 'Embedding provider unavailable');
+
+    const failed = await dataService.getSection(TENANT_ID, job.items[1].sectionId);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'Embedding provider unavailable');
+  });
+
+  it('fails a job when every item fails', async () => {
+    embeddingService.generateEmbeddings = async () => {
+      throw new Error('Embedding provider unavailable');
+    };
+
+    const queued = await enqueue('Returns');
+    await runQueuedJobs();
+
+    assert.equal((await jobService.getJob(TENANT_ID, queued.jobId)).status, 'failed');
+  });
+
+  it('retries an abandoned job from its first unfinished item', async () => {
+    const queued = await enqueue('Returns', 'Refunds');
+
+    // The first worker finished one item before it stopped responding
+    const claimed = await jobService.claimNextJob();
+    assert.equal(claimed.attempts, 1);
+    await dataService.processSection(TENANT_ID, claimed.items[0].sectionId);
+    await jobService.updateItem(queued.jobId, 0, { status: 'completed' }, 'completed');
+    await abandon(queued.jobId);
+
+    const bulk = jobService.handlers.bulk;
+    const processed = [];
+    jobService.handlers.bulk = (job, item) => {
+      processed.push(item.index);
+      return bulk(job, item);
+    };
+
+    try {
+      await runQueuedJobs();
+    } finally {
+      jobService.handlers.bulk = bulk;
+    }
+
+    assert.deepEqual(processed, [1]);
+    const job = await jobService.getJob(TENANT_ID, queued.jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.attempts, 2);
+    assert.deepEqual(job.progress, { total: 2, completed: 2, failed: 0 });
+  });
+
+  it('leaves a running job alone until its lock expires', async () => {
+    await enqueue('Returns');
+
+    assert.ok(await jobService.claimNextJob());
+    assert.equal(await jobService.claimNextJob(), null);
+  });
+
+  it('gives up on a job abandoned too many times', async () => {
+    const queued = await enqueue('Returns');
+
+    for (let attempt = 1; attempt <= JOB_CONFIG.maxAttempts; attempt++) {
+      assert.equal((await jobService.claimNextJob()).attempts, attempt);
+      await abandon(queued.jobId);
+    }
+
+    assert.equal(await jobService.claimNextJob(), null);
+    const job = await jobService.getJob(TENANT_ID, queued.jobId);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'Job exceeded maximum attempts');
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import chatService from '../../src/services/chat.service.js';
+import vectorSearchService from '../../src/services/vector-search.service.js';
+import { DEFAULT_TEMPLATES } from '../../src/utils/prompts.js';
+import { testTenant, TENANT_ID } from '../helpers/services.js';
+
+const RESULT = {
+  chunkId: 'sec_returns_0',
+  sectionId: 'sec_returns',
+  sectionTitle: 'Returns',
+  headingPath: null,
+  text: 'Items can be returned within 30 days.',
+  score: 0.9
+};
+
+describe('tenant persona', () => {
+  const search = vectorSearchService.search;
+  let results;
+
+  const tenant = (persona) => testTenant(TENANT_ID, { businessName: 'Acme', persona });
+
+  before(() => {
+    vectorSearchService.search = async () => results;
+  });
+
+  after(() => {
+    vectorSearchService.search = search;
+  });
+
+  it('uses the default templates without a persona', () => {
+    const plain = tenant(undefined);
+
+    assert.equal(
+      chatService.buildGreeting(plain),
+      DEFAULT_TEMPLATES.greeting.replace('{{personaName}}', 'the AI assistant').replace('{{businessName}}', 'Acme')
+    );
+    assert.match(chatService.buildSystemPrompt(plain), /^You are a helpful AI assistant for Acme\./);
+    assert.match(chatService.buildSystemPrompt(plain), /Maintain a professional and friendly tone/);
+    assert.doesNotMatch(chatService.buildSystemPrompt(plain), /Persona rules/);
+  });
+
+  it('adds the persona rules and instructions after a custom system prompt', () => {
+    const prompt = chatService.buildSystemPrompt(tenant({
+      name: 'Ava',
+      tone: 'playful',
+      language: 'German',
+      forbiddenTopics: ['pricing', 'competitors'],
+      instructions: 'Mention the loyalty program.',
+      systemPrompt: 'You are {{personaName}}, a {{tone}} agent for {{businessName}}.'
+    }));
+
+    assert.equal(prompt.split('\n\n')[0], 'You are Ava, a playful agent for Acme.');
+    assert.match(prompt, /^Citations:/m);
+    assert.match(prompt, /- Your name is Ava/);
+    assert.match(prompt, /- Always answer in German/);
+    assert.match(prompt, /- Never discuss these topics: pricing, competitors\./);
+    assert.match(prompt, /Additional instructions:\nMention the loyalty program\.$/);
+  });
+
+  it('answers greetings and empty searches with the persona messages', async () => {
+    const persona = {
+      name: 'Ava',
+      greeting: 'Hi, {{personaName}} here from {{businessName}}!',
+      fallbackMessage: 'Sorry, {{businessName}} has no answer for that.'
+    };
+    results = [];
+
+    const greeting = await chatService.prepareQuery(TENANT_ID, tenant(persona), 'Hello there');
+    assert.equal(greeting.response.answer, 'Hi, Ava here from Acme!');
+
+    const fallback = await chatService.prepareQuery(TENANT_ID, tenant(persona), 'Do you ship to Mars?');
+    assert.equal(fallback.response.answer, 'Sorry, Acme has no answer for that.');
+    assert.equal(fallback.response.confidence, 'low');
+  });
+
+  it('renders the user prompt template with the numbered context', async () => {
+    results = [RESULT];
+
+    const { messages } = await chatService.prepareQuery(TENANT_ID, tenant({
+      userPrompt: 'Q: {{query}}\nSources:\n{{context}}'
+    }), 'Can I return shoes?');
+
+    assert.equal(messages.at(-1).content, 'Q: Can I return shoes?\nSources:\n[1] Returns: Items can be returned within 30 days.');
+  });
+
+  it('previews unsaved changes on top of the stored persona', () => {
+    const preview = chatService.previewPersona(tenant({ name: 'Ava', tone: 'playful' }), {
+      persona: { name: 'Max', tone: null },
+      query: 'Can I return shoes?',
+      context: '[1] Returns: Items can be returned within 30 days.'
+    });
+
+    assert.deepEqual(preview.persona, { name: 'Max' });
+    assert.match(preview.greeting, /I'm Max for Acme/);
+    assert.match(preview.systemPrompt, /Maintain a professional and friendly tone/);
+    assert.match(preview.userPrompt, /User Question: Can I return shoes\?/);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import chatService from '../../src/services/chat.service.js';
+import vectorSearchService from '../../src/services/vector-search.service.js';
+import { testTenant, TENANT_ID } from '../helpers/services.js';
+
+const RESULT = {
+  chunkId: 'sec_shipping_0',
+  sectionId: 'sec_shipping',
+  sectionTitle: 'Shipping',
+  headingPath: null,
+  text: 'Shipping to Canada takes five days.',
+  score: 0.9
+};
+
+const exchange = (question, answer) => [
+  { role: 'user', content: question },
+  { role: 'assistant', content: answer }
+];
+
+describe('query rewriting', () => {
+  const search = vectorSearchService.search;
+  const getHistory = chatService.getHistory;
+
+  let history;
+  let searched;
+  let rewrite;
+  let rewriteRequests;
+
+  const prepare = (tenant = testTenant()) =>
+    chatService.prepareQuery(TENANT_ID, tenant, 'What about Canada?', { sessionId: 'ses_test' });
+
+  before(async () => {
+    vectorSearchService.search = async (tenantId, query) => {
+      searched.push(query);
+      return [RESULT];
+    };
+    chatService.getHistory = async () => history;
+
+    await chatService.initialize({
+      primary: {
+        name: 'stub',
+        defaultModel: 'stub',
+        async initialize() {},
+        async complete(request) {
+          rewriteRequests.push(request);
+          return { content: await rewrite(request) };
+        }
+      }
+    });
+  });
+
+  after(() => {
+    vectorSearchService.search = search;
+    chatService.getHistory = getHistory;
+  });
+
+  beforeEach(() => {
+    history = exchange('How long does shipping to the US take?', 'Shipping to the US takes three days.');
+    searched = [];
+    rewriteRequests = [];
+    rewrite = async () => '"How long does shipping to Canada take?"';
+  });
+
+  it('searches the follow-up rewritten with the conversation', async () => {
+    const prepared = await prepare();
+
+    assert.equal(prepared.rewrittenQuery, 'How long does shipping to Canada take?');
+    assert.deepEqual(searched, ['How long does shipping to Canada take?']);
+
+    const { content } = rewriteRequests[0].messages[1];
+    assert.equal(content, [
+      'Conversation:',
+      'User: How long does shipping to the US take?',
+      'Assistant: Shipping to the US takes three days.',
+      '',
+      'Follow-up question:',
+      'What about Canada?'
+    ].join('\n'));
+
+    // The answer is generated for the question as asked
+    assert.match(prepared.messages.at(-1).content, /User Question: What about Canada\?/);
+  });
+
+  it('shows the rewriter only the latest exchanges, shortened', async () => {
+    history = [
+      ...exchange('Do you ship abroad?', 'Yes.'),
+      ...exchange('Which carriers?', 'DHL and UPS.'),
+      ...exchange('Is tracking included?', 'Always.'),
+      ...exchange('How long to the US?', 'x'.repeat(600))
+    ];
+
+    await prepare();
+
+    const { content } = rewriteRequests[0].messages[1];
+    assert.doesNotMatch(content, /Do you ship abroad/);
+    assert.match(content, /User: Which carriers\?/);
+    assert.match(content, new RegExp(`Assistant: ${'x'.repeat(500)}\n`));
+  });
+
+  it('searches the raw query without history or when turned off', async () => {
+    history = [];
+    assert.equal((await prepare()).rewrittenQuery, null);
+
+    history = exchange('How long does shipping to the US take?', 'Three days.');
+    assert.equal((await prepare(testTenant(TENANT_ID, { retrieval: { queryRewriting: false } }))).rewrittenQuery, null);
+
+    assert.deepEqual(searched, ['What about Canada?', 'What about Canada?']);
+    assert.equal(rewriteRequests.length, 0);
+  });
+
+  it('searches the raw query when the rewrite fails or is unusable', async () => {
+    rewrite = async () => {
+      throw new Error('Provider unavailable');
+    };
+    assert.equal((await prepare()).rewrittenQuery, null);
+
+    rewrite = async () => '  ';
+    assert.equal((await prepare()).rewrittenQuery, null);
+
+    assert.deepEqual(searched, ['What about Canada?', 'What about Canada?']);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import rerankService from '../../src/services/rerank.service.js';
+import { TENANT_ID } from '../helpers/services.js';
+
+const RETURNS = { chunkId: 'returns', text: 'Returns are free within 30 days of delivery', rerankScore: 1 };
+const MEMBERS = { chunkId: 'members', text: 'Returns are free within 30 days of delivery for members', rerankScore: 0.95 };
+const REFUNDS = { chunkId: 'refunds', text: 'Refunds reach your card within five business days', rerankScore: 0.8 };
+
+const ids = (results) => results.map(result => result.chunkId);
+
+describe('reranking', () => {
+  beforeEach(() => {
+    rerankService.initialize();
+  });
+
+  describe('mmr', () => {
+    it('pushes a near-duplicate below a less relevant but different chunk', () => {
+      assert.deepEqual(ids(rerankService.mmr([MEMBERS, REFUNDS, RETURNS], 3, 0.7)), ['returns', 'refunds', 'members']);
+    });
+
+    it('keeps the relevance order with a lambda of 1', () => {
+      assert.deepEqual(ids(rerankService.mmr([REFUNDS, MEMBERS, RETURNS], 3, 1)), ['returns', 'members', 'refunds']);
+    });
+
+    it('stops at the limit', () => {
+      assert.deepEqual(ids(rerankService.mmr([RETURNS, MEMBERS, REFUNDS], 2, 0.7)), ['returns', 'refunds']);
+    });
+  });
+
+  describe('rerank', () => {
+    const candidates = [
+      { chunkId: 'returns', headingPath: 'Returns', text: RETURNS.text },
+      { chunkId: 'refunds', headingPath: null, text: REFUNDS.text }
+    ];
+
+    it('orders candidates by reranker score', async () => {
+      const passages = [];
+      rerankService.rerankers.set('cross-encoder', Promise.resolve({
+        async score(query, texts) {
+          passages.push(...texts);
+          return [0.2, 0.9];
+        }
+      }));
+
+      const results = await rerankService.rerank(TENANT_ID, 'refund timing', candidates, { reranker: 'cross-encoder', limit: 2 });
+
+      assert.deepEqual(ids(results), ['refunds', 'returns']);
+      assert.deepEqual(results.map(result => result.rerankScore), [0.9, 0.2]);
+      assert.deepEqual(passages, [`Returns\n${RETURNS.text}`, REFUNDS.text]);
+    });
+
+    it('keeps the fused order when the reranker fails', async () => {
+      rerankService.rerankers.set('cross-encoder', Promise.resolve({
+        async score() {
+          throw new Error('Model not found');
+        }
+      }));
+
+      const results = await rerankService.rerank(TENANT_ID, 'refund timing', candidates, { reranker: 'cross-encoder', limit: 2 });
+
+      assert.deepEqual(ids(results), ['returns', 'refunds']);
+      assert.deepEqual(results.map(result => result.rerankScore), [1, 0.5]);
+    });
+
+    it('returns nothing for no candidates', async () => {
+      assert.deepEqual(await rerankService.rerank(TENANT_ID, 'refund timing', [], { reranker: 'cross-encoder', limit: 2 }), []);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import embeddingService from '../../src/services/embedding.service.js';
+import dataService from '../../src/services/data.service.js';
+import schedulerService from '../../src/services/scheduler.service.js';
+import vectorSearchService from '../../src/services/vector-search.service.js';
+import { setupServices, testTenant, TENANT_ID } from '../helpers/services.js';
+
+const HOUR = 60 * 60 * 1000;
+const later = (hours) => new Date(Date.now() + hours * HOUR);
+
+describe('scheduled publishing', () => {
+  const generateEmbeddings = embeddingService.generateEmbeddings.bind(embeddingService);
+  let db;
+
+  const register = async (section) => {
+    const { sections } = await dataService.registerData(TENANT_ID, [{
+      type: 'faq',
+      title: 'Summer sale',
+      content: 'Everything is half price during the summer sale.',
+      ...section
+    }], testTenant().limits);
+    return sections[0].sectionId;
+  };
+
+  const state = async (sectionId) => {
+    const section = await db.collection('sections').findOne({ tenantId: TENANT_ID, sectionId });
+    const chunks = await db.collection('chunks').find({ tenantId: TENANT_ID, sectionId }).toArray();
+    return { availability: section.availability, chunks: chunks.map(chunk => chunk.availability) };
+  };
+
+  const search = async () => {
+    const results = await vectorSearchService.searchByEmbedding(
+      TENANT_ID,
+      await embeddingService.generateEmbedding('summer sale'),
+      { limit: 5, minScore: 0 }
+    );
+    return results.map(result => result.sectionTitle);
+  };
+
+  beforeEach(async () => {
+    embeddingService.generateEmbeddings = generateEmbeddings;
+    db = await setupServices();
+  });
+
+  it('keeps sections out of search until publishAt, then until expiresAt', async () => {
+    const sectionId = await register({ publishAt: later(1), expiresAt: later(3) });
+
+    assert.deepEqual(await state(sectionId), { availability: 'scheduled', chunks: ['scheduled'] });
+    assert.deepEqual(await search(), []);
+
+    await schedulerService.applyDueDates(later(2));
+    assert.deepEqual(await state(sectionId), { availability: 'active', chunks: ['active'] });
+    assert.deepEqual(await search(), ['Summer sale']);
+
+    await schedulerService.applyDueDates(later(4));
+    assert.deepEqual(await state(sectionId), { availability: 'expired', chunks: ['expired'] });
+    assert.deepEqual(await search(), []);
+  });
+
+  it('skips sections that are not due and is idempotent', async () => {
+    const sectionId = await register({ publishAt: later(5) });
+
+    assert.equal(await schedulerService.applyDueDates(later(1)), 0);
+    assert.equal(await schedulerService.applyDueDates(later(6)), 1);
+    assert.equal(await schedulerService.applyDueDates(later(7)), 0);
+    assert.equal((await state(sectionId)).availability, 'active');
+  });
+
+  it('expires a section straight from scheduled when both dates passed', async () => {
+    const sectionId = await register({ publishAt: later(1), expiresAt: later(2) });
+
+    await schedulerService.applyDueDates(later(3));
+    assert.deepEqual(await state(sectionId), { availability: 'expired', chunks: ['expired'] });
+  });
+
+  it('applies rescheduling on update to the section and its chunks', async () => {
+    const sectionId = await register({ publishAt: later(1) });
+
+    await dataService.updateSection(TENANT_ID, sectionId, { publishAt: null });
+    assert.deepEqual(await state(sectionId), { availability: 'active', chunks: ['active'] });
+
+    await dataService.updateSection(TENANT_ID, sectionId, { expiresAt: new Date(Date.now() - HOUR) });
+    assert.deepEqual(await state(sectionId), { availability: 'expired', chunks: ['expired'] });
+  });
+
+  it('gives new chunks the availability the scheduler set while they were embedded', async () => {
+    const sectionId = await register({ publishAt: later(1) });
+
+    // The scheduler publishes the section while the new content is embedded
+    embeddingService.generateEmbeddings = async (texts) => {
+      await schedulerService.applyDueDates(later(2));
+      return generateEmbeddings(texts);
+    };
+
+    await dataService.updateSection(TENANT_ID, sectionId, {
+      content: 'Everything is half price during the summer sale, online too.'
+    });
+
+    assert.deepEqual(await state(sectionId), { availability: 'active', chunks: ['active'] });
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import tenantService from '../../src/services/tenant.service.js';
+import { setupServices, testTenant, TENANT_ID } from '../helpers/services.js';
+
+describe('tenant settings', () => {
+  let db;
+
+  const stored = async () => (await db.collection('tenants').findOne({ tenantId: TENANT_ID })).retrieval;
+
+  beforeEach(async () => {
+    db = await setupServices();
+    tenantService.initialize();
+    await db.collection('tenants').insertOne({ ...testTenant(), status: 'active', retrieval: { vectorWeight: 0 } });
+  });
+
+  it('merges retrieval settings into the saved ones', async () => {
+    await tenantService.updateTenant(TENANT_ID, { retrieval: { fusion: 'weighted', lexicalWeight: 2 } });
+
+    assert.deepEqual(await stored(), { vectorWeight: 0, fusion: 'weighted', lexicalWeight: 2 });
+  });
+
+  it('refuses an update that turns off the remaining retriever', async () => {
+    await assert.rejects(
+      tenantService.updateTenant(TENANT_ID, { retrieval: { lexicalWeight: 0 } }),
+      { name: 'ZodError', message: /At least one of vectorWeight or lexicalWeight/ }
+    );
+    assert.deepEqual(await stored(), { vectorWeight: 0 });
+
+    await tenantService.updateTenant(TENANT_ID, { retrieval: { vectorWeight: 1, lexicalWeight: 0 } });
+    assert.deepEqual(await stored(), { vectorWeight: 1, lexicalWeight: 0 });
+  });
+});
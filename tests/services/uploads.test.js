@@ -0,0 +1,87 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import embeddingService from '../../src/services/embedding.service.js';
+import dataService from '../../src/services/data.service.js';
+import jobService from '../../src/services/job.service.js';
+import { setupServices, runQueuedJobs, testTenant, TENANT_ID } from '../helpers/services.js';
+
+const textFile = (content, fields = {}) => ({
+  filename: 'returns.txt',
+  mimetype: 'text/plain',
+  buffer: Buffer.from(content),
+  ...fields
+});
+
+describe('document uploads', () => {
+  const generateEmbeddings = embeddingService.generateEmbeddings.bind(embeddingService);
+
+  let db;
+  let live;
+
+  const upload = async (files, options) => {
+    const job = await jobService.enqueueUpload(TENANT_ID, files, testTenant().limits, options);
+    await runQueuedJobs();
+    return await jobService.getJob(TENANT_ID, job.jobId);
+  };
+
+  const failEmbeddings = () => {
+    embeddingService.generateEmbeddings = async () => {
+      throw new Error('Embedding provider unavailable');
+    };
+  };
+
+  beforeEach(async () => {
+    embeddingService.generateEmbeddings = generateEmbeddings;
+    db = await setupServices();
+
+    const { sections } = await dataService.registerData(TENANT_ID, [
+      { type: 'document', title: 'returns.txt', content: 'Returns are free within 30 days of delivery.' }
+    ], testTenant().limits);
+    live = sections[0].sectionId;
+  });
+
+  it('replaces the content of the section a file replaces', async () => {
+    const job = await upload([textFile('Returns are free within 60 days of delivery.', { replaces: live })]);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.items[0].replaced, true);
+    const section = await dataService.getSection(TENANT_ID, live);
+    assert.equal(section.content, 'Returns are free within 60 days of delivery.');
+    assert.equal(section.status, 'completed');
+  });
+
+  it('keeps a replaced section live when the new file fails', async () => {
+    const chunks = await db.collection('chunks').find({ tenantId: TENANT_ID, sectionId: live }).toArray();
+    failEmbeddings();
+
+    const job = await upload([textFile('Returns are free within 60 days of delivery.', { replaces: live })]);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.items[0].error, 'Embedding provider unavailable');
+    const section = await dataService.getSection(TENANT_ID, live);
+    assert.equal(section.status, 'completed');
+    assert.equal(section.error, undefined);
+    assert.equal(section.content, 'Returns are free within 30 days of delivery.');
+    const kept = await db.collection('chunks').find({ tenantId: TENANT_ID, sectionId: live }).toArray();
+    assert.deepEqual(kept.map(chunk => chunk.chunkId), chunks.map(chunk => chunk.chunkId));
+  });
+
+  it('keeps a duplicate live when replacing it fails', async () => {
+    failEmbeddings();
+
+    const job = await upload([textFile('Returns are free within 30 days of delivery.')], { onDuplicate: 'replace' });
+
+    assert.equal(job.status, 'failed');
+    assert.equal((await dataService.getSection(TENANT_ID, live)).status, 'completed');
+    assert.equal(await db.collection('sections').countDocuments({ tenantId: TENANT_ID }), 1);
+  });
+
+  it('marks a new section failed when its file fails', async () => {
+    const job = await upload([textFile('   ', { filename: 'empty.txt' })]);
+
+    assert.equal(job.status, 'failed');
+    const section = await dataService.getSection(TENANT_ID, job.items[0].sectionId);
+    assert.equal(section.status, 'failed');
+    assert.ok(section.error);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import vectorSearchService from '../../src/services/vector-search.service.js';
+import localVectorIndex from '../../src/services/local-vector-index.service.js';
+import dataService from '../../src/services/data.service.js';
+import { setupServices, testTenant, TENANT_ID } from '../helpers/services.js';
+
+describe('hybrid search', () => {
+  const localSearch = localVectorIndex.search.bind(localVectorIndex);
+
+  beforeEach(async () => {
+    localVectorIndex.search = localSearch;
+    await setupServices();
+    await dataService.registerData(TENANT_ID, [
+      { type: 'faq', title: 'Returns', content: 'Returns are free within 30 days of delivery.' }
+    ], testTenant().limits);
+  });
+
+  it('returns vector results', async () => {
+    const results = await vectorSearchService.search(TENANT_ID, 'returns delivery', { minScore: 0 });
+
+    assert.deepEqual(results.map(result => result.sectionTitle), ['Returns']);
+    assert.notEqual(results[0].vectorScore, null);
+  });
+
+  it('fails when vector search fails instead of answering from keywords alone', async () => {
+    localVectorIndex.search = async () => {
+      throw new Error('Path metadata.region needs to be indexed as filter');
+    };
+
+    await assert.rejects(
+      vectorSearchService.search(TENANT_ID, 'returns delivery', { minScore: 0, filter: { region: 'EU' } }),
+      /needs to be indexed/
+    );
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dataService from '../../src/services/data.service.js';
+import versionService from '../../src/services/version.service.js';
+import { setupServices, testTenant, TENANT_ID } from '../helpers/services.js';
+
+describe('section versions', () => {
+  let db;
+  let sectionId;
+
+  const edit = (content, updates = {}) =>
+    dataService.updateSection(TENANT_ID, sectionId, { content, ...updates }, { author: 'editor@example.com' });
+
+  beforeEach(async () => {
+    db = await setupServices({
+      tenants: new Map([[TENANT_ID, testTenant(TENANT_ID, { limits: { ...testTenant().limits, versionsPerSection: 3 } })]])
+    });
+
+    const { sections } = await dataService.registerData(TENANT_ID, [
+      { type: 'faq', title: 'Returns', content: 'Returns are free within 30 days.', metadata: { region: 'EU' } }
+    ], testTenant().limits);
+    sectionId = sections[0].sectionId;
+  });
+
+  it('records a version per edit and skips edits that change nothing', async () => {
+    await edit('Returns are free within 60 days.');
+    await edit('Returns are free within 60 days.');
+
+    const { currentVersion, versions } = await versionService.listVersions(TENANT_ID, sectionId);
+    assert.equal(currentVersion, 2);
+    assert.deepEqual(versions.map(version => [version.version, version.reason]), [[2, 'updated'], [1, 'created']]);
+    assert.equal(versions[0].author, 'editor@example.com');
+    assert.equal(versions[0].content, undefined);
+  });
+
+  it('diffs two versions', async () => {
+    await edit('Returns are free within 60 days.', { title: 'Return policy', metadata: { region: 'US' } });
+
+    const diff = await versionService.diffVersions(TENANT_ID, sectionId, 1, 2);
+
+    assert.deepEqual(diff.title, { from: 'Returns', to: 'Return policy' });
+    assert.deepEqual(diff.metadata.changed, { region: { from: 'EU', to: 'US' } });
+    assert.deepEqual(diff.content, [
+      { type: 'removed', text: 'Returns are free within 30 days.' },
+      { type: 'added', text: 'Returns are free within 60 days.' }
+    ]);
+    assert.deepEqual(diff.stats, { linesAdded: 1, linesRemoved: 1 });
+  });
+
+  it('restores an old version as a new one', async () => {
+    await edit('Returns are free within 60 days.', { title: 'Return policy' });
+
+    const restored = await dataService.restoreVersion(TENANT_ID, sectionId, 1, { author: 'editor@example.com' });
+
+    assert.equal(restored.version, 3);
+    const section = await dataService.getSection(TENANT_ID, sectionId);
+    assert.equal(section.title, 'Returns');
+    assert.equal(section.content, 'Returns are free within 30 days.');
+    const chunks = await db.collection('chunks').find({ tenantId: TENANT_ID, sectionId }).toArray();
+    assert.deepEqual(chunks.map(chunk => chunk.text), ['Returns are free within 30 days.']);
+
+    const latest = await versionService.getVersion(TENANT_ID, sectionId, 3);
+    assert.equal(latest.reason, 'restored');
+    assert.equal(latest.restoredFrom, 1);
+  });
+
+  it('prunes versions beyond the plan retention', async () => {
+    for (const days of [40, 50, 60, 70]) {
+      await edit(`Returns are free within ${days} days.`);
+    }
+
+    const { versions, retained } = await versionService.listVersions(TENANT_ID, sectionId);
+    assert.equal(retained, 3);
+    assert.deepEqual(versions.map(version => version.version), [5, 4, 3]);
+    await assert.rejects(versionService.getVersion(TENANT_ID, sectionId, 2), /Version 2 not found/);
+  });
+});
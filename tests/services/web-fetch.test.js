@@ -0,0 +1,200 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import webFetchService from '../../src/services/web-fetch.service.js';
+
+const PAGE = '<html><head><title>Shipping</title></head><body><main>Free shipping</main></body></html>';
+
+describe('webFetchService', () => {
+  let server;
+  let port;
+  let requests;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: '/page' });
+        return res.end();
+      }
+      if (req.url === '/loop') {
+        res.writeHead(302, { Location: '/loop' });
+        return res.end();
+      }
+      if (req.url === '/large') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.end('x'.repeat(2048));
+      }
+      if (req.url === '/slow') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.write('<html>');
+      }
+      if (req.url === '/missing') {
+        res.writeHead(404);
+        return res.end();
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=iso-8859-1' });
+      res.end(PAGE);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  describe('with private hosts allowed', () => {
+    beforeEach(() => {
+      webFetchService.initialize({ allowPrivateHosts: true }, { WEB_FETCH_MAX_BYTES: '1024' });
+    });
+
+    it('fetches a page with its content type and charset', async () => {
+      const page = await webFetchService.fetchPage(`http://127.0.0.1:${port}/page`);
+
+      assert.equal(page.url, `http://127.0.0.1:${port}/page`);
+      assert.equal(page.contentType, 'text/html');
+      assert.equal(page.charset, 'iso-8859-1');
+      assert.equal(page.body.toString(), PAGE);
+    });
+
+    it('follows redirects and reports the final URL', async () => {
+      const page = await webFetchService.fetchPage(`http://127.0.0.1:${port}/redirect`);
+
+      assert.equal(page.url, `http://127.0.0.1:${port}/page`);
+      assert.deepEqual(requests, ['/redirect', '/page']);
+    });
+
+    it('stops after too many redirects', async () => {
+      await assert.rejects(
+        webFetchService.fetchPage(`http://127.0.0.1:${port}/loop`),
+        /Too many redirects/
+      );
+    });
+
+    it('refuses pages over the size limit', async () => {
+      await assert.rejects(
+        webFetchService.fetchPage(`http://127.0.0.1:${port}/large`),
+        /exceeds the 1024 byte limit/
+      );
+    });
+
+    it('fails on error statuses', async () => {
+      await assert.rejects(
+        webFetchService.fetchPage(`http://127.0.0.1:${port}/missing`),
+        /failed with status 404/
+      );
+    });
+
+    it('times out on slow pages', async () => {
+      webFetchService.initialize({ allowPrivateHosts: true }, { WEB_FETCH_TIMEOUT_MS: '100' });
+
+      await assert.rejects(
+        webFetchService.fetchPage(`http://127.0.0.1:${port}/slow`),
+        /timed out after 100 ms/
+      );
+    });
+
+    it('connects to the address returned by the resolver', async () => {
+      const lookups = [];
+      webFetchService.initialize({
+        allowPrivateHosts: true,
+        lookupFn: async (hostname) => {
+          lookups.push(hostname);
+          return [{ address: '127.0.0.1', family: 4 }];
+        }
+      }, {});
+
+      const page = await webFetchService.fetchPage(`http://fixture.test:${port}/page`);
+
+      assert.equal(page.body.toString(), PAGE);
+      assert.deepEqual(lookups, ['fixture.test']);
+    });
+  });
+
+  describe('with private hosts refused', () => {
+    beforeEach(() => {
+      webFetchService.initialize({ allowPrivateHosts: false }, {});
+    });
+
+    const privateUrls = [
+      'http://127.0.0.1:PORT/page',
+      'http://localhost.:PORT/page',
+      'http://0x7f000001:PORT/page',
+      'http://[::1]:PORT/page',
+      'http://[::ffff:127.0.0.1]:PORT/page',
+      'http://[::ffff:169.254.169.254]/latest/meta-data',
+      'http://[::127.0.0.1]:PORT/page',
+      'http://[64:ff9b::a9fe:a9fe]/latest/meta-data',
+      'http://[2002:7f00:1::]:PORT/page',
+      'http://[2001:0:4136:e378:8000:63bf:3fff:fdd2]/',
+      'http://[fd00::1]/',
+      'http://[fe80::1]/',
+      'http://100.64.0.1/',
+      'http://198.18.0.1/',
+      'http://240.0.0.1/'
+    ];
+
+    for (const template of privateUrls) {
+      it(`refuses ${template.replace(':PORT', '')}`, async () => {
+        webFetchService.initialize({
+          allowPrivateHosts: false,
+          lookupFn: async () => [{ address: '127.0.0.1', family: 4 }]
+        }, {});
+
+        await assert.rejects(
+          webFetchService.fetchPage(template.replace('PORT', port)),
+          /is not allowed/
+        );
+        assert.deepEqual(requests, []);
+      });
+    }
+
+    it('refuses host names resolving to a private address without connecting', async () => {
+      let lookups = 0;
+      webFetchService.initialize({
+        allowPrivateHosts: false,
+        lookupFn: async () => {
+          lookups++;
+          return [{ address: '93.184.215.14', family: 4 }, { address: '::ffff:7f00:1', family: 6 }];
+        }
+      }, {});
+
+      await assert.rejects(
+        webFetchService.fetchPage(`http://rebind.test:${port}/page`),
+        /Fetching from private address rebind\.test is not allowed/
+      );
+      assert.equal(lookups, 1);
+      assert.deepEqual(requests, []);
+    });
+
+    it('reports hosts that do not resolve', async () => {
+      webFetchService.initialize({
+        allowPrivateHosts: false,
+        lookupFn: async () => {
+          throw new Error('ENOTFOUND');
+        }
+      }, {});
+
+      await assert.rejects(
+        webFetchService.fetchPage('http://missing.test/page'),
+        /Could not resolve host missing\.test/
+      );
+    });
+
+    it('refuses other protocols', async () => {
+      await assert.rejects(
+        webFetchService.fetchPage('file:///etc/passwd'),
+        /Unsupported URL protocol: file:/
+      );
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkDocument } from '../../src/utils/chunker.js';
+
+describe('chunkDocument', () => {
+  const options = { size: 50, overlap: 0 };
+  // A short remainder may be folded into the chunk before it
+  const maxTokens = options.size + options.size / 5;
+
+  it('splits on headings and keeps the heading path', () => {
+    const chunks = chunkDocument('# Returns\n\nFree within 30 days.\n\n## International\n\nShipping is paid by the customer.', options);
+
+    assert.deepEqual(chunks.map(chunk => chunk.headingPath), ['Returns', 'Returns > International']);
+  });
+
+  it('cuts a word longer than the chunk size at the character limit', () => {
+    const blob = 'x'.repeat(450);
+    const chunks = chunkDocument(`Download the file from https://example.com/${blob} today.`, options);
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.tokenCount <= maxTokens), chunks.map(chunk => chunk.tokenCount).join(', '));
+    assert.equal(chunks.map(chunk => chunk.text).join('').replace(/\s+/g, ''), `Downloadthefilefromhttps://example.com/${blob}today.`);
+  });
+
+  it('splits a table row longer than the chunk size', () => {
+    const table = `| Name | Notes |\n| --- | --- |\n| Short | ok |\n| Long | ${'word '.repeat(80)}|`;
+    const chunks = chunkDocument(table, options);
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.tokenCount <= maxTokens));
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCitations, bestSnippet } from '../../src/utils/citations.js';
+
+const RESULTS = [
+  {
+    chunkId: 'sec_returns_0',
+    sectionId: 'sec_returns',
+    sectionTitle: 'Returns',
+    text: 'Our store is open daily. Returns are free within 30 days of delivery.'
+  },
+  {
+    chunkId: 'sec_refunds_0',
+    sectionId: 'sec_refunds',
+    sectionTitle: 'Refunds',
+    text: 'Refunds reach your card within five business days.'
+  }
+];
+
+describe('parseCitations', () => {
+  const claims = (answer) => parseCitations(answer, RESULTS)
+    .map(citation => [citation.marker, answer.slice(citation.start, citation.end)]);
+
+  it('maps each claim to the chunk its marker cites', () => {
+    const answer = 'Returns are free for 30 days [1]. Refunds take five business days [2].';
+    const [returns, refunds] = parseCitations(answer, RESULTS);
+
+    assert.equal(returns.text, 'Returns are free for 30 days');
+    assert.equal(answer.slice(returns.markerStart, returns.markerEnd), '[1]');
+    assert.equal(returns.chunkId, 'sec_returns_0');
+    assert.equal(returns.sectionTitle, 'Returns');
+    assert.equal(returns.snippet, 'Returns are free within 30 days of delivery.');
+    assert.equal(returns.valid, true);
+
+    assert.equal(refunds.text, 'Refunds take five business days');
+    assert.equal(refunds.sectionId, 'sec_refunds');
+  });
+
+  it('starts a claim at its sentence and never before the previous marker', () => {
+    assert.deepEqual(claims('We can help. Returns are free [1], and refunds are quick [2].'), [
+      [1, 'Returns are free'],
+      [2, ', and refunds are quick']
+    ]);
+  });
+
+  it('gives adjacent and grouped markers the same claim', () => {
+    assert.deepEqual(claims('Returns are refunded within days [1][2].'), [
+      [1, 'Returns are refunded within days'],
+      [2, 'Returns are refunded within days']
+    ]);
+    assert.deepEqual(claims('Returns are refunded within days [1, 2].'), [
+      [1, 'Returns are refunded within days'],
+      [2, 'Returns are refunded within days']
+    ]);
+    assert.deepEqual(claims('Returns are refunded within days [1]. [2]'), [
+      [1, 'Returns are refunded within days'],
+      [2, 'Returns are refunded within days']
+    ]);
+  });
+
+  it('marks markers without a context entry invalid', () => {
+    const [citation] = parseCitations('Gift cards never expire [3].', RESULTS);
+
+    assert.equal(citation.valid, false);
+    assert.equal(citation.chunkId, null);
+    assert.equal(citation.snippet, null);
+    assert.equal(citation.text, 'Gift cards never expire');
+  });
+
+  it('gives a marker opening the answer an empty claim', () => {
+    const [citation] = parseCitations('[1] Returns are free.', RESULTS);
+
+    assert.equal(citation.start, 0);
+    assert.equal(citation.end, 0);
+    assert.equal(citation.text, '');
+  });
+
+  it('returns nothing for an answer without markers', () => {
+    assert.deepEqual(parseCitations('Returns are free within 30 days.', RESULTS), []);
+  });
+});
+
+describe('bestSnippet', () => {
+  it('picks the sentence sharing the most words with the claim', () => {
+    assert.equal(bestSnippet('refunds reach the card', RESULTS[1].text), RESULTS[1].text);
+    assert.equal(bestSnippet('the store is open', RESULTS[0].text), 'Our store is open daily.');
+  });
+
+  it('truncates long sentences', () => {
+    const snippet = bestSnippet('returns', `Returns ${'are accepted '.repeat(40)}`);
+
+    assert.equal(snippet.length, 240);
+    assert.ok(snippet.endsWith('…'));
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, diffObjects } from '../../src/utils/diff.js';
+
+describe('diffLines', () => {
+  it('groups changed lines between the common ones', () => {
+    const { hunks, stats } = diffLines(
+      '# Returns\nFree within 30 days.\nKeep the receipt.',
+      '# Returns\nFree within 60 days.\nTags must be attached.\nKeep the receipt.'
+    );
+
+    assert.deepEqual(hunks, [
+      { type: 'equal', text: '# Returns' },
+      { type: 'removed', text: 'Free within 30 days.' },
+      { type: 'added', text: 'Free within 60 days.\nTags must be attached.' },
+      { type: 'equal', text: 'Keep the receipt.' }
+    ]);
+    assert.deepEqual(stats, { added: 2, removed: 1 });
+  });
+
+  it('keeps lines common to both sides in the middle', () => {
+    const { hunks } = diffLines('a\nb\nc\nd', 'a\nx\nc\ny');
+
+    assert.deepEqual(hunks.map(hunk => [hunk.type, hunk.text]), [
+      ['equal', 'a'],
+      ['removed', 'b'],
+      ['added', 'x'],
+      ['equal', 'c'],
+      ['removed', 'd'],
+      ['added', 'y']
+    ]);
+  });
+
+  it('treats missing content as no lines', () => {
+    assert.deepEqual(diffLines(null, 'New page'), {
+      hunks: [{ type: 'added', text: 'New page' }],
+      stats: { added: 1, removed: 0 }
+    });
+    assert.deepEqual(diffLines('Same', 'Same').stats, { added: 0, removed: 0 });
+  });
+});
+
+describe('diffObjects', () => {
+  it('reports added, removed and changed keys', () => {
+    assert.deepEqual(
+      diffObjects({ region: 'EU', tags: ['a'], owner: 'ops' }, { region: 'EU', tags: ['a', 'b'], locale: 'de' }),
+      {
+        added: { locale: 'de' },
+        removed: { owner: 'ops' },
+        changed: { tags: { from: ['a'], to: ['a', 'b'] } }
+      }
+    );
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateFilter, toMongoFilter, matchesFilter } from '../../src/utils/metadata-filter.js';
+
+describe('metadata filters', () => {
+  it('accepts values, comparisons and nested fields', () => {
+    const filter = { region: 'EU', 'shipping.days': { $lte: 3 }, $or: [{ locale: 'de' }, { tier: { $in: ['pro'] } }] };
+
+    assert.deepEqual(validateFilter(filter), []);
+    assert.deepEqual(toMongoFilter(filter), {
+      'metadata.region': { $eq: 'EU' },
+      'metadata.shipping.days': { $lte: 3 },
+      $or: [{ 'metadata.locale': { $eq: 'de' } }, { 'metadata.tier': { $in: ['pro'] } }]
+    });
+    assert.equal(matchesFilter({ region: 'EU', shipping: { days: 2 }, tier: 'pro' }, filter), true);
+  });
+
+  it('rejects operators Atlas vector search cannot filter with', () => {
+    assert.match(validateFilter({ locale: { $exists: false } })[0], /operator \$exists is not allowed/);
+    assert.match(validateFilter({ title: { $regex: 'sale' } })[0], /operator \$regex is not allowed/);
+    assert.match(validateFilter({ $where: 'true' })[0], /Operator \$where is not allowed/);
+  });
+
+  it('rejects array positions in field names', () => {
+    assert.match(validateFilter({ 'sizes.0': 'M' })[0], /Invalid metadata field name "sizes.0"/);
+    assert.match(validateFilter({ '2024': true })[0], /Invalid metadata field name/);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate, validateTemplate } from '../../src/utils/prompts.js';
+import { personaSettingsSchema } from '../../src/schemas/validation.js';
+
+describe('prompt templates', () => {
+  it('substitutes variables and renders unknown ones empty', () => {
+    assert.equal(
+      renderTemplate('Hi, I am {{ personaName }} from {{businessName}}{{missing}}.', { personaName: 'Ava', businessName: 'Acme' }),
+      'Hi, I am Ava from Acme.'
+    );
+  });
+
+  it('reports unknown, malformed and missing required variables', () => {
+    assert.deepEqual(validateTemplate('Welcome to {{businessName}}!', 'greeting'), []);
+    assert.deepEqual(validateTemplate('Hello {{query}}', 'greeting'), [
+      'Unknown variable "{{query}}"; allowed: businessName, personaName'
+    ]);
+    assert.deepEqual(validateTemplate('Hello {{businessName}', 'greeting'), ['Malformed placeholder; use {{variable}}']);
+    assert.deepEqual(validateTemplate('Answer: {{query}}', 'userPrompt'), ['Template must include {{context}}']);
+  });
+
+  it('validates persona templates with the settings', () => {
+    assert.equal(personaSettingsSchema.safeParse({ greeting: 'Hi from {{businessName}}', tone: null }).success, true);
+
+    const result = personaSettingsSchema.safeParse({ userPrompt: 'Question: {{query}}' });
+    assert.equal(result.success, false);
+    assert.equal(result.error.issues[0].message, 'Template must include {{context}}');
+  });
+});